@@ -0,0 +1,55 @@
+// logger.js — Logs estructurados: una línea JSON por entrada (o legible en desarrollo con LOG_FORMAT=pretty)
+// Cada entrada lleva el contexto de la petición en curso (request_id, evento de Stripe...) gracias a AsyncLocalStorage.
+import { AsyncLocalStorage } from 'async_hooks';
+import util from 'util';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+const settings = { level: 'info', format: 'json' };
+
+export const configureLogger = ({ level, format } = {}) => {
+  if (LEVELS[level]) settings.level = level;
+  if (format === 'json' || format === 'pretty') settings.format = format;
+};
+
+// Ejecuta fn con un contexto nuevo; lo que se loguee dentro (también en callbacks asíncronos) lo incluye
+export const runWithContext = (fields, fn) => context.run({ ...fields }, fn);
+export const logContext = () => context.getStore() || {};
+// Añade campos al contexto actual (p. ej. el id del evento de Stripe una vez verificado)
+export const addLogContext = (fields) => {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+const serializeError = (e) => ({ name: e.name, message: e.message, ...(e.code ? { code: e.code } : {}), ...(e.type ? { type: e.type } : {}), stack: e.stack });
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...logContext(), ...fields };
+  if (entry.err instanceof Error) entry.err = serializeError(entry.err);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (settings.format === 'json') {
+    stream.write(`${JSON.stringify(entry)}\n`);
+    return;
+  }
+  const { time, level: _level, msg: _msg, err, ...rest } = entry;
+  const extra = Object.keys(rest).length ? ` ${util.inspect(rest, { breakLength: Infinity, depth: 4 })}` : '';
+  stream.write(`${time.slice(11, 19)} ${level.toUpperCase().padEnd(5)} ${msg}${extra}${err ? `\n${err.stack || err.message}` : ''}\n`);
+};
+
+export const logger = Object.fromEntries(Object.keys(LEVELS).map(level => [level, (msg, fields) => write(level, msg, fields)]));
+
+// console.* → logger: los console.error('[ERROR] X:', e) de siempre salen estructurados,
+// con el texto en "msg" y el primer Error en "err"
+export const captureConsole = () => {
+  const bridge = (level) => (...args) => {
+    const err = args.find(a => a instanceof Error);
+    const rest = args.filter(a => a !== err);
+    write(level, util.format(...rest).trim(), err ? { err } : {});
+  };
+  console.log = bridge('info');
+  console.info = bridge('info');
+  console.warn = bridge('warn');
+  console.error = bridge('error');
+  console.debug = bridge('debug');
+};
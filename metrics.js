@@ -0,0 +1,69 @@
+// metrics.js — Métricas en memoria con el formato de texto de Prometheus (GET /metrics)
+// Contadores e histogramas con etiquetas; cada instancia expone los suyos y Prometheus los agrega.
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const labelString = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+};
+const keyOf = (labelNames, labels) => JSON.stringify(labelNames.map(n => labels[n] ?? ''));
+const labelsOf = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((v, i) => [labelNames[i], v]));
+
+const metrics = [];
+
+export const counter = (name, help, labelNames = []) => {
+  const values = new Map();
+  const metric = {
+    inc(labels = {}, by = 1) {
+      const key = keyOf(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`, `# TYPE ${name} counter`,
+      ...[...values].map(([key, v]) => `${name}${labelString(labelsOf(labelNames, key))} ${v}`),
+    ],
+  };
+  metrics.push(metric);
+  return metric;
+};
+
+export const histogram = (name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) => {
+  const series = new Map(); // key → { counts por bucket, sum, count }
+  const metric = {
+    observe(labels = {}, value) {
+      const key = keyOf(labelNames, labels);
+      const s = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+      series.set(key, s);
+    },
+    // Devuelve una función que observa los segundos transcurridos (con etiquetas extra opcionales)
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extra = {}) => metric.observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`, `# TYPE ${name} histogram`,
+      ...[...series].flatMap(([key, s]) => {
+        const labels = labelsOf(labelNames, key);
+        return [
+          ...buckets.map((b, i) => `${name}_bucket${labelString({ ...labels, le: b })} ${s.counts[i]}`),
+          `${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${s.count}`,
+          `${name}_sum${labelString(labels)} ${s.sum}`,
+          `${name}_count${labelString(labels)} ${s.count}`,
+        ];
+      }),
+    ],
+  };
+  metrics.push(metric);
+  return metric;
+};
+
+export const renderMetrics = () => [
+  ...metrics.flatMap(m => m.render()),
+  '# HELP process_uptime_seconds Segundos desde que arrancó el proceso', '# TYPE process_uptime_seconds gauge',
+  `process_uptime_seconds ${process.uptime()}`,
+  '# HELP process_resident_memory_bytes Memoria residente del proceso', '# TYPE process_resident_memory_bytes gauge',
+  `process_resident_memory_bytes ${process.memoryUsage().rss}`,
+].join('\n') + '\n';
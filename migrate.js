@@ -0,0 +1,141 @@
+// migrate.js — Migraciones versionadas de la base de datos
+// Ficheros en migrations/: NNN_nombre.up.sql y NNN_nombre.down.sql. Cada una se aplica en su propia transacción
+// y queda registrada en schema_migrations. Un advisory lock evita que dos instancias migren a la vez.
+//
+// CLI: node migrate.js status | up | down [pasos]
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('./migrations/', import.meta.url));
+const LOCK_KEY = 7261001; // pg_advisory_lock de las migraciones
+
+// [{ version, name, up, down }] ordenadas por versión
+export const listMigrations = () => {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+  const byVersion = new Map();
+  for (const file of files) {
+    const m = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!m) continue;
+    const version = Number(m[1]);
+    const entry = byVersion.get(version) || { version, name: m[2] };
+    if (entry.name !== m[2]) throw new Error(`Dos migraciones con la versión ${version}`);
+    entry[m[3]] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, entry);
+  }
+  const list = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  const incomplete = list.find(m => !m.up || !m.down);
+  if (incomplete) throw new Error(`La migración ${incomplete.version}_${incomplete.name} necesita .up.sql y .down.sql`);
+  return list;
+};
+
+const ensureTable = (client) => client.query(`CREATE TABLE IF NOT EXISTS schema_migrations(version int PRIMARY KEY, name text NOT NULL, applied_at timestamptz DEFAULT now())`);
+
+const appliedVersions = async (client) => {
+  const { rows } = await client.query(`SELECT version FROM schema_migrations ORDER BY version`);
+  return rows.map(r => r.version);
+};
+
+// Ejecuta fn con una conexión que tiene el lock de migraciones
+const withMigrationLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+    await ensureTable(client);
+    return await fn(client);
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, sql, after) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await after();
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  }
+};
+
+// Migraciones sin aplicar (no toma el lock: solo lectura)
+export const pendingMigrations = async (pool) => {
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(`SELECT to_regclass('schema_migrations') AS t`);
+    const applied = rows[0].t ? await appliedVersions(client) : [];
+    return listMigrations().filter(m => !applied.includes(m.version));
+  } finally { client.release(); }
+};
+
+export const migrationStatus = async (pool) => withMigrationLock(pool, async (client) => {
+  const { rows } = await client.query(`SELECT version, applied_at FROM schema_migrations`);
+  const applied = new Map(rows.map(r => [r.version, r.applied_at]));
+  return listMigrations().map(m => ({ version: m.version, name: m.name, applied_at: applied.get(m.version) || null }));
+});
+
+// Aplica todas las pendientes en orden. Devuelve las aplicadas.
+export const migrateUp = async (pool, { log = () => {} } = {}) => withMigrationLock(pool, async (client) => {
+  const applied = await appliedVersions(client);
+  const done = [];
+  for (const m of listMigrations().filter(m => !applied.includes(m.version))) {
+    log(`[migrate] ↑ ${m.version}_${m.name}`);
+    await runInTransaction(client, fs.readFileSync(m.up, 'utf8'),
+      () => client.query(`INSERT INTO schema_migrations(version, name) VALUES ($1, $2)`, [m.version, m.name]));
+    done.push(m);
+  }
+  return done;
+});
+
+// Deshace las últimas "steps" migraciones aplicadas. Devuelve las deshechas.
+export const migrateDown = async (pool, { steps = 1, log = () => {} } = {}) => withMigrationLock(pool, async (client) => {
+  const applied = await appliedVersions(client);
+  const byVersion = new Map(listMigrations().map(m => [m.version, m]));
+  const done = [];
+  for (const version of applied.reverse().slice(0, steps)) {
+    const m = byVersion.get(version);
+    if (!m) throw new Error(`La migración ${version} está aplicada pero no existe en migrations/`);
+    log(`[migrate] ↓ ${m.version}_${m.name}`);
+    await runInTransaction(client, fs.readFileSync(m.down, 'utf8'),
+      () => client.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version]));
+    done.push(m);
+  }
+  return done;
+});
+
+// ===== CLI =====
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  const [command = 'status', arg] = process.argv.slice(2);
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL no configurada');
+    process.exit(1);
+  }
+  const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL, ssl: { require: true, rejectUnauthorized: false }, max: 1 });
+  try {
+    if (command === 'up') {
+      const done = await migrateUp(pool, { log: console.log });
+      console.log(done.length ? `✅ ${done.length} migración(es) aplicada(s)` : '✅ Sin migraciones pendientes');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (!(steps > 0)) throw new Error('Uso: node migrate.js down [pasos]');
+      const done = await migrateDown(pool, { steps, log: console.log });
+      console.log(`✅ ${done.length} migración(es) deshecha(s)`);
+    } else if (command === 'status') {
+      for (const m of await migrationStatus(pool)) {
+        console.log(`${m.applied_at ? '✔' : '·'} ${String(m.version).padStart(3, '0')}_${m.name}${m.applied_at ? `  (${m.applied_at.toISOString()})` : '  pendiente'}`);
+      }
+    } else {
+      throw new Error('Uso: node migrate.js status | up | down [pasos]');
+    }
+  } catch (e) {
+    console.error('❌', e.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
@@ -0,0 +1,2 @@
+-- ⚠️ Borra todos los datos
+DROP TABLE IF EXISTS shipments, fulfillment_batches, stock_reservations, stock_levels, email_outbox, invoices, invoice_sequences, gift_subscriptions, order_items, orders, subscribers, mailed_invoices, processed_events;
@@ -0,0 +1,39 @@
+-- Esquema que creaba el arranque con CREATE TABLE IF NOT EXISTS.
+-- Idempotente a propósito: en bases ya existentes solo añade lo que falte y queda registrada.
+
+CREATE TABLE IF NOT EXISTS processed_events(event_id text PRIMARY KEY, created_at timestamptz DEFAULT now());
+
+CREATE TABLE IF NOT EXISTS mailed_invoices(invoice_id text PRIMARY KEY, sent_at timestamptz DEFAULT now());
+
+CREATE TABLE IF NOT EXISTS orders(session_id text PRIMARY KEY, email text, name text, phone text, total numeric, currency text, items jsonb, metadata jsonb, shipping jsonb, status text, customer_details jsonb, address text, city text, postal text, country text, created_at timestamptz DEFAULT now());
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_refunded numeric;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS kind text CHECK (kind IN ('order', 'subscription', 'gift'));
+UPDATE orders SET kind = CASE WHEN COALESCE(metadata, '{}'::jsonb) ? 'subscription_grams' THEN 'subscription' ELSE 'order' END WHERE kind IS NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS locale text;
+
+CREATE TABLE IF NOT EXISTS order_items(id SERIAL PRIMARY KEY, session_id text REFERENCES orders(session_id), description text, product_id text, price_id text, quantity int, unit_amount_cents int, amount_total_cents int, currency text, raw jsonb);
+
+CREATE TABLE IF NOT EXISTS subscribers(customer_id text PRIMARY KEY, subscription_id text, email text, plan text, status text, name text, phone text, address text, city text, postal text, country text, meta jsonb, created_at timestamptz DEFAULT now(), updated_at timestamptz DEFAULT now(), canceled_at timestamptz);
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS locale text;
+
+CREATE TABLE IF NOT EXISTS gift_subscriptions(id SERIAL PRIMARY KEY, session_id text UNIQUE NOT NULL, buyer_name text, buyer_email text, recipient_name text, recipient_email text, phone text, address text, city text, postal text, country text, grams int NOT NULL, months int NOT NULL, message text, delivery_date date, start_period text NOT NULL, status text NOT NULL DEFAULT 'active', gift_email_queued_at timestamptz, created_at timestamptz DEFAULT now());
+ALTER TABLE gift_subscriptions ADD COLUMN IF NOT EXISTS locale text;
+
+CREATE TABLE IF NOT EXISTS invoice_sequences(series text NOT NULL, year int NOT NULL, last_number int NOT NULL DEFAULT 0, PRIMARY KEY(series, year));
+
+CREATE TABLE IF NOT EXISTS invoices(id SERIAL PRIMARY KEY, number text UNIQUE NOT NULL, series text NOT NULL, year int NOT NULL, seq int NOT NULL, kind text NOT NULL DEFAULT 'invoice', rectifies_id int REFERENCES invoices(id), source text NOT NULL, ref_id text NOT NULL, customer_id text, buyer_name text, buyer_email text, buyer_tax_id text, buyer_address jsonb, country text, currency text NOT NULL DEFAULT 'EUR', lines jsonb NOT NULL, tax_breakdown jsonb NOT NULL, base_cents int NOT NULL, tax_cents int NOT NULL, total_cents int NOT NULL, oss boolean NOT NULL DEFAULT false, reason text, issued_at timestamptz DEFAULT now(), UNIQUE(source, ref_id, kind));
+CREATE INDEX IF NOT EXISTS invoices_buyer_email_idx ON invoices(lower(buyer_email));
+
+CREATE TABLE IF NOT EXISTS fulfillment_batches(id SERIAL PRIMARY KEY, period text UNIQUE NOT NULL, created_at timestamptz DEFAULT now());
+
+CREATE TABLE IF NOT EXISTS email_outbox(id SERIAL PRIMARY KEY, to_addr jsonb NOT NULL, bcc jsonb, subject text, html text, attachments jsonb, status text NOT NULL DEFAULT 'pending', attempts int NOT NULL DEFAULT 0, last_error text, next_attempt_at timestamptz DEFAULT now(), locked_at timestamptz, created_at timestamptz DEFAULT now(), sent_at timestamptz, dedup_key text UNIQUE);
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS text_body text;
+ALTER TABLE email_outbox ADD COLUMN IF NOT EXISTS reply_to text;
+CREATE INDEX IF NOT EXISTS email_outbox_pending_idx ON email_outbox(next_attempt_at) WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS stock_levels(sku text PRIMARY KEY, name text, unit text NOT NULL DEFAULT 'unit', on_hand int NOT NULL DEFAULT 0, reserved int NOT NULL DEFAULT 0, updated_at timestamptz DEFAULT now());
+
+CREATE TABLE IF NOT EXISTS stock_reservations(reservation_id text NOT NULL, sku text NOT NULL REFERENCES stock_levels(sku), quantity int NOT NULL, status text NOT NULL DEFAULT 'reserved', session_id text, expires_at timestamptz, created_at timestamptz DEFAULT now(), settled_at timestamptz, PRIMARY KEY(reservation_id, sku));
+
+CREATE TABLE IF NOT EXISTS shipments(id SERIAL PRIMARY KEY, batch_id int NOT NULL REFERENCES fulfillment_batches(id), source text NOT NULL, ref_id text NOT NULL, email text, name text, phone text, address text, city text, postal text, country text, grams int, items jsonb, status text NOT NULL DEFAULT 'pending', carrier text, tracking_number text, packed_at timestamptz, shipped_at timestamptz, created_at timestamptz DEFAULT now(), UNIQUE(batch_id, source, ref_id));
+ALTER TABLE shipments ADD COLUMN IF NOT EXISTS locale text;
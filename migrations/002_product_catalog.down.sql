@@ -0,0 +1 @@
+DROP TABLE IF EXISTS catalog_syncs, catalog_prices, catalog_products;
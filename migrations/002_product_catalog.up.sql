@@ -0,0 +1,11 @@
+-- Copia local del catálogo de Stripe (productos y precios activos) para no consultar Stripe en cada visita
+-- y para validar los precios que llegan al checkout.
+
+CREATE TABLE catalog_products(id text PRIMARY KEY, name text NOT NULL, description text, images jsonb NOT NULL DEFAULT '[]', metadata jsonb NOT NULL DEFAULT '{}', active boolean NOT NULL, updated_at timestamptz DEFAULT now());
+
+-- Sin FK: los eventos price.* pueden llegar antes que el product.* de su producto
+CREATE TABLE catalog_prices(id text PRIMARY KEY, product_id text NOT NULL, currency text NOT NULL, unit_amount int, type text NOT NULL, recurring jsonb, nickname text, active boolean NOT NULL, updated_at timestamptz DEFAULT now());
+CREATE INDEX catalog_prices_product_idx ON catalog_prices(product_id);
+
+-- Una fila por sincronización completa; la última marca la antigüedad de la caché
+CREATE TABLE catalog_syncs(id SERIAL PRIMARY KEY, products int NOT NULL, prices int NOT NULL, synced_at timestamptz DEFAULT now());
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS subscribers_email_idx;
+DROP INDEX IF EXISTS orders_email_idx;
+DROP TABLE IF EXISTS account_logins;
@@ -0,0 +1,6 @@
+-- Cuenta de cliente con enlace mágico: cada enlace (nonce) solo sirve una vez
+CREATE TABLE account_logins(nonce text PRIMARY KEY, email text NOT NULL, used_at timestamptz DEFAULT now());
+
+-- La cuenta se identifica por email
+CREATE INDEX orders_email_idx ON orders(lower(email));
+CREATE INDEX subscribers_email_idx ON subscribers(lower(email));
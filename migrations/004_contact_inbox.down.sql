@@ -0,0 +1,3 @@
+ALTER TABLE email_outbox DROP COLUMN IF EXISTS headers, DROP COLUMN IF EXISTS from_addr;
+DROP TABLE IF EXISTS contact_replies;
+DROP TABLE IF EXISTS contact_messages;
@@ -0,0 +1,35 @@
+-- Bandeja de contacto: mensajes del formulario y respuestas del equipo (hilo por Message-ID)
+CREATE TABLE contact_messages(
+  id SERIAL PRIMARY KEY,
+  email text NOT NULL,
+  name text,
+  subject text,
+  message text NOT NULL,
+  locale text,
+  status text NOT NULL DEFAULT 'new',
+  spam_score int NOT NULL DEFAULT 0,
+  spam_reasons jsonb,
+  is_spam boolean NOT NULL DEFAULT false,
+  customer_id text,
+  order_session_id text,
+  message_id text,
+  ip text,
+  created_at timestamptz DEFAULT now(),
+  answered_at timestamptz,
+  closed_at timestamptz
+);
+CREATE INDEX contact_messages_status_idx ON contact_messages(status, created_at DESC);
+CREATE INDEX contact_messages_email_idx ON contact_messages(lower(email), created_at DESC);
+
+CREATE TABLE contact_replies(
+  id SERIAL PRIMARY KEY,
+  contact_id int NOT NULL REFERENCES contact_messages(id) ON DELETE CASCADE,
+  body text NOT NULL,
+  message_id text,
+  author text,
+  created_at timestamptz DEFAULT now()
+);
+CREATE INDEX contact_replies_contact_idx ON contact_replies(contact_id, created_at);
+
+-- Remitente y cabeceras propias (respuestas desde SUPPORT_EMAIL con In-Reply-To/References)
+ALTER TABLE email_outbox ADD COLUMN from_addr text, ADD COLUMN headers jsonb;
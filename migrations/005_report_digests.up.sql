@@ -0,0 +1,3 @@
+-- Resúmenes de informes enviados por email: una fila por periodo ("daily:2026-10-18", "weekly:2026-10-12")
+-- para que solo una instancia lo envíe y una sola vez
+CREATE TABLE report_digests(period text PRIMARY KEY, sent_at timestamptz DEFAULT now());
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS processed_events_created_idx;
+DROP TABLE IF EXISTS reconciliation_runs;
@@ -0,0 +1,15 @@
+-- Informe de cada ejecución de la reconciliación con Stripe (webhooks perdidos que se han reproducido)
+CREATE TABLE reconciliation_runs(
+  id SERIAL PRIMARY KEY,
+  trigger text NOT NULL DEFAULT 'schedule',
+  status text NOT NULL DEFAULT 'running',
+  since timestamptz NOT NULL,
+  checked jsonb,
+  fixed jsonb,
+  errors jsonb,
+  pruned_events int NOT NULL DEFAULT 0,
+  started_at timestamptz DEFAULT now(),
+  finished_at timestamptz
+);
+CREATE INDEX reconciliation_runs_started_idx ON reconciliation_runs(started_at DESC);
+CREATE INDEX processed_events_created_idx ON processed_events(created_at);
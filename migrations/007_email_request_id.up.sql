@@ -0,0 +1,2 @@
+-- Id de la petición que encoló cada email, para seguirlo en los logs hasta su entrega
+ALTER TABLE email_outbox ADD COLUMN request_id text;
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS orders_raw_unpruned_idx;
+ALTER TABLE gift_subscriptions DROP COLUMN IF EXISTS anonymized_at;
+ALTER TABLE subscribers DROP COLUMN IF EXISTS anonymized_at;
+ALTER TABLE orders DROP COLUMN IF EXISTS raw_pruned_at, DROP COLUMN IF EXISTS anonymized_at;
+DROP TABLE IF EXISTS privacy_audit;
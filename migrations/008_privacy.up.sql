@@ -0,0 +1,21 @@
+-- RGPD: registro de solicitudes (exportación, supresión) y de la tarea de retención.
+-- El email se guarda como hash + versión enmascarada para que el propio registro no contradiga la supresión.
+CREATE TABLE privacy_audit(
+  id SERIAL PRIMARY KEY,
+  action text NOT NULL,
+  channel text NOT NULL,
+  email_hash text,
+  email_masked text,
+  actor text,
+  ip text,
+  request_id text,
+  details jsonb,
+  created_at timestamptz DEFAULT now()
+);
+CREATE INDEX privacy_audit_email_idx ON privacy_audit(email_hash, created_at DESC);
+
+-- Marcas de anonimización (supresión) y de poda de payloads antiguos (retención)
+ALTER TABLE orders ADD COLUMN anonymized_at timestamptz, ADD COLUMN raw_pruned_at timestamptz;
+ALTER TABLE subscribers ADD COLUMN anonymized_at timestamptz;
+ALTER TABLE gift_subscriptions ADD COLUMN anonymized_at timestamptz;
+CREATE INDEX orders_raw_unpruned_idx ON orders(created_at) WHERE raw_pruned_at IS NULL;
@@ -0,0 +1,30 @@
+-- Programa de referidos: un código por suscriptor (código promocional de Stripe sobre un cupón común)
+CREATE TABLE referral_codes(
+  customer_id text PRIMARY KEY,
+  code text UNIQUE NOT NULL,
+  promotion_code_id text UNIQUE NOT NULL,
+  coupon_id text NOT NULL,
+  active boolean NOT NULL DEFAULT true,
+  max_rewards int, -- NULL = REFERRAL_MAX_REWARDS
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Una fila por cliente nuevo que se suscribe con un código. status: pending | rewarded | capped | rejected
+CREATE TABLE referrals(
+  id SERIAL PRIMARY KEY,
+  referrer_customer_id text NOT NULL,
+  referred_customer_id text UNIQUE NOT NULL,
+  subscription_id text,
+  promotion_code_id text NOT NULL,
+  status text NOT NULL DEFAULT 'pending',
+  reason text,
+  reward_cents int,
+  currency text,
+  balance_transaction_id text,
+  invoice_id text,
+  created_at timestamptz DEFAULT now(),
+  rewarded_at timestamptz
+);
+CREATE INDEX referrals_referrer_idx ON referrals(referrer_customer_id, created_at DESC);
+CREATE INDEX referrals_pending_idx ON referrals(subscription_id) WHERE status = 'pending';
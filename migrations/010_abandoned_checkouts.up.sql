@@ -0,0 +1,25 @@
+-- Checkouts caducados con el email ya escrito: se guardan con sus líneas para mandar un recordatorio con el enlace
+-- de recuperación de Stripe. status: pending | sent | skipped | completed (compró por otro lado) | recovered
+CREATE TABLE abandoned_checkouts(
+  session_id text PRIMARY KEY,
+  mode text NOT NULL,
+  email text NOT NULL,
+  name text,
+  locale text,
+  currency text,
+  amount_total int,
+  items jsonb,
+  reservation_id text,
+  recovery_url text,
+  recovery_expires_at timestamptz,
+  consent_promotions text,
+  status text NOT NULL DEFAULT 'pending',
+  reason text,
+  started_at timestamptz,
+  send_at timestamptz,
+  sent_at timestamptz,
+  recovered_session_id text,
+  created_at timestamptz DEFAULT now()
+);
+CREATE INDEX abandoned_checkouts_due_idx ON abandoned_checkouts(send_at) WHERE status = 'pending';
+CREATE INDEX abandoned_checkouts_email_idx ON abandoned_checkouts(lower(email), created_at DESC);
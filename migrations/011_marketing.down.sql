@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS marketing_suppressions;
+DROP TABLE IF EXISTS campaign_recipients;
+DROP TABLE IF EXISTS campaigns;
+DROP TABLE IF EXISTS marketing_consent_events;
+DROP TABLE IF EXISTS marketing_contacts;
@@ -0,0 +1,63 @@
+-- Contactos de marketing: un registro por email (normalizado) con su consentimiento vigente
+CREATE TABLE marketing_contacts(
+  email text PRIMARY KEY,
+  name text,
+  locale text,
+  country text,
+  consent boolean NOT NULL DEFAULT false,
+  source text,
+  consent_at timestamptz,
+  unsubscribed_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+CREATE INDEX marketing_contacts_consent_idx ON marketing_contacts(country) WHERE consent;
+
+-- Historial de altas y bajas (prueba del consentimiento)
+CREATE TABLE marketing_consent_events(
+  id SERIAL PRIMARY KEY,
+  email text NOT NULL,
+  consent boolean NOT NULL,
+  source text NOT NULL,
+  campaign_id int,
+  ip text,
+  created_at timestamptz DEFAULT now()
+);
+CREATE INDEX marketing_consent_events_email_idx ON marketing_consent_events(email, created_at DESC);
+
+-- Campañas. status: draft | sending | sent | canceled
+CREATE TABLE campaigns(
+  id SERIAL PRIMARY KEY,
+  name text NOT NULL,
+  subject text NOT NULL,
+  header text,
+  html text NOT NULL,
+  locale text NOT NULL DEFAULT 'es',
+  segment jsonb NOT NULL DEFAULT '{}',
+  status text NOT NULL DEFAULT 'draft',
+  recipients int NOT NULL DEFAULT 0,
+  scheduled_at timestamptz,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Destinatarios fijados al lanzar la campaña. status: pending | queued | unsubscribed
+CREATE TABLE campaign_recipients(
+  campaign_id int NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  email text NOT NULL,
+  name text,
+  status text NOT NULL DEFAULT 'pending',
+  queued_at timestamptz,
+  PRIMARY KEY(campaign_id, email)
+);
+CREATE INDEX campaign_recipients_pending_idx ON campaign_recipients(campaign_id) WHERE status = 'pending';
+
+-- Bajas de personas cuyos datos se han suprimido (RGPD): solo el hash del email,
+-- para que un checkout o una importación posterior no las vuelva a dar de alta
+CREATE TABLE marketing_suppressions(
+  email_hash text PRIMARY KEY,
+  reason text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
@@ -2,7 +2,6 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import morgan from 'morgan';
 import helmet from 'helmet'; // 🛡️ NUEVO
 import rateLimit from 'express-rate-limit';
 import Stripe from 'stripe';
@@ -10,6 +9,26 @@ import { Resend } from 'resend';
 import nodemailer from 'nodemailer';
 import PDFDocument from 'pdfkit';
 import pg from 'pg';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { migrateUp, pendingMigrations } from './migrate.js';
+import { loadConfig, redactConfig } from './config.js';
+import { logger, configureLogger, captureConsole, runWithContext, addLogContext, logContext } from './logger.js';
+import { counter, histogram, renderMetrics } from './metrics.js';
+import { buildZip } from './zip.js';
+
+// Configuración: si alguna variable no es válida, no se arranca
+const { config, errors: configErrors, warnings: configWarnings } = loadConfig();
+configureLogger({ level: config.LOG_LEVEL, format: config.LOG_FORMAT });
+captureConsole();
+for (const w of configWarnings) console.warn(`⚠️ ${w}`);
+if (configErrors.length) {
+  console.error(`\n🚨 [ERROR FATAL] Configuración no válida:\n${configErrors.map(e => `  - ${e}`).join('\n')}\n`);
+  process.exit(1);
+}
 
 const { Pool } = pg;
 
@@ -18,6 +37,30 @@ const app = express();
 // 🟢 CRÍTICO PARA RENDER
 app.set('trust proxy', 1);
 
+// ===== Métricas (GET /metrics) =====
+const webhookEventsTotal = counter('webhook_events_total', 'Eventos de Stripe recibidos por tipo y resultado', ['type', 'outcome']);
+const emailsTotal = counter('emails_total', 'Emails entregados o fallidos por transporte', ['transport', 'outcome']);
+const checkoutSessionsTotal = counter('checkout_sessions_created_total', 'Sesiones de checkout creadas', ['kind']);
+const dbQueryDuration = histogram('db_query_duration_seconds', 'Duración de las consultas a Postgres', ['outcome']);
+
+// ===== Id de petición y log de acceso =====
+// Se respeta el X-Request-Id que llegue (proxy de Render, front) y se devuelve siempre; todos los logs de la petición lo llevan
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    // originalUrl: dentro de un router req.path pierde el prefijo (/admin, /api/account...)
+    const path = req.originalUrl.split('?')[0];
+    const fields = { request_id: req.id, method: req.method, path, status: res.statusCode, duration_ms: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10, ip: req.ip };
+    if (QUIET_PATHS.includes(path)) logger.debug('request', fields);
+    else logger[res.statusCode >= 500 ? 'error' : 'info']('request', fields);
+  });
+  runWithContext({ request_id: req.id }, next);
+});
+
 // ==========================================
 // 🛡️ CAPA DE SEGURIDAD (SECURITY LAYER)
 // ==========================================
@@ -31,14 +74,41 @@ app.use((req, res, next) => {
   next();
 });
 
+// ===== Salud y métricas =====
+// Liveness: el proceso responde
+app.get('/healthz', (req, res) => res.json({ status: 'ok', uptime: Math.round(process.uptime()) }));
+
+// Readiness: configuración válida, Postgres contesta y no faltan migraciones. 503 si algo falla.
+app.get('/readyz', async (req, res) => {
+  const checks = { config: configErrors.length ? 'error' : 'ok' };
+  if (!pool) {
+    checks.database = config.NODE_ENV === 'production' ? 'missing' : 'disabled';
+  } else {
+    try {
+      await Promise.race([dbQuery('SELECT 1'), new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 3000).unref())]);
+      checks.database = 'ok';
+      const pending = await pendingMigrations(pool);
+      checks.migrations = pending.length ? `pending: ${pending.map(m => `${m.version}_${m.name}`).join(', ')}` : 'ok';
+    } catch (e) {
+      console.error('[readyz] Postgres:', e.message);
+      checks.database = 'error';
+    }
+  }
+  const ready = Object.values(checks).every(v => v === 'ok' || v === 'disabled');
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks, warnings: configWarnings.length });
+});
+
+app.get('/metrics', (req, res) => {
+  if (config.METRICS_TOKEN) {
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith('Bearer ') || !safeEqual(auth.slice(7).trim(), config.METRICS_TOKEN)) return res.status(401).send('No autorizado');
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
 // 3. CORS ESTRICTO: Solo permite peticiones desde tus dominios
-const allowedOrigins = [
-  'https://guarrosextremenos.com',
-  'https://www.guarrosextremenos.com',
-  'https://guarros-extremenos-api.onrender.com',
-  // Añade localhost solo si estás probando en local
-  // 'http://localhost:3000' 
-];
+// Orígenes en ALLOWED_ORIGINS (separados por comas); para probar en local añade http://localhost:5173
+const allowedOrigins = config.ALLOWED_ORIGINS;
 
 app.use(cors({
   origin: (origin, cb) => {
@@ -47,7 +117,8 @@ app.use(cors({
     if (allowedOrigins.includes(origin)) return cb(null, true);
     return cb(new Error('Bloqueado por CORS policy'));
   },
-  allowedHeaders: ['Content-Type', 'Authorization', 'Stripe-Signature']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Stripe-Signature', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // 4. RATE LIMIT GLOBAL: Protege toda la API contra DDoS/Fuerza bruta
@@ -69,35 +140,158 @@ const jsonParser = express.json({ limit: '50kb' });
 // CONFIGURACIÓN ORIGINAL
 // ==========================================
 
-const PORT = process.env.PORT || 10000;
+const PORT = config.PORT;
 
 // ===== Stripe =====
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
+const stripe = new Stripe(config.STRIPE_SECRET_KEY, { apiVersion: '2024-06-20' });
 
 // ===== Marca / Config =====
-const BRAND = process.env.BRAND_NAME || 'Guarros Extremeños';
-const BRAND_PRIMARY = process.env.BRAND_PRIMARY || '#D62828';
-const BRAND_LOGO_URL = process.env.BRAND_LOGO_URL || '';
-const API_PUBLIC_BASE = process.env.API_PUBLIC_BASE || 'https://guarros-extremenos-api.onrender.com';
-const FRONT_BASE = (process.env.FRONT_BASE || 'https://guarrosextremenos.com').replace(/\/+$/, '');
-const PORTAL_RETURN_URL = process.env.CUSTOMER_PORTAL_RETURN_URL || `${FRONT_BASE}/account`;
-const BILLING_PORTAL_CONFIG = process.env.STRIPE_BILLING_PORTAL_CONFIG || null;
+const BRAND = config.BRAND_NAME;
+const BRAND_PRIMARY = config.BRAND_PRIMARY;
+const BRAND_LOGO_URL = config.BRAND_LOGO_URL;
+const API_PUBLIC_BASE = config.API_PUBLIC_BASE;
+const FRONT_BASE = config.FRONT_BASE;
+const PORTAL_RETURN_URL = config.CUSTOMER_PORTAL_RETURN_URL;
+const BILLING_PORTAL_CONFIG = config.STRIPE_BILLING_PORTAL_CONFIG || null;
+
+// ===== Enlaces firmados (portal de facturación) =====
+const LINK_SIGNING_SECRET = config.LINK_SIGNING_SECRET;
+const PORTAL_LINK_TTL_DAYS = config.PORTAL_LINK_TTL_DAYS;
+const PORTAL_LEGACY_LINKS_UNTIL = config.PORTAL_LEGACY_LINKS_UNTIL;
+const CUSTOMER_TOKEN_TTL_DAYS = config.CUSTOMER_TOKEN_TTL_DAYS;
+const SUBSCRIPTION_MANAGE_URL = config.SUBSCRIPTION_MANAGE_URL;
+const PORTAL_RETURN_ALLOWLIST = config.PORTAL_RETURN_ALLOWLIST;
+// Cuenta de cliente: página del front que recibe ?token= del enlace mágico
+const ACCOUNT_URL = config.ACCOUNT_URL;
+const ACCOUNT_LOGIN_LINK_MINUTES = config.ACCOUNT_LOGIN_LINK_MINUTES;
+const ACCOUNT_SESSION_MINUTES = config.ACCOUNT_SESSION_MINUTES;
+
+// ===== RGPD =====
+const PRIVACY_EXPORT_LINK_MINUTES = config.PRIVACY_EXPORT_LINK_MINUTES;
+const RAW_PAYLOAD_RETENTION_DAYS = config.RAW_PAYLOAD_RETENTION_DAYS;
 
 const SEND_CUSTOMER_UPDATED_ONLY_IF_KNOWN = true;
-const RESEND_API_KEY = process.env.RESEND_API_KEY || '';
-const SMTP_HOST = process.env.SMTP_HOST || '';
-const SMTP_PORT = Number(process.env.SMTP_PORT || 465);
-const SMTP_USER = process.env.SMTP_USER || '';
-const SMTP_PASS = process.env.SMTP_PASS || '';
+const RESEND_API_KEY = config.RESEND_API_KEY;
+const SMTP_HOST = config.SMTP_HOST;
+const SMTP_PORT = config.SMTP_PORT;
+const SMTP_USER = config.SMTP_USER;
+const SMTP_PASS = config.SMTP_PASS;
 const SMTP_SECURE = String(SMTP_PORT) === '465';
 
-const CUSTOMER_FROM = process.env.CUSTOMER_FROM || process.env.CORPORATE_FROM || 'no-reply@guarrosextremenos.com';
-const CORPORATE_EMAIL = process.env.CORPORATE_EMAIL || process.env.SMTP_USER || '';
-const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || 'soporte@guarrosextremenos.com';
+// resend | smtp | file | memory. Sin definir: resend si hay API key, smtp si hay servidor; si no, no se envía nada.
+const EMAIL_TRANSPORT = config.EMAIL_TRANSPORT;
+// Carpeta del transporte "file"
+const EMAIL_OUTBOX_DIR = config.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'guarros-emails');
+
+const CUSTOMER_FROM = config.CUSTOMER_FROM;
+const CORPORATE_EMAIL = config.CORPORATE_EMAIL;
+const SUPPORT_EMAIL = config.SUPPORT_EMAIL;
+const SUPPORT_FROM = `"${BRAND.replace(/["\\]/g, '')}" <${SUPPORT_EMAIL}>`;
+
+const COMBINE_CONFIRMATION_AND_INVOICE = config.COMBINE_CONFIRMATION_AND_INVOICE;
+const ATTACH_STRIPE_INVOICE = config.ATTACH_STRIPE_INVOICE;
+const CUSTOMER_BCC_CORPORATE = config.CUSTOMER_BCC_CORPORATE;
+
+// ===== Outbox de emails =====
+const EMAIL_MAX_ATTEMPTS = config.EMAIL_MAX_ATTEMPTS;
+const EMAIL_RETRY_BASE_SECONDS = config.EMAIL_RETRY_BASE_SECONDS;
+const EMAIL_OUTBOX_POLL_SECONDS = config.EMAIL_OUTBOX_POLL_SECONDS;
+
+// ===== Contacto =====
+const CONTACT_SPAM_THRESHOLD = config.CONTACT_SPAM_THRESHOLD;
+const CONTACT_LIMITS = { email: 254, name: 100, subject: 150, message: 5000, minMessage: 10 };
+const CONTACT_STATUSES = ['new', 'answered', 'closed'];
+
+// ===== Reconciliación =====
+const RECONCILE_INTERVAL_MINUTES = config.RECONCILE_INTERVAL_MINUTES;
+const RECONCILE_LOOKBACK_HOURS = config.RECONCILE_LOOKBACK_HOURS;
+const PROCESSED_EVENTS_RETENTION_DAYS = config.PROCESSED_EVENTS_RETENTION_DAYS;
+
+// ===== Informes =====
+const REPORT_TIMEZONE = config.REPORT_TIMEZONE;
+const REPORT_DIGEST = config.REPORT_DIGEST;
+const REPORT_DIGEST_HOUR = config.REPORT_DIGEST_HOUR;
+
+// ===== Referidos =====
+const REFERRAL_ENABLED = config.REFERRAL_ENABLED;
+const REFERRAL_DISCOUNT_PERCENT = config.REFERRAL_DISCOUNT_PERCENT;
+const REFERRAL_REWARD_CENTS = config.REFERRAL_REWARD_CENTS;
+const REFERRAL_MAX_REWARDS = config.REFERRAL_MAX_REWARDS;
+const REFERRAL_MONTHLY_BUDGET_CENTS = config.REFERRAL_MONTHLY_BUDGET_CENTS;
+
+// ===== Checkouts abandonados =====
+const ABANDONED_CHECKOUT_EMAILS = config.ABANDONED_CHECKOUT_EMAILS;
+const ABANDONED_CHECKOUT_DELAY_MINUTES = config.ABANDONED_CHECKOUT_DELAY_MINUTES;
+const ABANDONED_CHECKOUT_PROMO_CODE = config.ABANDONED_CHECKOUT_PROMO_CODE;
+
+// ===== Marketing =====
+const MARKETING_SEND_PER_MINUTE = config.MARKETING_SEND_PER_MINUTE;
+const UNSUBSCRIBE_LINK_TTL_DAYS = config.UNSUBSCRIBE_LINK_TTL_DAYS;
+const CAMPAIGN_AUDIENCES = ['all', 'subscribers', 'buyers'];
+const CAMPAIGN_LIMITS = { name: 200, subject: 200, header: 200 };
+// Stripe genera un enlace de recuperación al caducar la sesión; el cliente decide si acepta comunicaciones
+const CHECKOUT_RECOVERY = {
+  after_expiration: { recovery: { enabled: true, allow_promotion_codes: true } },
+  consent_collection: { promotions: 'auto' },
+};
+
+// ===== Admin API =====
+const ADMIN_API_KEY = config.ADMIN_API_KEY;
+
+// ===== Stock =====
+// Bolsa compartida (en gramos) de la que tiran las suscripciones. Capacidad mensual.
+const SUB_POOL_SKU = 'subscription_pool';
+// Stripe no permite caducar una sesión de checkout antes de 30 minutos (validado en config.js)
+const CHECKOUT_RESERVATION_MINUTES = config.CHECKOUT_RESERVATION_MINUTES;
+
+// ===== Catálogo (copia de los productos y precios activos de Stripe) =====
+const CATALOG_TTL_MS = config.CATALOG_TTL_MINUTES * 60 * 1000;
+// Por debajo de estas unidades libres el producto se marca como "últimas unidades"
+const LOW_STOCK_UNITS = 5;
 
-const COMBINE_CONFIRMATION_AND_INVOICE = String(process.env.COMBINE_CONFIRMATION_AND_INVOICE || 'true') !== 'false';
-const ATTACH_STRIPE_INVOICE = String(process.env.ATTACH_STRIPE_INVOICE || 'false') === 'true';
-const CUSTOMER_BCC_CORPORATE = String(process.env.CUSTOMER_BCC_CORPORATE || 'false') === 'true';
+// ===== Fulfillment =====
+// Plantilla opcional de seguimiento, p.ej. https://www.correos.es/es/es/herramientas/localizador/envios/detalle?tracking-number={tracking}
+const TRACKING_URL_TEMPLATE = config.TRACKING_URL_TEMPLATE;
+const SHIPMENT_STATUSES = ['pending', 'packed', 'shipped'];
+
+// ===== Envíos (zonas por país con tramos de peso; formato en config.js) =====
+const SHIPPING_ZONES = config.SHIPPING_ZONES_JSON;
+const FREE_SHIPPING_THRESHOLD = config.FREE_SHIPPING_THRESHOLD;
+const SHIPPING_DEFAULT_ITEM_GRAMS = config.SHIPPING_DEFAULT_ITEM_GRAMS;
+const ALLOWED_SHIPPING_COUNTRIES = SHIPPING_ZONES.flatMap(z => z.countries);
+// Si el front no manda el país de envío se cotiza (y se limita el checkout) como envío nacional
+const DEFAULT_SHIPPING_COUNTRY = 'ES';
+
+// ===== Facturación (facturas con serie correlativa e IVA) =====
+const SELLER_LEGAL_NAME = config.SELLER_LEGAL_NAME;
+const SELLER_TAX_ID = config.SELLER_TAX_ID;
+const SELLER_ADDRESS = config.SELLER_ADDRESS; // líneas separadas por "|"
+const INVOICE_SERIES = config.INVOICE_SERIES;
+const RECTIFYING_SERIES = config.RECTIFYING_INVOICE_SERIES;
+const INVOICE_LINK_TTL_DAYS = config.INVOICE_LINK_TTL_DAYS;
+// Ventas a distancia UE: IVA del país de destino (ventanilla única OSS)
+const OSS_ENABLED = config.OSS_ENABLED;
+// Tipos (%) por país: "reduced" = alimentación (jamón), "standard" = general. Revisar con la asesoría.
+// Se pueden sobrescribir con VAT_RATES_JSON='{"FR":{"reduced":5.5,"standard":20}}'
+const VAT_RATES = Object.freeze({
+  ES: { reduced: 10, standard: 21 },
+  FR: { reduced: 5.5, standard: 20 },
+  PT: { reduced: 6, standard: 23 },
+  DE: { reduced: 7, standard: 19 },
+  IT: { reduced: 10, standard: 22 },
+  BE: { reduced: 6, standard: 21 },
+  NL: { reduced: 9, standard: 21 },
+  ...config.VAT_RATES_JSON,
+});
+const countriesWithoutVat = ALLOWED_SHIPPING_COUNTRIES.filter(c => !VAT_RATES[c]);
+if (countriesWithoutVat.length) console.error(`⚠️ Sin tipos de IVA para ${countriesWithoutVat.join(', ')}: se facturarán con el IVA español.`);
+
+// ===== Idiomas (emails) =====
+// Catálogos en locales/<idioma>.json. Sin idioma del checkout se deduce del país de envío.
+const SUPPORTED_LOCALES = ['es', 'en', 'pt', 'fr'];
+const DEFAULT_LOCALE = 'es';
+const COUNTRY_LOCALES = { ES: 'es', PT: 'pt', FR: 'fr', BE: 'fr' }; // resto de países → en
+const INTL_LOCALES = { es: 'es-ES', en: 'en-GB', pt: 'pt-PT', fr: 'fr-FR' };
 
 // ===== Rate Limiter Específico (Contacto) =====
 const contactLimiter = rateLimit({
@@ -114,10 +308,18 @@ const SUB_PRICE_TABLE = Object.freeze({
   700: 11400, 800: 12500, 900: 13600, 1000: 14800, 1500: 20400, 2000: 26000,
 });
 const ALLOWED_SUB_GRAMS = Object.keys(SUB_PRICE_TABLE).map(Number);
+// Suscripciones regalo: meses prepagados permitidos
+const GIFT_MONTHS = [1, 3, 6, 12];
+// Tramo de gramos a partir del importe mensual (céntimos); null si no coincide con la tabla
+const gramsForAmount = (cents) => ALLOWED_SUB_GRAMS.find(g => SUB_PRICE_TABLE[g] === Number(cents)) ?? null;
+
+if (!LINK_SIGNING_SECRET) console.error('⚠️ LINK_SIGNING_SECRET no configurado: los emails no incluirán enlace al portal.');
 
 // ===== DB =====
-const pool = process.env.DATABASE_URL
-  ? new Pool({ connectionString: process.env.DATABASE_URL, ssl: { require: true, rejectUnauthorized: false }, max: 5 })
+// Aplicar migraciones pendientes al arrancar (false: solo comprobar y negarse a arrancar si faltan)
+const MIGRATE_ON_START = config.MIGRATE_ON_START;
+const pool = config.DATABASE_URL
+  ? new Pool({ connectionString: config.DATABASE_URL, ssl: { require: true, rejectUnauthorized: false }, max: 5 })
   : null;
 
 if (!pool) {
@@ -128,19 +330,48 @@ if (!pool) {
 
 async function dbQuery(text, params) {
   if (!pool) throw new Error('DB query failed: No connection pool.');
-  try { return await pool.query(text, params); }
-  catch (e) { console.error('[DB QUERY ERROR]', e.message); throw e; }
+  const done = dbQueryDuration.startTimer();
+  try {
+    const result = await pool.query(text, params);
+    done({ outcome: 'ok' });
+    return result;
+  } catch (e) {
+    done({ outcome: 'error' });
+    console.error('[DB QUERY ERROR]', e.message);
+    throw e;
+  }
 }
 
-// Inicialización de tablas
-(async () => {
-  if (!pool) return;
-  await dbQuery(`CREATE TABLE IF NOT EXISTS processed_events(event_id text PRIMARY KEY, created_at timestamptz DEFAULT now())`);
-  await dbQuery(`CREATE TABLE IF NOT EXISTS mailed_invoices(invoice_id text PRIMARY KEY, sent_at timestamptz DEFAULT now())`);
-  await dbQuery(`CREATE TABLE IF NOT EXISTS orders(session_id text PRIMARY KEY, email text, name text, phone text, total numeric, currency text, items jsonb, metadata jsonb, shipping jsonb, status text, customer_details jsonb, address text, city text, postal text, country text, created_at timestamptz DEFAULT now())`);
-  await dbQuery(`CREATE TABLE IF NOT EXISTS order_items(id SERIAL PRIMARY KEY, session_id text REFERENCES orders(session_id), description text, product_id text, price_id text, quantity int, unit_amount_cents int, amount_total_cents int, currency text, raw jsonb)`);
-  await dbQuery(`CREATE TABLE IF NOT EXISTS subscribers(customer_id text PRIMARY KEY, subscription_id text, email text, plan text, status text, name text, phone text, address text, city text, postal text, country text, meta jsonb, created_at timestamptz DEFAULT now(), updated_at timestamptz DEFAULT now(), canceled_at timestamptz)`);
-})();
+async function withTransaction(fn) {
+  if (!pool) throw new Error('DB query failed: No connection pool.');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[DB TX ERROR]', e.message);
+    throw e;
+  } finally { client.release(); }
+}
+
+// Ejecuta fn solo si esta instancia consigue el advisory lock "key" (sin esperar). → { acquired, result }
+async function withTryLock(key, fn) {
+  if (!pool) throw new Error('DB query failed: No connection pool.');
+  const client = await pool.connect();
+  let acquired = false;
+  try {
+    acquired = (await client.query(`SELECT pg_try_advisory_lock($1) AS ok`, [key])).rows[0].ok;
+    return { acquired, result: acquired ? await fn() : undefined };
+  } finally {
+    if (acquired) await client.query(`SELECT pg_advisory_unlock($1)`, [key]).catch(() => {});
+    client.release();
+  }
+}
+
+// El esquema vive en migrations/ (ver migrate.js); se aplica antes de arrancar, al final de este fichero
 
 // ===== DB Helpers =====
 
@@ -155,15 +386,16 @@ const logOrder = async (o) => {
   const text = `
     INSERT INTO orders (
       session_id, email, name, phone, total, currency, items, metadata, shipping, status, customer_details,
-      address, city, postal, country, created_at
+      address, city, postal, country, locale, kind, created_at
     )
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15, NOW())
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17, NOW())
     ON CONFLICT (session_id) DO UPDATE SET
       email=EXCLUDED.email, name=EXCLUDED.name, phone=EXCLUDED.phone,
       total=EXCLUDED.total, currency=EXCLUDED.currency, items=EXCLUDED.items,
       metadata=EXCLUDED.metadata, shipping=EXCLUDED.shipping, status=EXCLUDED.status,
       customer_details=EXCLUDED.customer_details,
-      address=EXCLUDED.address, city=EXCLUDED.city, postal=EXCLUDED.postal, country=EXCLUDED.country
+      address=EXCLUDED.address, city=EXCLUDED.city, postal=EXCLUDED.postal, country=EXCLUDED.country,
+      locale=COALESCE(EXCLUDED.locale, orders.locale), kind=EXCLUDED.kind
   `;
   const vals = [
     o.sessionId, o.email || null, o.name || null, o.phone || null,
@@ -171,34 +403,37 @@ const logOrder = async (o) => {
     JSON.stringify(o.items || []), JSON.stringify(o.metadata || {}),
     JSON.stringify(o.shipping || {}), o.status || 'paid',
     JSON.stringify(o.customer_details || {}),
-    o.address || null, o.city || null, o.postal || null, o.country || null
+    o.address || null, o.city || null, o.postal || null, o.country || null, o.locale || null, o.kind || 'order'
   ];
   await dbQuery(text, vals);
 };
 
+// Se reemplazan las líneas de la sesión en una transacción: el reintento de un evento no las duplica
 const logOrderItems = async (sessionId, items, currency) => {
   if (!pool || !Array.isArray(items)) return;
   const text = `
     INSERT INTO order_items
       (session_id, description, product_id, price_id, quantity, unit_amount_cents, amount_total_cents, currency, raw)
     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-    ON CONFLICT DO NOTHING
   `;
-  for (const li of items) {
-    const vals = [
-      sessionId, li.description || null, li.price?.product || null, li.price?.id || null,
-      li.quantity || 1, li.price?.unit_amount ?? null, li.amount_total ?? li.amount ?? 0,
-      (li.currency || currency || 'eur').toUpperCase(), JSON.stringify(li),
-    ];
-    await dbQuery(text, vals);
-  }
+  await withTransaction(async (client) => {
+    await client.query(`DELETE FROM order_items WHERE session_id = $1`, [sessionId]);
+    for (const li of items) {
+      const vals = [
+        sessionId, li.description || null, li.price?.product || null, li.price?.id || null,
+        li.quantity || 1, li.price?.unit_amount ?? null, li.amount_total ?? li.amount ?? 0,
+        (li.currency || currency || 'eur').toUpperCase(), JSON.stringify(li),
+      ];
+      await client.query(text, vals);
+    }
+  });
 };
 
-const upsertSubscriber = async ({ customer_id, subscription_id = null, email, plan, status, name = null, phone = null, address = null, city = null, postal = null, country = null, meta = null }) => {
+const upsertSubscriber = async ({ customer_id, subscription_id = null, email, plan, status, name = null, phone = null, address = null, city = null, postal = null, country = null, meta = null, locale = null }) => {
   if (!pool) return null;
   const text = `
-    INSERT INTO subscribers (customer_id, subscription_id, email, plan, status, name, phone, address, city, postal, country, meta, created_at, updated_at)
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12, NOW(), NOW())
+    INSERT INTO subscribers (customer_id, subscription_id, email, plan, status, name, phone, address, city, postal, country, meta, locale, created_at, updated_at)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13, NOW(), NOW())
     ON CONFLICT (customer_id) DO UPDATE SET
       subscription_id = COALESCE(EXCLUDED.subscription_id, subscribers.subscription_id),
       email  = COALESCE(EXCLUDED.email,  subscribers.email),
@@ -210,15 +445,39 @@ const upsertSubscriber = async ({ customer_id, subscription_id = null, email, pl
       city   = COALESCE(EXCLUDED.city,   subscribers.city),
       postal = COALESCE(EXCLUDED.postal, subscribers.postal),
       country= COALESCE(EXCLUDED.country,subscribers.country),
-      meta   = COALESCE(EXCLUDED.meta,   subscribers.meta),
+      meta   = COALESCE(subscribers.meta, '{}'::jsonb) || COALESCE(EXCLUDED.meta, '{}'::jsonb),
+      locale = COALESCE(EXCLUDED.locale, subscribers.locale),
       updated_at = NOW()
     RETURNING *;
   `;
-  const values = [customer_id, subscription_id, email, plan, status, name, phone, address, city, postal, country, meta ? JSON.stringify(meta) : null];
+  const values = [customer_id, subscription_id, email, plan, status, name, phone, address, city, postal, country, meta ? JSON.stringify(meta) : null, locale];
   const { rows } = await dbQuery(text, values);
   return rows?.[0] || null;
 };
 
+const markSubscriberStatus = async (subscription_id, status) => {
+  if (!pool || !subscription_id) return;
+  await dbQuery(`UPDATE subscribers SET status = $2, updated_at = NOW() WHERE subscription_id = $1`, [subscription_id, status]);
+};
+
+// Mezcla "patch" en subscribers.meta y añade "entry" al historial de cambios (meta.history)
+const updateSubscriberMeta = async (customer_id, patch = {}, entry = null) => {
+  if (!pool) return null;
+  const { rows } = await dbQuery(`
+    UPDATE subscribers SET
+      meta = (COALESCE(meta, '{}'::jsonb) || $2::jsonb)
+        || CASE WHEN $3::jsonb IS NULL THEN '{}'::jsonb ELSE jsonb_build_object('history', COALESCE(meta->'history', '[]'::jsonb) || jsonb_build_array($3::jsonb)) END,
+      updated_at = NOW()
+    WHERE customer_id = $1 RETURNING *
+  `, [customer_id, JSON.stringify(patch), entry ? JSON.stringify({ at: new Date().toISOString(), ...entry }) : null]);
+  return rows[0] || null;
+};
+
+const updateOrderStatus = async (session_id, status, amountRefunded = null) => {
+  if (!pool || !session_id) return;
+  await dbQuery(`UPDATE orders SET status = $2, amount_refunded = COALESCE($3, amount_refunded) WHERE session_id = $1`, [session_id, status, amountRefunded]);
+};
+
 const markCanceled = async (subscription_id) => { if (!pool) return; await dbQuery(`UPDATE subscribers SET status='canceled', canceled_at=NOW() WHERE subscription_id=$1`, [subscription_id]); };
 
 const subscriberExists = async (customer_id) => {
@@ -227,12 +486,516 @@ const subscriberExists = async (customer_id) => {
   return rows?.length > 0;
 };
 
+// Idioma guardado en el checkout (suscriptor o pedido); null si no lo tenemos
+const getSubscriberLocale = async (customer_id) => {
+  if (!pool || !customer_id) return null;
+  const { rows } = await dbQuery(`SELECT locale FROM subscribers WHERE customer_id = $1`, [customer_id]);
+  return rows[0]?.locale || null;
+};
+const getOrderLocale = async (session_id) => {
+  if (!pool || !session_id) return null;
+  const { rows } = await dbQuery(`SELECT locale FROM orders WHERE session_id = $1`, [session_id]);
+  return rows[0]?.locale || null;
+};
+
+// ===== Stock: niveles y reservas =====
+// Solo se controla el stock de los SKUs (product id de Stripe) que tengan fila en stock_levels.
+const subscriptionDemandGrams = async (db = { query: dbQuery }) => {
+  const { rows } = await db.query(`
+    SELECT ((SELECT COALESCE(SUM(NULLIF(meta->>'subscription_grams', '')::int), 0) FROM subscribers WHERE status IN ('active', 'trialing', 'past_due'))
+          + (SELECT COALESCE(SUM(grams), 0) FROM gift_subscriptions WHERE status = 'active'))::int AS grams
+  `);
+  return rows[0].grams;
+};
+
+// Gramos libres en la bolsa de suscripción; null si no se controla
+const subscriptionPoolAvailable = async () => {
+  if (!pool) return null;
+  const { rows } = await dbQuery(`SELECT on_hand, reserved FROM stock_levels WHERE sku = $1`, [SUB_POOL_SKU]);
+  if (!rows.length) return null;
+  return rows[0].on_hand - rows[0].reserved - await subscriptionDemandGrams();
+};
+
+// Stripe rechaza un expires_at a menos de 30 minutos de crear la sesión: se calcula justo antes de
+// sessions.create, con un minuto de margen y sin pasar de 24 h. La reserva dura unos minutos más que la sesión.
+const checkoutExpiresAt = () => Math.floor(Date.now() / 1000) + Math.min(Math.max(CHECKOUT_RESERVATION_MINUTES, 31), 1439) * 60;
+const reservationExpiresAt = () => new Date(Date.now() + (Math.max(CHECKOUT_RESERVATION_MINUTES, 31) + 5) * 60 * 1000);
+
+// wants: [{ sku, quantity, label }]. Devuelve { ok, shortages } sin reservar nada si falta algo.
+const reserveStock = async (reservationId, wants, expiresAt) => {
+  if (!pool || !wants.length) return { ok: true, shortages: [] };
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(`SELECT sku, on_hand, reserved FROM stock_levels WHERE sku = ANY($1) ORDER BY sku FOR UPDATE`, [wants.map(w => w.sku)]);
+    const levels = Object.fromEntries(rows.map(r => [r.sku, r]));
+    const demand = levels[SUB_POOL_SKU] ? await subscriptionDemandGrams(client) : 0;
+
+    const tracked = wants.filter(w => levels[w.sku]);
+    const shortages = tracked.map(w => {
+      const lvl = levels[w.sku];
+      const available = lvl.on_hand - lvl.reserved - (w.sku === SUB_POOL_SKU ? demand : 0);
+      return available < w.quantity ? { sku: w.sku, label: w.label, requested: w.quantity, available: Math.max(available, 0) } : null;
+    }).filter(Boolean);
+    if (shortages.length) return { ok: false, shortages };
+
+    for (const w of tracked) {
+      await client.query(`UPDATE stock_levels SET reserved = reserved + $2, updated_at = NOW() WHERE sku = $1`, [w.sku, w.quantity]);
+      await client.query(`INSERT INTO stock_reservations(reservation_id, sku, quantity, expires_at) VALUES ($1,$2,$3,$4)`, [reservationId, w.sku, w.quantity, expiresAt]);
+    }
+    return { ok: true, shortages: [] };
+  });
+};
+
+// outcome: 'committed' (descuenta existencias) | 'released' (devuelve la reserva)
+// La bolsa de suscripción no descuenta on_hand: la demanda se calcula con los suscriptores activos.
+const settleReservation = async (reservationId, outcome, sessionId = null) => {
+  if (!pool || !reservationId) return;
+  await withTransaction(async (client) => {
+    const { rows } = await client.query(`SELECT sku, quantity FROM stock_reservations WHERE reservation_id = $1 AND status = 'reserved' FOR UPDATE`, [reservationId]);
+    for (const r of rows) {
+      const consume = outcome === 'committed' && r.sku !== SUB_POOL_SKU ? r.quantity : 0;
+      await client.query(`UPDATE stock_levels SET reserved = GREATEST(reserved - $2, 0), on_hand = on_hand - $3, updated_at = NOW() WHERE sku = $1`, [r.sku, r.quantity, consume]);
+    }
+    await client.query(`UPDATE stock_reservations SET status = $2, session_id = COALESCE($3, session_id), settled_at = NOW() WHERE reservation_id = $1 AND status = 'reserved'`, [reservationId, outcome, sessionId]);
+  });
+};
+
+// Pagos diferidos (SEPA...): la reserva se mantiene sin caducidad hasta que Stripe confirme o rechace
+const holdReservation = async (reservationId) => {
+  if (!pool || !reservationId) return;
+  await dbQuery(`UPDATE stock_reservations SET expires_at = NULL WHERE reservation_id = $1 AND status = 'reserved'`, [reservationId]);
+};
+
+// Red de seguridad por si se pierde el evento checkout.session.expired
+const releaseExpiredReservations = async () => {
+  if (!pool) return 0;
+  const { rows } = await dbQuery(`SELECT DISTINCT reservation_id FROM stock_reservations WHERE status = 'reserved' AND expires_at < NOW() - interval '1 hour'`);
+  for (const r of rows) await settleReservation(r.reservation_id, 'released');
+  return rows.length;
+};
+
+// Los checkouts recuperados (enlace de after_expiration) no tienen reserva propia: la de la sesión original ya se
+// liberó al caducar. Se descuentan sus existencias al confirmarse, aunque on_hand pueda quedar en negativo.
+const commitReleasedReservation = async (reservationId, sessionId) => {
+  if (!pool || !reservationId) return;
+  await withTransaction(async (client) => {
+    const { rows } = await client.query(`SELECT sku, quantity FROM stock_reservations WHERE reservation_id = $1 AND status = 'released' FOR UPDATE`, [reservationId]);
+    for (const r of rows) {
+      if (r.sku !== SUB_POOL_SKU) await client.query(`UPDATE stock_levels SET on_hand = on_hand - $2, updated_at = NOW() WHERE sku = $1`, [r.sku, r.quantity]);
+    }
+    await client.query(`UPDATE stock_reservations SET status = 'committed', session_id = $2, settled_at = NOW() WHERE reservation_id = $1 AND status = 'released'`, [reservationId, sessionId]);
+  });
+};
+
+// ===== Catálogo =====
+// Memoria → Postgres → Stripe. Solo se venden los precios activos de pago único de productos activos.
+const catalog = { products: new Map(), prices: new Map(), loadedAt: 0, loading: null };
+
+const productRow = (p) => ({ id: p.id, name: p.name, description: p.description || null, images: p.images || [], metadata: p.metadata || {}, active: !!p.active });
+const priceRow = (p) => ({
+  id: p.id, product_id: typeof p.product === 'string' ? p.product : p.product?.id,
+  currency: p.currency, unit_amount: p.unit_amount, type: p.type, recurring: p.recurring || null, nickname: p.nickname || null, active: !!p.active,
+});
+
+const setCatalogRow = (kind, row) => {
+  const map = kind === 'price' ? catalog.prices : catalog.products;
+  if (row.active) map.set(row.id, row); else map.delete(row.id);
+};
+
+const saveCatalogRow = async (kind, row, db = { query: dbQuery }) => {
+  if (pool) {
+    if (kind === 'price') {
+      await db.query(`
+        INSERT INTO catalog_prices (id, product_id, currency, unit_amount, type, recurring, nickname, active)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+        ON CONFLICT (id) DO UPDATE SET product_id = EXCLUDED.product_id, currency = EXCLUDED.currency, unit_amount = EXCLUDED.unit_amount, type = EXCLUDED.type,
+          recurring = EXCLUDED.recurring, nickname = EXCLUDED.nickname, active = EXCLUDED.active, updated_at = NOW()
+      `, [row.id, row.product_id, row.currency, row.unit_amount, row.type, row.recurring && JSON.stringify(row.recurring), row.nickname, row.active]);
+    } else {
+      await db.query(`
+        INSERT INTO catalog_products (id, name, description, images, metadata, active)
+        VALUES ($1,$2,$3,$4,$5,$6)
+        ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name, description = EXCLUDED.description, images = EXCLUDED.images,
+          metadata = EXCLUDED.metadata, active = EXCLUDED.active, updated_at = NOW()
+      `, [row.id, row.name, row.description, JSON.stringify(row.images), JSON.stringify(row.metadata), row.active]);
+    }
+  }
+  setCatalogRow(kind, row);
+};
+
+// Sincronización completa: lo que ya no está activo en Stripe queda desactivado
+const syncCatalogFromStripe = async () => {
+  const products = [];
+  for await (const p of stripe.products.list({ active: true, limit: 100 })) products.push(productRow(p));
+  const prices = [];
+  for await (const p of stripe.prices.list({ active: true, limit: 100 })) prices.push(priceRow(p));
+
+  if (pool) {
+    await withTransaction(async (client) => {
+      await client.query(`UPDATE catalog_products SET active = false, updated_at = NOW() WHERE active AND NOT (id = ANY($1))`, [products.map(p => p.id)]);
+      await client.query(`UPDATE catalog_prices SET active = false, updated_at = NOW() WHERE active AND NOT (id = ANY($1))`, [prices.map(p => p.id)]);
+      for (const p of products) await saveCatalogRow('product', p, client);
+      for (const p of prices) await saveCatalogRow('price', p, client);
+      await client.query(`INSERT INTO catalog_syncs (products, prices) VALUES ($1, $2)`, [products.length, prices.length]);
+    });
+  }
+  catalog.products = new Map(products.map(p => [p.id, p]));
+  catalog.prices = new Map(prices.map(p => [p.id, p]));
+  catalog.loadedAt = Date.now();
+  return { products: products.length, prices: prices.length };
+};
+
+// Copia de Postgres si la última sincronización sigue dentro del TTL; null si hay que ir a Stripe
+const loadCatalogFromDb = async () => {
+  const { rows: [last] } = await dbQuery(`SELECT synced_at FROM catalog_syncs ORDER BY id DESC LIMIT 1`);
+  if (!last || Date.now() - last.synced_at.getTime() >= CATALOG_TTL_MS) return null;
+  const { rows: products } = await dbQuery(`SELECT id, name, description, images, metadata, active FROM catalog_products WHERE active`);
+  const { rows: prices } = await dbQuery(`SELECT id, product_id, currency, unit_amount, type, recurring, nickname, active FROM catalog_prices WHERE active`);
+  catalog.products = new Map(products.map(p => [p.id, p]));
+  catalog.prices = new Map(prices.map(p => [p.id, p]));
+  catalog.loadedAt = last.synced_at.getTime();
+  return catalog;
+};
+
+// Catálogo vigente. Si Stripe falla y hay copia, se sirve la copia y se reintenta al minuto.
+const ensureCatalog = () => {
+  if (Date.now() - catalog.loadedAt < CATALOG_TTL_MS) return Promise.resolve(catalog);
+  catalog.loading ??= (async () => {
+    if (pool && !catalog.loadedAt && await loadCatalogFromDb()) return catalog;
+    try {
+      await syncCatalogFromStripe();
+    } catch (e) {
+      if (!catalog.loadedAt) throw e;
+      console.error('[ERROR] Catalog sync (se usa la copia anterior):', e.message);
+      catalog.loadedAt = Date.now() - CATALOG_TTL_MS + 60 * 1000;
+    }
+    return catalog;
+  })().finally(() => { catalog.loading = null; });
+  return catalog.loading;
+};
+
+// Evento product.* / price.*: se relee el objeto de Stripe porque los eventos pueden llegar desordenados
+const refreshCatalogObject = async (event) => {
+  const obj = event.data.object;
+  const kind = obj.object === 'price' ? 'price' : 'product';
+  const toRow = kind === 'price' ? priceRow : productRow;
+  if (event.type.endsWith('.deleted')) return saveCatalogRow(kind, { ...toRow(obj), active: false });
+  const fresh = kind === 'price' ? await stripe.prices.retrieve(obj.id) : await stripe.products.retrieve(obj.id);
+  await saveCatalogRow(kind, toRow(fresh));
+};
+
+// Precio del catálogo que se puede vender suelto, con su producto; null si no
+const sellablePrice = (priceId) => {
+  const price = catalog.prices.get(priceId);
+  const product = price && catalog.products.get(price.product_id);
+  if (!price || price.type !== 'one_time' || price.unit_amount == null || !product) return null;
+  return { ...price, product };
+};
+
+// line_items [{ price, quantity }] → { prices } en el mismo orden, o { invalid: [ids] } si alguno no está en el catálogo
+const resolveCartPrices = async (line_items) => {
+  await ensureCatalog();
+  const prices = line_items.map(li => sellablePrice(li.price));
+  const invalid = line_items.filter((li, i) => !prices[i]).map(li => li.price);
+  return invalid.length ? { invalid } : { prices };
+};
+
+// Disponibilidad por producto: { [sku]: { in_stock, low_stock } }; sin fila en stock_levels no se controla
+const stockFlags = async (skus) => {
+  const flags = Object.fromEntries(skus.map(sku => [sku, { in_stock: true, low_stock: false }]));
+  if (!pool || !skus.length) return flags;
+  const { rows } = await dbQuery(`SELECT sku, on_hand - reserved AS available FROM stock_levels WHERE sku = ANY($1)`, [skus]);
+  for (const r of rows) flags[r.sku] = { in_stock: r.available > 0, low_stock: r.available > 0 && r.available <= LOW_STOCK_UNITS };
+  return flags;
+};
+
+// ===== Regalos =====
+const insertGiftSubscription = async (g) => {
+  if (!pool) return null;
+  const { rows } = await dbQuery(`
+    INSERT INTO gift_subscriptions (session_id, buyer_name, buyer_email, recipient_name, recipient_email, phone, address, city, postal, country, grams, months, message, delivery_date, start_period, locale)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+    ON CONFLICT (session_id) DO NOTHING
+    RETURNING *
+  `, [g.sessionId, g.buyerName, g.buyerEmail, g.recipientName, g.recipientEmail, g.phone, g.address, g.city, g.postal, g.country, g.grams, g.months, g.message, g.deliveryDate, g.startPeriod, g.locale || null]);
+  return rows[0] || null;
+};
+
+const markGiftEmailQueued = async (id) => {
+  if (!pool || !id) return;
+  await dbQuery(`UPDATE gift_subscriptions SET gift_email_queued_at = NOW() WHERE id = $1`, [id]);
+};
+
+// ===== Envíos =====
+const shippingZoneFor = (country) => SHIPPING_ZONES.find(z => z.countries.includes(String(country || '').toUpperCase())) || null;
+
+// Tarifa para un destino, peso (g) y subtotal (céntimos, antes de cupones).
+// → { ok: true, country, zone, amount_cents, free, ... } o { ok: false, code, error }
+const quoteShipping = ({ country, weightGrams, subtotalCents }) => {
+  const cc = String(country || DEFAULT_SHIPPING_COUNTRY).toUpperCase();
+  const zone = shippingZoneFor(cc);
+  if (!zone) return { ok: false, code: 'unsupported_country', error: 'No enviamos a ese país' };
+  const band = zone.bands.find(b => b.max_grams == null || weightGrams <= b.max_grams);
+  if (!band) return { ok: false, code: 'too_heavy', error: `El pedido supera el peso máximo de envío a ${zone.name}` };
+  const freeFrom = zone.free_from ?? (FREE_SHIPPING_THRESHOLD || null);
+  const free = freeFrom != null && subtotalCents >= freeFrom;
+  return {
+    ok: true, country: cc, zone, weight_grams: weightGrams, subtotal_cents: subtotalCents,
+    amount_cents: free ? 0 : band.amount, free, free_from_cents: freeFrom,
+    remaining_for_free_cents: freeFrom != null && !free ? freeFrom - subtotalCents : 0,
+  };
+};
+
+// Respuesta pública de una cotización (importes en euros)
+const shippingQuoteView = (q, currency = 'EUR') => ({
+  country: q.country,
+  zone: { id: q.zone.id, name: q.zone.name, countries: q.zone.countries, delivery_days: q.zone.delivery_days || null },
+  weight_grams: q.weight_grams,
+  subtotal: q.subtotal_cents / 100,
+  amount: q.amount_cents / 100,
+  free: q.free,
+  free_from: q.free_from_cents == null ? null : q.free_from_cents / 100,
+  remaining_for_free: q.remaining_for_free_cents / 100,
+  currency,
+});
+
+// Peso por unidad: metadata weight_grams del producto en Stripe
+const itemWeightGrams = (product) => Number(product?.metadata?.weight_grams) || SHIPPING_DEFAULT_ITEM_GRAMS;
+
+// Peso y subtotal de un carrito (precios de Stripe con el producto expandido, en el orden de line_items)
+const cartShippingInput = (prices, line_items) => ({
+  weightGrams: prices.reduce((acc, p, i) => acc + itemWeightGrams(p.product) * line_items[i].quantity, 0),
+  subtotalCents: prices.reduce((acc, p, i) => acc + (p.unit_amount || 0) * line_items[i].quantity, 0),
+});
+
+// shipping_options de Checkout (solo modo pago). "shipments": envíos prepagados en el mismo cobro (regalos).
+const shippingOptionsFor = (quote, currency = 'eur', shipments = 1) => {
+  const days = quote.zone.delivery_days;
+  return [{
+    shipping_rate_data: {
+      type: 'fixed_amount',
+      fixed_amount: { amount: quote.amount_cents * shipments, currency },
+      display_name: quote.free ? `Envío gratuito (${quote.zone.name})` : `Envío ${quote.zone.name}${shipments > 1 ? ` × ${shipments}` : ''}`,
+      ...(days ? { delivery_estimate: { minimum: { unit: 'business_day', value: days[0] }, maximum: { unit: 'business_day', value: days[1] } } } : {}),
+    },
+  }];
+};
+
+// Producto de Stripe de las líneas de envío mensuales de las suscripciones (se crea la primera vez)
+let shippingProductPromise = null;
+const getShippingProductId = () => {
+  shippingProductPromise ??= (async () => {
+    const found = await stripe.products.search({ query: "active:'true' AND metadata['kind']:'shipping'", limit: 1 });
+    if (found.data[0]) return found.data[0].id;
+    return (await stripe.products.create({ name: 'Gastos de envío', metadata: { kind: 'shipping' } })).id;
+  })().catch(e => { shippingProductPromise = null; throw e; });
+  return shippingProductPromise;
+};
+
+// Las suscripciones con envío tienen dos líneas: el jamón (importe de la tabla de precios) y los gastos de envío
+const subscriptionItems = (sub) => {
+  const items = sub.items?.data || [];
+  const product = items.find(i => gramsForAmount(i.price?.unit_amount) !== null) || items[0] || null;
+  return { product, shipping: items.find(i => i !== product) || null };
+};
+
+// Cambios en la línea de envío de una suscripción para un nuevo importe mensual
+const shippingItemChanges = async (shippingItem, amountCents, currency) => {
+  if (!amountCents) return shippingItem ? [{ id: shippingItem.id, deleted: true }] : [];
+  if (shippingItem?.price?.unit_amount === amountCents) return [];
+  const price_data = { currency, product: shippingItem?.price?.product || await getShippingProductId(), unit_amount: amountCents, recurring: { interval: 'month' } };
+  return [shippingItem ? { id: shippingItem.id, price_data } : { price_data }];
+};
+
+// ===== Facturación =====
+const madridYear = (d = new Date()) => Number(new Intl.DateTimeFormat('en', { timeZone: 'Europe/Madrid', year: 'numeric' }).format(d));
+
+// Tipo de IVA aplicable según destino (OSS) y categoría del producto
+const vatRateFor = (country, category = 'reduced') => {
+  const cc = OSS_ENABLED && VAT_RATES[String(country || '').toUpperCase()] ? String(country).toUpperCase() : 'ES';
+  return VAT_RATES[cc][category] ?? VAT_RATES[cc].reduced;
+};
+
+// lines: [{ description, quantity, gross_cents, category }] con IVA incluido (precios de Stripe).
+// Devuelve líneas con base/cuota y el desglose por tipo, cuadrado al céntimo por tipo.
+const computeInvoiceTaxes = (lines, country) => {
+  const out = lines.map(l => {
+    const rate = vatRateFor(country, l.category);
+    const base = Math.round(l.gross_cents / (1 + rate / 100));
+    return { description: l.description, quantity: l.quantity || 1, vat_rate: rate, base_cents: base, tax_cents: l.gross_cents - base, total_cents: l.gross_cents };
+  });
+  const byRate = {};
+  for (const l of out) (byRate[l.vat_rate] ||= { rate: l.vat_rate, total_cents: 0 }).total_cents += l.total_cents;
+  const breakdown = Object.values(byRate).map(b => {
+    const base = Math.round(b.total_cents / (1 + b.rate / 100));
+    return { rate: b.rate, base_cents: base, tax_cents: b.total_cents - base, total_cents: b.total_cents };
+  });
+  const sum = (k) => breakdown.reduce((acc, b) => acc + b[k], 0);
+  return { lines: out, breakdown, base_cents: sum('base_cents'), tax_cents: sum('tax_cents'), total_cents: sum('total_cents') };
+};
+
+// Emite una factura (o rectificativa) con número correlativo sin huecos: el contador y la factura
+// se guardan en la misma transacción. Idempotente por (source, ref_id, kind).
+const issueInvoice = async ({ kind = 'invoice', source, refId, rectifiesId = null, reason = null, customerId = null, buyer = {}, country, currency = 'EUR', lines }) => {
+  if (!pool || !lines?.length) return null;
+  const cc = String(country || 'ES').toUpperCase();
+  const taxes = computeInvoiceTaxes(lines, cc);
+  if (kind === 'invoice' && taxes.total_cents <= 0) return null;
+  const series = kind === 'rectifying' ? RECTIFYING_SERIES : INVOICE_SERIES;
+
+  return withTransaction(async (client) => {
+    const existing = await client.query(`SELECT * FROM invoices WHERE source = $1 AND ref_id = $2 AND kind = $3`, [source, refId, kind]);
+    if (existing.rows.length) return existing.rows[0];
+
+    const year = madridYear();
+    const { rows: [seqRow] } = await client.query(`
+      INSERT INTO invoice_sequences(series, year, last_number) VALUES ($1, $2, 1)
+      ON CONFLICT (series, year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+      RETURNING last_number
+    `, [series, year]);
+    const number = `${series}-${year}-${String(seqRow.last_number).padStart(6, '0')}`;
+
+    const { rows } = await client.query(`
+      INSERT INTO invoices (number, series, year, seq, kind, rectifies_id, source, ref_id, customer_id, buyer_name, buyer_email, buyer_tax_id, buyer_address, country, currency, lines, tax_breakdown, base_cents, tax_cents, total_cents, oss, reason)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22)
+      RETURNING *
+    `, [number, series, year, seqRow.last_number, kind, rectifiesId, source, refId, customerId,
+        buyer.name || null, buyer.email || null, buyer.taxId || null, JSON.stringify(buyer.address || null), cc, currency,
+        JSON.stringify(taxes.lines), JSON.stringify(taxes.breakdown), taxes.base_cents, taxes.tax_cents, taxes.total_cents,
+        OSS_ENABLED && cc !== 'ES', reason]);
+    return rows[0];
+  });
+};
+
+const findInvoice = async (source, refId, kind = 'invoice') => {
+  if (!pool || !refId) return null;
+  const { rows } = await dbQuery(`SELECT * FROM invoices WHERE source = $1 AND ref_id = $2 AND kind = $3`, [source, refId, kind]);
+  return rows[0] || null;
+};
+
+const getInvoiceByNumber = async (number) => {
+  if (!pool) return null;
+  const { rows } = await dbQuery(`SELECT i.*, r.number AS rectifies_number FROM invoices i LEFT JOIN invoices r ON r.id = i.rectifies_id WHERE i.number = $1`, [number]);
+  return rows[0] || null;
+};
+
+// Rectificativa por devolución: reparte el importe devuelto entre los tipos de la factura original
+const issueRectifyingInvoice = async (original, { refundId, refundCents }) => {
+  if (!original) return null;
+  const full = refundCents >= original.total_cents;
+  const parts = original.tax_breakdown.map((b, i, arr) => {
+    const share = full ? b.total_cents : (i === arr.length - 1
+      ? refundCents - arr.slice(0, -1).reduce((acc, x) => acc + Math.round(refundCents * x.total_cents / original.total_cents), 0)
+      : Math.round(refundCents * b.total_cents / original.total_cents));
+    return { rate: b.rate, share };
+  });
+  // Se fija la categoría por tipo para que el cálculo reproduzca el tipo original
+  const lines = parts.filter(p => p.share > 0).map(p => ({
+    description: `${full ? 'Devolución total' : 'Devolución parcial'} — factura ${original.number} (IVA ${p.rate}%)`,
+    quantity: 1, gross_cents: -p.share, category: Object.entries(VAT_RATES[original.country] || VAT_RATES.ES).find(([, r]) => r === p.rate)?.[0] || 'reduced',
+  }));
+  return issueInvoice({
+    kind: 'rectifying', source: original.source, refId: refundId, rectifiesId: original.id,
+    reason: 'Devolución de importes (art. 80 LIVA)', customerId: original.customer_id,
+    buyer: { name: original.buyer_name, email: original.buyer_email, taxId: original.buyer_tax_id, address: original.buyer_address },
+    country: original.country, currency: original.currency, lines,
+  });
+};
+
+// Enlace firmado de descarga (emails y área de suscriptor)
+const invoiceDownloadLink = (number) => {
+  if (!LINK_SIGNING_SECRET) return null;
+  const token = signToken('invoice', { n: number }, INVOICE_LINK_TTL_DAYS * 86400);
+  return `${API_PUBLIC_BASE}/api/invoices/${encodeURIComponent(number)}.pdf?token=${encodeURIComponent(token)}`;
+};
+
+// ===== Fulfillment: lotes mensuales =====
+// period = 'YYYY-MM'. Entran los suscriptores dados de alta antes del día 1 (ya cobrados)
+// (salvo los que tengan ese mes en meta.skip_periods) y los pedidos sueltos pagados que aún no estén en ningún lote.
+const buildFulfillmentBatch = async (period) => {
+  const [y, m] = period.split('-').map(Number);
+  const periodStart = new Date(Date.UTC(y, m - 1, 1));
+  await dbQuery(`INSERT INTO fulfillment_batches(period) VALUES($1) ON CONFLICT (period) DO NOTHING`, [period]);
+  const { rows: [batch] } = await dbQuery(`SELECT * FROM fulfillment_batches WHERE period = $1`, [period]);
+
+  const subs = await dbQuery(`
+    INSERT INTO shipments (batch_id, source, ref_id, email, name, phone, address, city, postal, country, locale, grams, items)
+    SELECT $1, 'subscription', customer_id, email, name, phone, address, city, postal, country, locale,
+      NULLIF(meta->>'subscription_grams', '')::int,
+      jsonb_build_array(jsonb_build_object('description', 'Suscripción ' || COALESCE(meta->>'subscription_grams', '?') || ' g', 'quantity', 1))
+    FROM subscribers
+    WHERE status IN ('active', 'trialing') AND created_at < $2
+      AND NOT (COALESCE(meta->'skip_periods', '[]'::jsonb) ? $3)
+    ON CONFLICT (batch_id, source, ref_id) DO NOTHING
+  `, [batch.id, periodStart, period]);
+
+  const orders = await dbQuery(`
+    INSERT INTO shipments (batch_id, source, ref_id, email, name, phone, address, city, postal, country, locale, grams, items)
+    SELECT $1, 'order', o.session_id, o.email, o.name, o.phone, o.address, o.city, o.postal, o.country, o.locale, NULL,
+      COALESCE((SELECT jsonb_agg(jsonb_build_object('description', oi.description, 'quantity', oi.quantity) ORDER BY oi.id)
+                FROM order_items oi WHERE oi.session_id = o.session_id), '[]'::jsonb)
+    FROM orders o
+    WHERE o.status = 'paid' AND o.kind = 'order'
+      AND NOT EXISTS (SELECT 1 FROM shipments s WHERE s.source = 'order' AND s.ref_id = o.session_id)
+    ON CONFLICT (batch_id, source, ref_id) DO NOTHING
+  `, [batch.id]);
+
+  // Regalos: una caja por mes hasta agotar los meses prepagados; después se cierran solos
+  const giftBoxes = `(SELECT count(*) FROM shipments s WHERE s.source = 'gift' AND s.ref_id = g.id::text)`;
+  const gifts = await dbQuery(`
+    INSERT INTO shipments (batch_id, source, ref_id, email, name, phone, address, city, postal, country, locale, grams, items)
+    SELECT $1, 'gift', g.id::text, g.recipient_email, g.recipient_name, g.phone, g.address, g.city, g.postal, g.country, g.locale, g.grams,
+      jsonb_build_array(jsonb_build_object('description', 'Regalo ' || g.grams || ' g (' || (${giftBoxes} + 1) || '/' || g.months || ')', 'quantity', 1))
+    FROM gift_subscriptions g
+    WHERE g.status = 'active' AND g.start_period <= $2 AND ${giftBoxes} < g.months
+    ON CONFLICT (batch_id, source, ref_id) DO NOTHING
+  `, [batch.id, period]);
+  await dbQuery(`UPDATE gift_subscriptions g SET status = 'completed' WHERE g.status = 'active' AND ${giftBoxes} >= g.months`);
+
+  return { batch, added: { subscriptions: subs.rowCount, orders: orders.rowCount, gifts: gifts.rowCount } };
+};
+
+const getBatchShipments = async (batchId) => {
+  const { rows } = await dbQuery(`SELECT * FROM shipments WHERE batch_id = $1 ORDER BY country, postal, id`, [batchId]);
+  return rows;
+};
+
+const updateShipment = async (id, { status, carrier, tracking_number }) => {
+  const { rows } = await dbQuery(`
+    WITH prev AS (SELECT id, status FROM shipments WHERE id = $1 FOR UPDATE)
+    UPDATE shipments s SET
+      status = COALESCE($2, s.status),
+      carrier = COALESCE($3, s.carrier),
+      tracking_number = COALESCE($4, s.tracking_number),
+      packed_at  = CASE WHEN $2 = 'packed'  AND s.packed_at  IS NULL THEN NOW() ELSE s.packed_at END,
+      shipped_at = CASE WHEN $2 = 'shipped' AND s.shipped_at IS NULL THEN NOW() ELSE s.shipped_at END
+    FROM prev WHERE s.id = prev.id
+    RETURNING s.*, prev.status AS previous_status
+  `, [id, status || null, carrier || null, tracking_number || null]);
+  return rows[0] || null;
+};
+
 // ===== Utils =====
+const safeEqual = (a, b) => {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+};
 const escapeHtml = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;');
-const fmt = (amount = 0, currency = 'EUR') => {
-  try { return new Intl.NumberFormat('es-ES', { style: 'currency', currency }).format(Number(amount)); }
+const fmt = (amount = 0, currency = 'EUR', locale = DEFAULT_LOCALE) => {
+  try { return new Intl.NumberFormat(INTL_LOCALES[locale] || 'es-ES', { style: 'currency', currency }).format(Number(amount)); }
   catch { return `${Number(amount).toFixed(2)} ${currency}`; }
 };
+const isValidEmail = (e) => typeof e === 'string' && e.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e);
+const normalizeEmail = (e) => String(e || '').trim().toLowerCase();
+const trackingUrlFor = (trackingNumber) => trackingNumber && TRACKING_URL_TEMPLATE ? TRACKING_URL_TEMPLATE.replace('{tracking}', encodeURIComponent(trackingNumber)) : null;
+// Texto que empieza por = + - @ (o tab/retorno) se prefija con ' para que Excel no lo evalúe como fórmula;
+// los números (importes negativos, teléfonos +34...) se dejan tal cual
+const csvCell = (v) => {
+  let str = String(v ?? '');
+  if (/^[=+\-@\t\r]/.test(str) && !/^[+-]?\d[\d .]*$/.test(str)) str = `'${str}`;
+  return /[",\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+const toCSV = (header, rows) => [header, ...rows].map(r => r.map(csvCell).join(',')).join('\n') + '\n';
 const toAbsoluteUrl = (u) => {
   if (!u) return null;
   try {
@@ -272,19 +1035,99 @@ const extractInvoiceCustomer = (inv) => ({
   phone: inv?.customer_details?.phone ?? null,
   address: inv?.customer_details?.address ?? inv?.customer_address ?? inv?.customer_shipping?.address ?? null
 });
+// Alternativa en texto plano de un email: enlaces como "texto: url", bloques y filas en líneas
+const decodeEntities = (s) => s.replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#0*39;/g, "'").replace(/&amp;/g, '&');
+const htmlToText = (html) => decodeEntities(String(html ?? '')
+  .replace(/\s+/g, ' ')
+  .replace(/<(head|style)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => `${label.replace(/<[^>]+>/g, '').trim()}: ${href}`)
+  .replace(/<br\s*\/?>|<div[^>]*>/gi, '\n')
+  .replace(/<\/(p|h\d|table)>/gi, '\n\n')
+  .replace(/<\/(div|tr|li|thead|tbody|tfoot)>/gi, '\n')
+  .replace(/<\/t[dh]>/gi, '  ')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+// ===== i18n =====
+const MESSAGES = Object.fromEntries(SUPPORTED_LOCALES.map(l => [l, JSON.parse(fs.readFileSync(new URL(`./locales/${l}.json`, import.meta.url), 'utf8'))]));
+
+// 'fr', 'fr-BE' o una cabecera Accept-Language → idioma soportado o null
+const supportedLocale = (l) => {
+  const code = String(l || '').slice(0, 2).toLowerCase();
+  return SUPPORTED_LOCALES.includes(code) ? code : null;
+};
+const resolveLocale = (locale, country) => {
+  if (supportedLocale(locale)) return supportedLocale(locale);
+  if (country) return COUNTRY_LOCALES[String(country).toUpperCase()] || 'en';
+  return DEFAULT_LOCALE;
+};
+
+// t('es', 'welcome.intro', { grams }): las variables se escapan, el texto del catálogo puede llevar HTML.
+// Las claves que falten en un idioma salen en español.
+const t = (locale, key, vars = {}) => {
+  const lookup = (l) => key.split('.').reduce((o, k) => o?.[k], MESSAGES[l]);
+  const msg = lookup(locale) ?? lookup(DEFAULT_LOCALE) ?? key;
+  return msg.replace(/\{(\w+)\}/g, (_, k) => escapeHtml(vars[k] ?? ''));
+};
+// Tabla simple para los avisos internos: cabeceras + filas de valores (se escapan)
+const reportTableHTML = (headers, rows) => `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font:13px system-ui; color:#111;"><thead><tr>${headers.map((h, i) => `<th align="${i ? 'right' : 'left'}" style="padding:6px 0; font-size:11px; color:#6b7280; text-transform:uppercase;">${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${rows.map(r => `<tr>${r.map((v, i) => `<td align="${i ? 'right' : 'left'}" style="padding:4px 0; border-top:1px solid #f3f4f6;">${escapeHtml(String(v ?? ''))}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+// Texto del usuario con saltos de línea → HTML escapado
+const multilineHTML = (text) => escapeHtml(String(text || '')).replace(/\r?\n/g, '<br>');
+const fmtDate = (date, locale, opts = { day: 'numeric', month: 'long' }) => new Date(date).toLocaleDateString(INTL_LOCALES[locale] || 'es-ES', opts);
+
+// ===== Tokens firmados (HMAC) =====
+// Formato: base64url(JSON payload) + "." + base64url(HMAC-SHA256). "p" = propósito, "exp" = epoch en segundos.
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const hmac = (data) => crypto.createHmac('sha256', LINK_SIGNING_SECRET).update(data).digest('base64url');
+
+const signToken = (purpose, data, ttlSeconds) => {
+  if (!LINK_SIGNING_SECRET) throw new Error('LINK_SIGNING_SECRET no configurado');
+  const body = b64url(JSON.stringify({ p: purpose, ...data, exp: Math.floor(Date.now() / 1000) + ttlSeconds }));
+  return `${body}.${hmac(body)}`;
+};
+
+const verifyToken = (purpose, token) => {
+  if (!LINK_SIGNING_SECRET || typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig || !safeEqual(sig, hmac(body))) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.p !== purpose || !payload.exp || payload.exp < Date.now() / 1000) return null;
+    return payload;
+  } catch { return null; }
+};
+
+// Enlace al portal de Stripe para emails. Sin secreto, mandamos a la cuenta en la web.
+const billingPortalLink = (customerId) => {
+  if (!customerId || !LINK_SIGNING_SECRET) return PORTAL_RETURN_URL;
+  const token = signToken('portal', { c: customerId }, PORTAL_LINK_TTL_DAYS * 86400);
+  return `${API_PUBLIC_BASE}/billing-portal/link?token=${encodeURIComponent(token)}`;
+};
+
+// Enlace a la página de autoservicio (cambiar gramos, pausar, saltar un mes)
+const subscriptionManageLink = (customerId) => {
+  if (!customerId || !LINK_SIGNING_SECRET) return PORTAL_RETURN_URL;
+  const token = signToken('customer', { c: customerId }, CUSTOMER_TOKEN_TTL_DAYS * 86400);
+  return `${SUBSCRIPTION_MANAGE_URL}?token=${encodeURIComponent(token)}`;
+};
+
+const isAllowedReturnUrl = (u) => {
+  try { return PORTAL_RETURN_ALLOWLIST.includes(new URL(u).origin); }
+  catch { return false; }
+};
 
 // ===== Email layout =====
 function emailShell({ header, body, footer }) {
   return `<!doctype html><html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/></head><body style="margin:0;padding:0;background:#f3f4f6;"><table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6; padding:24px 0;"><tr><td><table role="presentation" width="600" align="center" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#fff;border-radius:12px;overflow:hidden;box-shadow:0 1px 3px rgba(0,0,0,.06)"><tr><td style="padding:24px;text-align:center;">${BRAND_LOGO_URL ? `<img src="${BRAND_LOGO_URL}" alt="${escapeHtml(BRAND)}" width="200" style="display:block;margin:0 auto 8px;max-width:200px;height:auto"/>` : `<div style="font-size:20px;font-weight:800;color:${BRAND_PRIMARY};text-align:center;margin-bottom:8px">${escapeHtml(BRAND)}</div>`}<div style="font:800 20px system-ui; color:${BRAND_PRIMARY}; letter-spacing:.3px">${escapeHtml(header)}</div></td></tr>${body}<tr><td style="padding:16px 24px 24px;"><div style="height:1px;background:#e5e7eb;margin-bottom:12px"></div>${footer}</td></tr></table></td></tr></table></body></html>`;
 }
-const lineItemsHTML = (items = [], currency = 'EUR') => (items || []).length ? items.map(li => {
+const lineItemsHTML = (items = [], currency = 'EUR', locale = DEFAULT_LOCALE) => (items || []).length ? items.map(li => {
   const total = (li.amount_total ?? li.amount ?? 0) / 100;
   const unit = li?.price?.unit_amount != null ? (li.price.unit_amount / 100) : null;
-  return `<tr><td style="padding:10px 0; font-size:14px; color:#111827;">${escapeHtml(li.description || '')}${unit ? `<div style="font-size:12px;color:#6b7280;margin-top:2px;">Precio unidad: ${unit.toLocaleString('es-ES', { style: 'currency', currency })}</div>` : ''}</td><td style="padding:10px 0; font-size:14px; text-align:center; white-space:nowrap;">x${li.quantity || 1}</td><td style="padding:10px 0; font-size:14px; text-align:right; white-space:nowrap;">${total.toLocaleString('es-ES', { style: 'currency', currency })}</td></tr>`;
-}).join('') : `<tr><td colspan="3" style="padding:8px 0;color:#6b7280">Sin productos</td></tr>`;
+  return `<tr><td style="padding:10px 0; font-size:14px; color:#111827;">${escapeHtml(li.description || '')}${unit ? `<div style="font-size:12px;color:#6b7280;margin-top:2px;">${t(locale, 'common.unitPrice', { price: fmt(unit, currency, locale) })}</div>` : ''}</td><td style="padding:10px 0; font-size:14px; text-align:center; white-space:nowrap;">x${li.quantity || 1}</td><td style="padding:10px 0; font-size:14px; text-align:right; white-space:nowrap;">${fmt(total, currency, locale)}</td></tr>`;
+}).join('') : `<tr><td colspan="3" style="padding:8px 0;color:#6b7280">${t(locale, 'common.noItems')}</td></tr>`;
 
 // ===== PDF =====
-async function buildReceiptPDF({ invoiceNumber, total, currency = 'EUR', customer = {}, items = [], paidAt = new Date() }) {
+async function buildReceiptPDF({ invoiceNumber, total, currency = 'EUR', customer = {}, items = [], paidAt = new Date(), title = 'RECIBO DE PAGO', numberLabel = 'Nº Recibo', dateLabel = 'Fecha de pago', statusLabel = 'PAGADO', note = 'Documento justificativo de pago.' }) {
   const doc = new PDFDocument({ size: 'A4', margins: { top: 56, bottom: 56, left: 56, right: 56 } });
   const bufs = [];
   const done = new Promise((res, rej) => { doc.on('data', b => bufs.push(b)); doc.on('end', () => res(Buffer.concat(bufs))); doc.on('error', rej); });
@@ -296,11 +1139,11 @@ async function buildReceiptPDF({ invoiceNumber, total, currency = 'EUR', custome
     } else doc.font('Helvetica-Bold').fontSize(20).text(BRAND, 56, 56);
   } catch { doc.font('Helvetica-Bold').fontSize(20).text(BRAND, 56, 56); }
 
-  doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_PRIMARY).text('RECIBO DE PAGO', 56, 56, { align: 'right' });
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_PRIMARY).text(title, 56, 56, { align: 'right' });
   doc.moveDown(3.2);
   doc.font('Helvetica').fontSize(10).fillColor('#111');
   const paidFmt = new Intl.DateTimeFormat('es-ES', { dateStyle: 'medium', timeStyle: 'short' }).format(paidAt);
-  doc.text([`Nº Recibo: ${invoiceNumber || 's/n'}`, `Fecha de pago: ${paidFmt}`, `Estado: PAGADO`].join('\n'), 56, 56 + 70, { width: 200 });
+  doc.text([`${numberLabel}: ${invoiceNumber || 's/n'}`, `${dateLabel}: ${paidFmt}`, `Estado: ${statusLabel}`].join('\n'), 56, 56 + 70, { width: 200 });
 
   const addr = customer?.address || {};
   const custLines = [customer?.name, customer?.email, customer?.phone, addr.line1, addr.line2, [addr.postal_code, addr.city].filter(Boolean).join(' '), addr.state, addr.country].filter(Boolean).join('\n');
@@ -326,465 +1169,4041 @@ async function buildReceiptPDF({ invoiceNumber, total, currency = 'EUR', custome
   doc.moveDown(0.4); doc.rect(56, doc.y, 480, 0.7).fill('#e5e7eb').fillColor('#111'); doc.moveDown(0.6);
   doc.font('Helvetica-Bold'); doc.text('Total', 56, doc.y, { width: 280 }); doc.text(fmt(grand || total || 0, currency), 396, doc.y, { width: 140, align: 'right' });
   doc.moveDown(1.2);
-  doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text('Documento justificativo de pago.', 56, doc.y, { width: 480, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(note, 56, doc.y, { width: 480, align: 'right' });
   doc.end();
   return await done;
 }
 
-// ===== Email Sending =====
-async function sendSMTP({ from, to, subject, html, attachments, bcc = [] }) {
-  const transporter = nodemailer.createTransport({ host: SMTP_HOST, port: SMTP_PORT, secure: SMTP_SECURE, auth: { user: SMTP_USER, pass: SMTP_PASS } });
-  await transporter.verify();
-  return transporter.sendMail({ from, to, subject, html, attachments, ...(bcc.length ? { bcc } : {}) });
-}
-async function sendEmail({ to, subject, html, attachments, bcc = [] }) {
-  if (RESEND_API_KEY) {
-    const resend = new Resend(RESEND_API_KEY);
-    await resend.emails.send({ from: CUSTOMER_FROM, to, subject, html, attachments, ...(bcc.length ? { bcc } : {}) });
-    return;
-  }
-  if (SMTP_HOST && SMTP_USER) { await sendSMTP({ from: CUSTOMER_FROM, to, subject, html, attachments, bcc }); return; }
-  console.warn('[email] No provider configured');
-}
-
-// 🟢 NUEVO: EMAIL AL CLIENTE (BIENVENIDA SIN COBRO)
-async function sendCustomerSubscriptionWelcome({ to, name, grams, price, currency }) {
-  if (!to) return;
-  const subject = `Bienvenido al Club — ${BRAND}`;
-  const nextMonth = new Date(); 
-  nextMonth.setMonth(nextMonth.getMonth() + 1); 
-  nextMonth.setDate(1);
-  const dateStr = nextMonth.toLocaleDateString('es-ES', { day: 'numeric', month: 'long' });
-  
-  const body = `
-    <tr><td style="padding:0 24px 8px;">
-      <p style="margin:0 0 12px; font:15px system-ui; color:#111;">Hola ${escapeHtml(name || '')},</p>
-      <p style="margin:0 0 12px; font:14px system-ui; color:#374151;">
-        ¡Ya eres uno de los nuestros! Tu suscripción de <b>${grams}g/mes</b> está confirmada.
-      </p>
-      <div style="background:#ecfdf5; border:1px solid #a7f3d0; border-radius:8px; padding:16px; margin:16px 0;">
-        <p style="margin:0 0 8px; font-weight:bold; color:#065f46; font-size:14px;">Información de pago</p>
-        <p style="margin:0; font-size:13px; color:#064e3b;">
-          • <b>Hoy:</b> 0,00 € (No se te cobra nada).<br/>
-          • <b>Primer cobro:</b> El 1 de ${dateStr}.<br/>
-          • <b>Importe mensual:</b> ${fmt(price, currency)}/mes.
-        </p>
-      </div>
-      <p style="margin:0 0 12px; font:14px system-ui; color:#374151;">
-        A partir del día 1, prepararemos tu sobre y te lo enviaremos cagando leches.
-      </p>
-    </td></tr>
-  `;
-  const html = emailShell({ header: '¡Bienvenido!', body, footer: `<p style="margin:0; font:11px system-ui; color:#9ca3af;">${escapeHtml(BRAND)}</p>` });
-  await sendEmail({ to, subject, html });
-}
+// ===== PDF: Factura =====
+async function buildInvoicePDF(inv) {
+  const doc = new PDFDocument({ size: 'A4', margins: { top: 56, bottom: 56, left: 56, right: 56 } });
+  const bufs = [];
+  const done = new Promise((res, rej) => { doc.on('data', b => bufs.push(b)); doc.on('end', () => res(Buffer.concat(bufs))); doc.on('error', rej); });
+  const money = (cents) => fmt(cents / 100, inv.currency);
+  const rectifying = inv.kind === 'rectifying';
+  try {
+    if (BRAND_LOGO_URL) {
+      const r = await fetch(BRAND_LOGO_URL);
+      if (r.ok) { const buf = Buffer.from(await r.arrayBuffer()); doc.image(buf, 56, 56, { fit: [140, 60] }); }
+      else doc.font('Helvetica-Bold').fontSize(20).text(BRAND, 56, 56);
+    } else doc.font('Helvetica-Bold').fontSize(20).text(BRAND, 56, 56);
+  } catch { doc.font('Helvetica-Bold').fontSize(20).text(BRAND, 56, 56); }
 
-// ADMIN: Email genérico para pedidos y altas (Se llamará siempre en checkout)
-async function sendAdminEmail({ session, items, customerEmail, name, phone, amountTotal, currency, customer_details, shipping, isSubscription }) {
-  if (!CORPORATE_EMAIL) return;
-  const title = isSubscription ? 'NUEVA SUSCRIPCIÓN (Alta)' : 'NUEVO PEDIDO';
-  const body = `<tr><td style="padding:0 24px 8px;"><p style="margin:0 0 10px; font:15px system-ui; color:#111">${title}</p><ul style="margin:0;padding-left:16px;color:#111;font:14px system-ui"><li><b>Nombre:</b> ${escapeHtml(name || '-')}</li><li><b>Email:</b> ${escapeHtml(customerEmail || '-')}</li><li><b>Teléfono:</b> ${escapeHtml(phone || '-')}</li><li><b>Sesión:</b> ${escapeHtml(session?.id || '-')}</li></ul></td></tr><tr><td style="padding:8px 24px;"><div style="height:1px;background:#e5e7eb;"></div><p style="margin:8px 0 6px; font:600 13px system-ui; color:#111">Dirección</p><div style="font:13px system-ui; color:#374151">${fmtAddressHTML(customer_details || {}, { address: shipping, name })}</div></td></tr><tr><td style="padding:8px 24px 0;"><table role="presentation" width="100%">${lineItemsHTML(items, currency)}<tfoot><tr><td colspan="3"><div style="height:1px;background:#e5e7eb;"></div></td></tr><tr><td>Total</td><td></td><td align="right">${fmt(Number(amountTotal || 0), currency)}</td></tr></tfoot></table></td></tr>`;
-  await sendEmail({ to: CORPORATE_EMAIL, subject: `${title} - ${BRAND}`, html: emailShell({ header: title, body, footer: '' }) });
-}
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_PRIMARY).text(rectifying ? 'FACTURA RECTIFICATIVA' : 'FACTURA', 56, 56, { align: 'right' });
+  const issued = new Intl.DateTimeFormat('es-ES', { dateStyle: 'medium', timeZone: 'Europe/Madrid' }).format(new Date(inv.issued_at));
+  doc.font('Helvetica').fontSize(10).fillColor('#111')
+    .text([`Nº: ${inv.number}`, `Fecha de expedición: ${issued}`, rectifying && inv.rectifies_number ? `Rectifica: ${inv.rectifies_number}` : null].filter(Boolean).join('\n'), 336, 82, { width: 200, align: 'right' });
 
-// ADMIN: Email Renovación
-async function sendAdminRenewalEmail({ customer, total, currency, subscriptionId, invoiceId }) {
-  if (!CORPORATE_EMAIL) return;
-  const body = `<tr><td style="padding:0 24px 12px;"><p style="margin:0 0 10px; font:15px system-ui; color:#111">Se ha renovado una suscripción (Pago Recurrente).</p><ul style="margin:0;padding-left:16px;color:#111;font:14px system-ui"><li><b>Cliente:</b> ${escapeHtml(customer.name || '-')}</li><li><b>Email:</b> ${escapeHtml(customer.email || '-')}</li><li><b>Importe:</b> ${fmt(Number(total || 0), currency)}</li><li><b>ID Suscripción:</b> ${escapeHtml(subscriptionId)}</li></ul></td></tr>`;
-  await sendEmail({ to: CORPORATE_EMAIL, subject: `🔄 Renovación suscripción - ${escapeHtml(customer.name)}`, html: emailShell({ header: 'Suscripción Renovada', body, footer: '' }) });
-}
+  const sellerLines = [SELLER_LEGAL_NAME, SELLER_TAX_ID ? `NIF: ${SELLER_TAX_ID}` : null, ...SELLER_ADDRESS.split('|').map(l => l.trim())].filter(Boolean).join('\n');
+  const addr = inv.buyer_address || {};
+  const buyerLines = [inv.buyer_name, inv.buyer_tax_id ? `NIF/CIF: ${inv.buyer_tax_id}` : null, inv.buyer_email, addr.line1, addr.line2, [addr.postal_code, addr.city].filter(Boolean).join(' '), addr.country].filter(Boolean).join('\n');
+  doc.font('Helvetica-Bold').fontSize(11).text('Emisor', 56, 146, { width: 220 });
+  doc.font('Helvetica').fontSize(10).text(sellerLines, 56, doc.y, { width: 220 });
+  const leftBottom = doc.y;
+  doc.font('Helvetica-Bold').fontSize(11).text('Cliente', 316, 146, { width: 220, align: 'right' });
+  doc.font('Helvetica').fontSize(10).text(buyerLines || '-', 316, doc.y, { width: 220, align: 'right' });
+  doc.y = Math.max(leftBottom, doc.y);
 
-async function sendCustomerConfirmationOnly({ to, name, amountTotal, currency, items, isSubscription, customerId, customer_details, shipping }) {
-  if (!to) return;
-  const intro = isSubscription ? `Suscripción activada correctamente.` : `Tu pago se ha recibido correctamente.`;
-  const body = `<tr><td style="padding:0 24px 8px;"><p>Hola ${escapeHtml(name || '')},</p><p>${escapeHtml(intro)}</p></td></tr><tr><td style="padding:8px 24px;"><div style="height:1px;background:#e5e7eb;"></div><div style="font:13px system-ui;">${fmtAddressHTML(customer_details || {}, { address: shipping, name })}</div></td></tr><tr><td style="padding:8px 24px 0;"><table role="presentation" width="100%">${lineItemsHTML(items, currency)}<tfoot><tr><td>Total</td><td></td><td align="right">${fmt(Number(amountTotal || 0), currency)}</td></tr></tfoot></table></td></tr>${isSubscription ? `<tr><td style="padding:0 24px 12px; text-align:center;"><a href="${API_PUBLIC_BASE}/billing-portal/link?customer_id=${encodeURIComponent(customerId || '')}&return=${encodeURIComponent(PORTAL_RETURN_URL)}" style="display:inline-block;background:${BRAND_PRIMARY};color:#fff;padding:10px 16px;border-radius:10px;">Gestionar suscripción</a></td></tr>` : ''}`;
-  await sendEmail({ to, subject: 'Confirmación de pedido', html: emailShell({ header: 'Pedido confirmado', body, footer: '' }) });
-}
+  doc.moveDown(1.2); doc.rect(56, doc.y + 4, 480, 0.7).fill('#e5e7eb').fillColor('#111'); doc.moveDown(1.2);
+  doc.font('Helvetica-Bold').fontSize(10);
+  const startY = doc.y;
+  doc.text('Concepto', 56, startY, { width: 220 }); doc.text('Cant.', 276, startY, { width: 40, align: 'right' });
+  doc.text('Base', 316, startY, { width: 80, align: 'right' }); doc.text('IVA', 396, startY, { width: 50, align: 'right' }); doc.text('Total', 446, startY, { width: 90, align: 'right' });
+  doc.moveDown(0.3); doc.rect(56, doc.y, 480, 0.7).fill('#e5e7eb').fillColor('#111'); doc.moveDown(0.6);
 
-// CLIENTE: Renovación / Recibo combinado
-async function sendCustomerCombined({ to, name, invoiceNumber, total, currency, items, customer, pdfUrl, isSubscription, isRenewal, customerId }) {
-  if (!to) return;
-  const receiptBuf = await buildReceiptPDF({ invoiceNumber, total, currency, customer, items });
-  const attachments = [{ filename: `recibo-${invoiceNumber || 'pago'}.pdf`, content: receiptBuf, contentType: 'application/pdf' }];
-  if (ATTACH_STRIPE_INVOICE && pdfUrl) {
-    try {
-      const r = await fetch(pdfUrl);
-      if (r.ok) attachments.push({ filename: `factura-${invoiceNumber}.pdf`, content: Buffer.from(await r.arrayBuffer()), contentType: 'application/pdf' });
-    } catch {}
-  }
-
-  let subject = 'Confirmación de pedido';
-  let header = 'Pago recibido';
-  let intro = 'Adjunto encontrarás el recibo de tu compra.';
-
-  if (isSubscription) {
-      if (isRenewal) {
-        subject = '✅ Suscripción renovada';
-        header = 'Suscripción renovada';
-        intro = 'Hemos procesado la renovación de tu suscripción correctamente. Adjunto tienes el recibo.';
-      } else {
-        subject = 'Suscripción activada';
-        header = 'Suscripción activada';
-        intro = 'Gracias por suscribirte. Aquí tienes el recibo de tu primer pago.';
-      }
+  doc.font('Helvetica').fontSize(10);
+  for (const l of inv.lines) {
+    const y = doc.y;
+    doc.text(l.description || '', 56, y, { width: 220 });
+    const rowBottom = doc.y;
+    doc.text(String(l.quantity || 1), 276, y, { width: 40, align: 'right' }); doc.text(money(l.base_cents), 316, y, { width: 80, align: 'right' });
+    doc.text(`${l.vat_rate}%`, 396, y, { width: 50, align: 'right' }); doc.text(money(l.total_cents), 446, y, { width: 90, align: 'right' });
+    doc.y = Math.max(rowBottom, doc.y); doc.moveDown(0.4);
   }
 
-  const body = `<tr><td style="padding:0 24px 8px;"><p>Hola ${escapeHtml(name || '')},</p><p>${escapeHtml(intro)}</p></td></tr><tr><td style="padding:8px 24px;"><div style="height:1px;background:#e5e7eb;"></div><p style="margin:8px 0 6px; font:600 13px system-ui; color:#111">Dirección</p><div style="font:13px system-ui; color:#374151">${fmtAddressHTML(customer)}</div></td></tr><tr><td style="padding:0 24px 8px;"><div style="height:1px;background:#e5e7eb;"></div></td></tr><tr><td style="padding:8px 24px 0;"><table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-family:system-ui;"><thead><tr><th align="left"  style="padding:10px 0; font-size:12px; color:#6b7280; text-transform:uppercase;">Producto</th><th align="center"style="padding:10px 0; font-size:12px; color:#6b7280; text-transform:uppercase;">Cant.</th><th align="right" style="padding:10px 0; font-size:12px; color:#6b7280; text-transform:uppercase;">Total</th></tr></thead><tbody>${lineItemsHTML(items, currency)}</tbody><tfoot><tr><td colspan="3"><div style="height:1px;background:#e5e7eb;"></div></td></tr><tr><td style="padding:12px 0; font-size:14px; color:#111; font-weight:700;">Total ${isSubscription ? 'cuota' : ''}</td><td></td><td style="padding:12px 0; font-size:16px; color:#111; font-weight:800; text-align:right;">${fmt(Number(total || 0), currency)}</td></tr></tfoot></table></td></tr>${isSubscription ? `<tr><td style="padding:0 24px 12px; text-align:center;"><a href="${API_PUBLIC_BASE}/billing-portal/link?customer_id=${encodeURIComponent(customerId || '')}&return=${encodeURIComponent(PORTAL_RETURN_URL)}" style="display:inline-block;background:${BRAND_PRIMARY};color:#fff;text-decoration:none;font-weight:800;padding:10px 16px;border-radius:10px;letter-spacing:.2px">Gestionar suscripción</a></td></tr>` : ''}`;
+  doc.moveDown(0.4); doc.rect(56, doc.y, 480, 0.7).fill('#e5e7eb').fillColor('#111'); doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(10);
+  let y = doc.y;
+  doc.text('Tipo IVA', 276, y, { width: 60, align: 'right' }); doc.text('Base imponible', 336, y, { width: 100, align: 'right' }); doc.text('Cuota', 436, y, { width: 100, align: 'right' });
+  doc.font('Helvetica');
+  for (const b of inv.tax_breakdown) {
+    doc.moveDown(0.3); y = doc.y;
+    doc.text(`${b.rate}%`, 276, y, { width: 60, align: 'right' }); doc.text(money(b.base_cents), 336, y, { width: 100, align: 'right' }); doc.text(money(b.tax_cents), 436, y, { width: 100, align: 'right' });
+  }
+  doc.moveDown(0.8); y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(12).text('Total factura', 276, y, { width: 160, align: 'right' }); doc.text(money(inv.total_cents), 436, y, { width: 100, align: 'right' });
 
-  await sendEmail({ to, subject, html: emailShell({ header, body, footer: '' }), attachments });
+  const notes = [
+    rectifying && inv.reason ? `Motivo de la rectificación: ${inv.reason}.` : null,
+    inv.oss ? `IVA del país de destino (${inv.country}) — régimen de ventanilla única (OSS).` : null,
+  ].filter(Boolean);
+  if (notes.length) doc.moveDown(1.5).font('Helvetica').fontSize(9).fillColor('#6b7280').text(notes.join('\n'), 56, doc.y, { width: 480 });
+  doc.end();
+  return await done;
 }
 
-async function sendCancelEmails({ customerEmail, name, subId }) {
-  if (customerEmail) await sendEmail({ to: customerEmail, subject: 'Suscripción cancelada', html: emailShell({ header: 'Suscripción cancelada', body: `<tr><td style="padding:0 24px;"><p>Hola ${escapeHtml(name)}, tu suscripción ${escapeHtml(subId)} ha sido cancelada.</p></td></tr>`, footer: '' }) });
-}
-async function sendCustomerUpdatedEmails({ cust, summaryHtml }) {
-  if (cust.email) await sendEmail({ to: cust.email, subject: 'Datos actualizados', html: emailShell({ header: 'Datos actualizados', body: `<tr><td style="padding:0 24px;"><p>${summaryHtml}</p></td></tr>`, footer: '' }) });
-}
-async function sendContactEmails(payload) {
-  const { email, subject, message } = payload;
-  const bodyAdmin = `<tr><td style="padding:0 24px;"><p>Contacto de: ${escapeHtml(email)}</p><p>${escapeHtml(message)}</p></td></tr>`;
-  await sendEmail({ to: CORPORATE_EMAIL, replyTo: email, subject: `Contacto: ${subject}`, html: emailShell({ header: 'Nuevo mensaje', body: bodyAdmin, footer: '' }) });
-  const bodyUser = `<tr><td style="padding:0 24px;"><p>Hemos recibido tu mensaje sobre "${escapeHtml(subject)}". Te contestaremos pronto.</p></td></tr>`;
-  await sendEmail({ to: email, subject: 'Mensaje recibido', html: emailShell({ header: 'Mensaje recibido', body: bodyUser, footer: '' }) });
-}
+// ===== PDF: Tarjeta regalo =====
+async function buildGiftCardPDF({ recipientName, buyerName, message, grams, months, startPeriod }) {
+  const doc = new PDFDocument({ size: 'A5', layout: 'landscape', margins: { top: 40, bottom: 40, left: 48, right: 48 } });
+  const bufs = [];
+  const done = new Promise((res, rej) => { doc.on('data', b => bufs.push(b)); doc.on('end', () => res(Buffer.concat(bufs))); doc.on('error', rej); });
+  const W = doc.page.width, H = doc.page.height;
 
-function summarizeCustomerChanges(prev = {}, cust = {}) {
-  const lines = [];
-  if ('name' in prev)        lines.push(`• Nombre: ${escapeHtml(prev.name ?? '-')} → ${escapeHtml(cust.name ?? '-')} `);
-  if ('email' in prev)       lines.push(`• Email: ${escapeHtml(prev.email ?? '-')} → ${escapeHtml(cust.email ?? '-')} `);
-  if ('phone' in prev)       lines.push(`• Teléfono: ${escapeHtml(prev.phone ?? '-')} → ${escapeHtml(cust.phone ?? '-')} `);
-  if ('address' in prev) {
-    const before = prev.address || {};
-    const after  = cust.address || {};
-    const addrStr = (a) => [a.line1, a.line2, [a.postal_code, a.city].filter(Boolean).join(' '), a.state, a.country].filter(Boolean).join(', ');
-    lines.push(`• Dirección: ${escapeHtml(addrStr(before) || '-')} → ${escapeHtml(addrStr(after) || '-')}`);
-  }
-  if (prev?.invoice_settings?.default_payment_method !== undefined) {
-    lines.push('• Método de pago por defecto actualizado.');
-  }
-  if (!lines.length) return 'Se han actualizado tus datos de cliente.';
-  return lines.join('<br/>');
+  doc.rect(16, 16, W - 32, H - 32).lineWidth(3).stroke(BRAND_PRIMARY);
+  try {
+    if (BRAND_LOGO_URL) {
+      const r = await fetch(BRAND_LOGO_URL);
+      if (r.ok) { const buf = Buffer.from(await r.arrayBuffer()); doc.image(buf, (W - 140) / 2, 36, { fit: [140, 50], align: 'center' }); }
+      else doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_PRIMARY).text(BRAND, 48, 44, { align: 'center' });
+    } else doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_PRIMARY).text(BRAND, 48, 44, { align: 'center' });
+  } catch { doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_PRIMARY).text(BRAND, 48, 44, { align: 'center' }); }
+
+  doc.font('Helvetica-Bold').fontSize(26).fillColor(BRAND_PRIMARY).text('TARJETA REGALO', 48, 100, { align: 'center' });
+  doc.moveDown(0.4).font('Helvetica-Bold').fontSize(16).fillColor('#111')
+    .text(`${months} ${months === 1 ? 'mes' : 'meses'} de jamón · ${grams} g/mes`, { align: 'center' });
+  doc.moveDown(0.8).font('Helvetica').fontSize(12)
+    .text(`Para: ${recipientName || '-'}`, { align: 'center' })
+    .text(`De: ${buyerName || '-'}`, { align: 'center' });
+  if (message) doc.moveDown(0.8).font('Helvetica-Oblique').fontSize(12).fillColor('#374151').text(`“${message}”`, 80, doc.y, { width: W - 160, align: 'center' });
+  const first = new Date(`${startPeriod}-01T12:00:00Z`).toLocaleDateString('es-ES', { month: 'long', year: 'numeric' });
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(`Primer envío: ${first}. Sin renovaciones ni cobros.`, 48, H - 64, { width: W - 96, align: 'center' });
+  doc.end();
+  return await done;
 }
 
-app.use(morgan('tiny'));
+// ===== PDF: Fulfillment =====
+const collectPDF = (doc) => new Promise((res, rej) => {
+  const bufs = [];
+  doc.on('data', b => bufs.push(b)); doc.on('end', () => res(Buffer.concat(bufs))); doc.on('error', rej);
+});
+const shipmentAddressLines = (s) => [s.name, s.address, [s.postal, s.city].filter(Boolean).join(' '), s.country, s.phone ? `Tel. ${s.phone}` : null].filter(Boolean);
+const shipmentContent = (s) => (s.items || []).map(i => `${i.quantity || 1} x ${i.description || ''}`).join('\n');
 
-// Webhook (raw body) - DEBE IR ANTES DE jsonParser
+const SHIPMENT_SOURCE_LABELS = { subscription: 'Suscripción', gift: 'Regalo', order: 'Pedido' };
+async function buildPackingListPDF({ batch, shipments }) {
+  const doc = new PDFDocument({ size: 'A4', margins: { top: 56, bottom: 56, left: 56, right: 56 } });
+  const done = collectPDF(doc);
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_PRIMARY).text(BRAND, 56, 56);
+  doc.font('Helvetica-Bold').fontSize(16).text(`LISTA DE PREPARACIÓN ${batch.period}`, 56, 56, { align: 'right' });
+  const totalGrams = shipments.reduce((acc, s) => acc + (s.grams || 0), 0);
+  const count = (source) => shipments.filter(s => s.source === source).length;
+  doc.moveDown(1.5).font('Helvetica').fontSize(10).fillColor('#111')
+    .text(`Envíos: ${shipments.length} · Suscripciones: ${count('subscription')} · Regalos: ${count('gift')} · Gramos (suscripciones y regalos): ${totalGrams} g`, 56);
+  doc.moveDown(0.6); doc.rect(56, doc.y, 480, 0.7).fill('#e5e7eb').fillColor('#111'); doc.moveDown(0.6);
+
+  for (const s of shipments) {
+    if (doc.y > 720) doc.addPage();
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(`#${s.id} · ${SHIPMENT_SOURCE_LABELS[s.source] || 'Pedido'}`, 56, y, { width: 200 });
+    doc.font('Helvetica').fontSize(9).text(shipmentAddressLines(s).join('\n'), 56, doc.y, { width: 200 });
+    const leftBottom = doc.y;
+    doc.font('Helvetica').fontSize(10).text(shipmentContent(s) || '-', 270, y, { width: 220 });
+    doc.rect(506, y, 12, 12).stroke('#111');
+    doc.y = Math.max(leftBottom, doc.y);
+    doc.moveDown(0.6); doc.rect(56, doc.y, 480, 0.5).fill('#e5e7eb').fillColor('#111'); doc.moveDown(0.6);
+  }
+  doc.end();
+  return await done;
+}
+
+// Etiquetas A4 en rejilla 2 x 7
+async function buildLabelsPDF({ shipments }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 0 });
+  const done = collectPDF(doc);
+  const cols = 2, rows = 7, w = 595.28 / cols, h = 841.89 / rows, pad = 18;
+  shipments.forEach((s, i) => {
+    const slot = i % (cols * rows);
+    if (i > 0 && slot === 0) doc.addPage();
+    const x = (slot % cols) * w + pad;
+    const y = Math.floor(slot / cols) * h + pad;
+    doc.font('Helvetica').fontSize(7).fillColor('#6b7280').text(`${BRAND} · #${s.id}`, x, y, { width: w - pad * 2 });
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#111').text(s.name || '-', x, y + 12, { width: w - pad * 2 });
+    doc.font('Helvetica').fontSize(10).text(shipmentAddressLines({ ...s, name: null }).join('\n'), x, doc.y, { width: w - pad * 2 });
+  });
+  doc.end();
+  return await done;
+}
+
+const buildCarrierCSV = (shipments) => toCSV(
+  ['reference', 'name', 'address', 'postal_code', 'city', 'country', 'phone', 'email', 'weight_grams', 'content'],
+  shipments.map(s => [`GE-${s.id}`, s.name, s.address, s.postal, s.city, s.country, s.phone, s.email, s.grams ?? '', shipmentContent(s).replace(/\n/g, ' | ')])
+);
+
+// ===== Email Sending =====
+// Transportes: { name, send({ from, to, bcc, replyTo, subject, html, text, attachments, headers }) }. send lanza si falla.
+// headers: cabeceras extra ({ 'Message-ID', 'In-Reply-To', References, ... })
+// Un único transporter SMTP con pool de conexiones y un único cliente Resend para todo el proceso
+let smtpTransporter = null;
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({ pool: true, maxConnections: 3, host: SMTP_HOST, port: SMTP_PORT, secure: SMTP_SECURE, auth: { user: SMTP_USER, pass: SMTP_PASS } });
+    smtpTransporter.verify().catch(e => console.error('[email] SMTP verify failed:', e.message));
+  }
+  return smtpTransporter;
+};
+let resendClient = null;
+const getResend = () => (resendClient ||= new Resend(RESEND_API_KEY));
+
+// Genera el .eml del transporte "file" sin enviarlo
+const emailFileBuilder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+// Emails entregados por el transporte "memory" (tests); se guardan los últimos 100
+const memoryOutbox = [];
+
+// nodemailer genera Message-ID/In-Reply-To/References a partir de sus propias opciones
+const nodemailerHeaders = (headers = {}) => {
+  const { 'Message-ID': messageId, 'In-Reply-To': inReplyTo, References: references, ...rest } = headers;
+  return { ...(messageId ? { messageId } : {}), ...(inReplyTo ? { inReplyTo } : {}), ...(references ? { references } : {}), ...(Object.keys(rest).length ? { headers: rest } : {}) };
+};
+
+const emailTransports = {
+  resend: {
+    name: 'resend',
+    async send({ from, to, bcc, replyTo, subject, html, text, attachments, headers }) {
+      const { error } = await getResend().emails.send({ from, to, subject, html, ...(text ? { text } : {}), attachments, ...(bcc?.length ? { bcc } : {}), ...(replyTo ? { replyTo } : {}), ...(headers ? { headers } : {}) });
+      if (error) throw new Error(`Resend: ${error.message || error.name || 'error'}`);
+    },
+  },
+  smtp: {
+    name: 'smtp',
+    async send({ from, to, bcc, replyTo, subject, html, text, attachments, headers }) {
+      await getSmtpTransporter().sendMail({ from, to, subject, html, text, attachments, ...(bcc?.length ? { bcc } : {}), ...(replyTo ? { replyTo } : {}), ...nodemailerHeaders(headers) });
+    },
+  },
+  // Desarrollo: <id>.eml (listo para abrir con un cliente de correo), <id>.json y <id>/<adjuntos>
+  file: {
+    name: 'file',
+    async send(message) {
+      const { message: raw } = await emailFileBuilder.sendMail({ ...message, headers: undefined, ...nodemailerHeaders(message.headers) });
+      const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+      const base = path.join(EMAIL_OUTBOX_DIR, id);
+      const attachments = message.attachments || [];
+      await fs.promises.mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+      await fs.promises.writeFile(`${base}.eml`, raw);
+      await fs.promises.writeFile(`${base}.json`, JSON.stringify({ ...message, attachments: attachments.map(a => ({ filename: a.filename, contentType: a.contentType || null, path: path.join(id, a.filename) })) }, null, 2));
+      if (attachments.length) {
+        await fs.promises.mkdir(base, { recursive: true });
+        for (const a of attachments) await fs.promises.writeFile(path.join(base, path.basename(a.filename)), a.content);
+      }
+      console.log(`[email] ${message.subject} → ${base}.eml`);
+    },
+  },
+  memory: {
+    name: 'memory',
+    async send(message) {
+      memoryOutbox.push({ ...message, sentAt: new Date() });
+      if (memoryOutbox.length > 100) memoryOutbox.shift();
+    },
+  },
+};
+
+const emailTransport = EMAIL_TRANSPORT === 'none' ? null : emailTransports[EMAIL_TRANSPORT] || null;
+if (EMAIL_TRANSPORT !== 'none' && !emailTransport) console.error(`⚠️ EMAIL_TRANSPORT desconocido: ${EMAIL_TRANSPORT} (resend, smtp, file, memory)`);
+
+// Entrega real. Lanza si el transporte falla; devuelve false si no hay transporte.
+async function deliverEmail({ to, subject, html, text, attachments, bcc = [], replyTo = null, from = CUSTOMER_FROM, headers = null }) {
+  if (!emailTransport) { console.warn('[email] No provider configured'); emailsTotal.inc({ transport: 'none', outcome: 'skipped' }); return false; }
+  try {
+    await emailTransport.send({ from, to, bcc, replyTo, subject, html, text, attachments, ...(headers ? { headers } : {}) });
+  } catch (e) {
+    emailsTotal.inc({ transport: emailTransport.name, outcome: 'failed' });
+    throw e;
+  }
+  emailsTotal.inc({ transport: emailTransport.name, outcome: 'sent' });
+  logger.info('email sent', { transport: emailTransport.name, subject });
+  return true;
+}
+
+// Emails encolados mientras se procesa un evento de Stripe: llevan una clave (evento + destinatario + asunto)
+// para que el reintento de un evento que falló a medias no los encole otra vez
+const outboxDedupScope = new AsyncLocalStorage();
+const outboxDedupKey = (to, subject) => {
+  const scope = outboxDedupScope.getStore();
+  return scope ? crypto.createHash('sha256').update(`${scope.eventId}|${[].concat(to).join(',')}|${subject}`).digest('hex') : null;
+};
+
+// Encola el email (ya renderizado, con adjuntos en base64). Sin BD se entrega en línea.
+// sendAt (Date) programa la entrega para más adelante. Sin "text" se genera a partir del HTML.
+// from y headers son opcionales (por defecto CUSTOMER_FROM y sin cabeceras extra).
+// client: conexión de withTransaction para encolar junto con otros cambios (o nada)
+async function sendEmail({ to, subject, html, text = htmlToText(html), attachments, bcc = [], replyTo = null, sendAt = null, from = null, headers = null, client = null }) {
+  if (!pool) { await deliverEmail({ to, subject, html, text, attachments, bcc, replyTo, from: from || CUSTOMER_FROM, headers }); return; }
+  const storedAttachments = (attachments || []).map(a => ({
+    filename: a.filename, contentType: a.contentType || null,
+    content: Buffer.isBuffer(a.content) ? a.content.toString('base64') : Buffer.from(String(a.content ?? '')).toString('base64'),
+  }));
+  await (client ? client.query.bind(client) : dbQuery)(
+    `INSERT INTO email_outbox(to_addr, bcc, reply_to, subject, html, text_body, attachments, next_attempt_at, from_addr, headers, request_id, dedup_key) VALUES ($1,$2,$3,$4,$5,$6,$7, COALESCE($8, NOW()), $9, $10, $11, $12)
+     ON CONFLICT (dedup_key) DO NOTHING`,
+    [JSON.stringify([].concat(to)), JSON.stringify(bcc || []), replyTo, subject, html, text, JSON.stringify(storedAttachments), sendAt, from, headers ? JSON.stringify(headers) : null, logContext().request_id || null, outboxDedupKey(to, subject)]
+  );
+  kickOutbox();
+}
+
+// ===== Outbox worker =====
+// Reclama lotes con SKIP LOCKED (seguro con varias instancias). Backoff exponencial y "dead" tras EMAIL_MAX_ATTEMPTS.
+// La entrega se loguea con el request_id de la petición que encoló el email.
+const deliverOutboxRow = (row) => runWithContext({ request_id: row.request_id || undefined, email_id: row.id }, async () => {
+  let delivered;
+  try {
+    delivered = await deliverEmail({
+      to: row.to_addr.length === 1 ? row.to_addr[0] : row.to_addr,
+      bcc: row.bcc || [],
+      replyTo: row.reply_to,
+      from: row.from_addr || CUSTOMER_FROM, headers: row.headers,
+      subject: row.subject, html: row.html, text: row.text_body || htmlToText(row.html),
+      attachments: (row.attachments || []).map(a => ({ filename: a.filename, contentType: a.contentType || undefined, content: Buffer.from(a.content, 'base64') })),
+    });
+  } catch (e) {
+    const attempts = row.attempts + 1;
+    const dead = attempts >= EMAIL_MAX_ATTEMPTS;
+    const delay = EMAIL_RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+    console.error(`[email] Outbox #${row.id} intento ${attempts} fallido${dead ? ' (dead-letter)' : ''}:`, e.message);
+    await dbQuery(
+      `UPDATE email_outbox SET status = $2, attempts = $3, last_error = $4, locked_at = NULL, next_attempt_at = NOW() + make_interval(secs => $5) WHERE id = $1`,
+      [row.id, dead ? 'dead' : 'pending', attempts, String(e.message || e).slice(0, 1000), delay]
+    );
+    return;
+  }
+  // Fuera del try: si falla al marcarlo, el email ya salió y no debe volver a la cola de reintentos
+  await dbQuery(`UPDATE email_outbox SET status = $2, sent_at = NOW(), locked_at = NULL, attempts = attempts + 1 WHERE id = $1`, [row.id, delivered ? 'sent' : 'skipped'])
+    .catch(e => console.error(`[ERROR] Outbox #${row.id} entregado pero sin marcar:`, e.message));
+});
+
+let outboxRunning = false;
+async function processOutbox() {
+  if (!pool || outboxRunning) return;
+  outboxRunning = true;
+  try {
+    // Filas bloqueadas por una instancia que murió a mitad de envío
+    await dbQuery(`UPDATE email_outbox SET status = 'pending', locked_at = NULL WHERE status = 'sending' AND locked_at < NOW() - interval '10 minutes'`);
+    for (;;) {
+      const { rows } = await dbQuery(`
+        UPDATE email_outbox SET status = 'sending', locked_at = NOW()
+        WHERE id IN (SELECT id FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= NOW() ORDER BY id LIMIT 10 FOR UPDATE SKIP LOCKED)
+        RETURNING *
+      `);
+      if (!rows.length) break;
+      for (const row of rows) await deliverOutboxRow(row);
+    }
+  } catch (e) { console.error('[ERROR] Outbox:', e.message); }
+  finally { outboxRunning = false; }
+}
+const kickOutbox = () => { setImmediate(processOutbox); };
+
+// ===== Plantillas de email =====
+// Cada plantilla recibe (datos, idioma) y devuelve { subject, header, body, footer?, attachments? }.
+// renderEmail las pasa por emailShell y genera la alternativa en texto plano.
+// Textos de cliente en locales/*.json; los avisos internos (admin*) van siempre en español.
+const brandFooter = `<p style="margin:0; font:11px system-ui; color:#9ca3af;">${escapeHtml(BRAND)}</p>`;
+const greetingHTML = (name, L) => `<p style="margin:0 0 12px; font:15px system-ui; color:#111;">${t(L, 'common.greeting', { name: name || '' })}</p>`;
+const buttonHTML = (url, label) => `<tr><td style="padding:0 24px 12px; text-align:center;"><a href="${escapeHtml(url)}" style="display:inline-block;background:${BRAND_PRIMARY};color:#fff;text-decoration:none;font-weight:800;padding:10px 16px;border-radius:10px;letter-spacing:.2px">${label}</a></td></tr>`;
+const addressBlockHTML = (cust, fallback, L) => `<tr><td style="padding:8px 24px;"><div style="height:1px;background:#e5e7eb;"></div><p style="margin:8px 0 6px; font:600 13px system-ui; color:#111">${t(L, 'common.address')}</p><div style="font:13px system-ui; color:#374151">${fmtAddressHTML(cust || {}, fallback)}</div></td></tr>`;
+const itemsTableHTML = ({ items, currency, total, totalLabel }, L) => `<tr><td style="padding:8px 24px 0;"><table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-family:system-ui;"><thead><tr><th align="left" style="padding:10px 0; font-size:12px; color:#6b7280; text-transform:uppercase;">${t(L, 'common.product')}</th><th align="center" style="padding:10px 0; font-size:12px; color:#6b7280; text-transform:uppercase;">${t(L, 'common.qty')}</th><th align="right" style="padding:10px 0; font-size:12px; color:#6b7280; text-transform:uppercase;">${t(L, 'common.total')}</th></tr></thead><tbody>${lineItemsHTML(items, currency, L)}</tbody><tfoot><tr><td colspan="3"><div style="height:1px;background:#e5e7eb;"></div></td></tr><tr><td style="padding:12px 0; font-size:14px; color:#111; font-weight:700;">${totalLabel || t(L, 'common.total')}</td><td></td><td style="padding:12px 0; font-size:16px; color:#111; font-weight:800; text-align:right;">${fmt(Number(total || 0), currency, L)}</td></tr></tfoot></table></td></tr>`;
+
+function summarizeCustomerChanges(prev = {}, cust = {}, L = DEFAULT_LOCALE) {
+  const lines = [];
+  const change = (key, before, after) => lines.push(`• ${t(L, `customerUpdated.${key}`)}: ${escapeHtml(before || '-')} → ${escapeHtml(after || '-')}`);
+  if ('name' in prev)  change('name', prev.name, cust.name);
+  if ('email' in prev) change('email', prev.email, cust.email);
+  if ('phone' in prev) change('phone', prev.phone, cust.phone);
+  if ('address' in prev) {
+    const addrStr = (a = {}) => [a.line1, a.line2, [a.postal_code, a.city].filter(Boolean).join(' '), a.state, a.country].filter(Boolean).join(', ');
+    change('address', addrStr(prev.address || {}), addrStr(cust.address || {}));
+  }
+  if (prev?.invoice_settings?.default_payment_method !== undefined) {
+    lines.push(`• ${t(L, 'customerUpdated.paymentMethod')}`);
+  }
+  if (!lines.length) return t(L, 'customerUpdated.generic');
+  return lines.join('<br/>');
+}
+
+const EMAIL_TEMPLATES = {
+  // CLIENTE: Bienvenida a la suscripción (sin cobro hasta el día 1)
+  welcome: ({ name, grams, price, currency = 'EUR', customerId }, L) => {
+    const firstCharge = new Date();
+    firstCharge.setMonth(firstCharge.getMonth() + 1, 1);
+    return {
+      subject: t(L, 'welcome.subject', { brand: BRAND }),
+      header: t(L, 'welcome.header'),
+      body: `
+    <tr><td style="padding:0 24px 8px;">
+      ${greetingHTML(name, L)}
+      <p style="margin:0 0 12px; font:14px system-ui; color:#374151;">${t(L, 'welcome.intro', { grams })}</p>
+      <div style="background:#ecfdf5; border:1px solid #a7f3d0; border-radius:8px; padding:16px; margin:16px 0;">
+        <p style="margin:0 0 8px; font-weight:bold; color:#065f46; font-size:14px;">${t(L, 'welcome.paymentInfo')}</p>
+        <p style="margin:0; font-size:13px; color:#064e3b;">
+          • ${t(L, 'welcome.today', { amount: fmt(0, currency, L) })}<br/>
+          • ${t(L, 'welcome.firstCharge', { date: fmtDate(firstCharge, L) })}<br/>
+          • ${t(L, 'welcome.monthly', { amount: fmt(price, currency, L) })}
+        </p>
+      </div>
+      <p style="margin:0 0 12px; font:14px system-ui; color:#374151;">${t(L, 'welcome.outro')}</p>
+    </td></tr>
+    ${customerId ? buttonHTML(subscriptionManageLink(customerId), t(L, 'welcome.manage')) : ''}`,
+      footer: brandFooter,
+    };
+  },
+
+  // ADMIN: Aviso de pedido o alta de suscripción
+  adminOrder: ({ session, items, customerEmail, name, phone, amountTotal, currency, customer_details, shipping, isSubscription }) => {
+    const title = isSubscription ? 'NUEVA SUSCRIPCIÓN (Alta)' : 'NUEVO PEDIDO';
+    return {
+      subject: `${title} - ${escapeHtml(BRAND)}`,
+      header: title,
+      body: `<tr><td style="padding:0 24px 8px;"><p style="margin:0 0 10px; font:15px system-ui; color:#111">${title}</p><ul style="margin:0;padding-left:16px;color:#111;font:14px system-ui"><li><b>Nombre:</b> ${escapeHtml(name || '-')}</li><li><b>Email:</b> ${escapeHtml(customerEmail || '-')}</li><li><b>Teléfono:</b> ${escapeHtml(phone || '-')}</li><li><b>Sesión:</b> ${escapeHtml(session?.id || '-')}</li></ul></td></tr>${addressBlockHTML(customer_details, { address: shipping, name }, 'es')}${itemsTableHTML({ items, currency, total: amountTotal }, 'es')}`,
+    };
+  },
+
+  // ADMIN: Renovación cobrada
+  adminRenewal: ({ customer = {}, total, currency, subscriptionId }) => ({
+    subject: `🔄 Renovación suscripción - ${escapeHtml(customer.name || '')}`,
+    header: 'Suscripción Renovada',
+    body: `<tr><td style="padding:0 24px 12px;"><p style="margin:0 0 10px; font:15px system-ui; color:#111">Se ha renovado una suscripción (Pago Recurrente).</p><ul style="margin:0;padding-left:16px;color:#111;font:14px system-ui"><li><b>Cliente:</b> ${escapeHtml(customer.name || '-')}</li><li><b>Email:</b> ${escapeHtml(customer.email || '-')}</li><li><b>Importe:</b> ${fmt(Number(total || 0), currency)}</li><li><b>ID Suscripción:</b> ${escapeHtml(subscriptionId)}</li></ul></td></tr>`,
+  }),
+
+  // ADMIN: Eventos de Stripe recuperados por la reconciliación (report = runReconciliation())
+  adminReconciliation: ({ report }) => ({
+    subject: `🔁 Reconciliación Stripe #${report.id}: ${report.fixed.length} recuperado(s)${report.errors.length ? `, ${report.errors.length} error(es)` : ''}`,
+    header: 'Reconciliación con Stripe',
+    body: `<tr><td style="padding:0 24px 12px;"><p style="margin:0 0 10px; font:15px system-ui; color:#111">Eventos que no se habían procesado por el webhook y se han reproducido ahora.</p>${report.fixed.length ? reportTableHTML(['Evento', 'Objeto'], report.fixed.map(f => [f.type, f.object])) : ''}${report.errors.length ? `<p style="margin:12px 0 6px; font:600 14px system-ui; color:#b91c1c">Errores</p>${reportTableHTML(['Evento', 'Objeto', 'Error'], report.errors.map(e => [e.type || '-', e.object || '-', e.error]))}` : ''}</td></tr>`,
+  }),
+
+  // ADMIN: Resumen diario/semanal de ventas y suscripciones (summary = reportSummary())
+  adminDigest: ({ summary, kind }) => {
+    const { from, to, revenue, subscriptions: subs, tiers, countries, products } = summary;
+    const money = (v, currency = 'EUR') => fmt(Number(v || 0), currency);
+    const section = (title, html) => `<tr><td style="padding:0 24px 16px;"><p style="margin:0 0 6px; font:600 14px system-ui; color:#111">${title}</p>${html}</td></tr>`;
+    return {
+      subject: `📊 Resumen ${kind === 'weekly' ? 'semanal' : 'diario'} ${from === to ? from : `${from} → ${to}`}`,
+      header: `Resumen ${kind === 'weekly' ? 'semanal' : 'diario'}`,
+      body: [
+        section('Ventas', revenue.length
+          ? reportTableHTML(['Moneda', 'Pedidos', 'Bruto', 'Reembolsos', 'Neto'], revenue.map(r => [r.currency, r.orders, money(r.gross, r.currency), money(r.refunded, r.currency), money(r.net, r.currency)]))
+          : '<p style="margin:0; font:14px system-ui; color:#6b7280">Sin pedidos en el periodo.</p>'),
+        section('Suscripciones', `<ul style="margin:0;padding-left:16px;color:#111;font:14px system-ui"><li><b>Activas:</b> ${subs.active}</li><li><b>MRR:</b> ${money(subs.mrr)}</li><li><b>Altas:</b> ${subs.new}</li><li><b>Bajas:</b> ${subs.canceled}</li><li><b>Churn:</b> ${subs.churn_rate == null ? '-' : `${subs.churn_rate} %`}</li></ul>`),
+        section('MRR por tramo', reportTableHTML(['Gramos', 'Activas', 'MRR'], tiers.filter(r => r.subscribers).map(r => [r.grams ? `${r.grams} g` : 'Sin tramo', r.subscribers, money(r.mrr)]))),
+        countries.length ? section('Países', reportTableHTML(['País', 'Pedidos', 'Neto'], countries.map(r => [r.country, r.orders, money(r.net, r.currency)]))) : '',
+        products.length ? section('Productos más vendidos', reportTableHTML(['Producto', 'Uds.', 'Ingresos'], products.map(r => [r.description, r.units, money(r.revenue, r.currency)]))) : '',
+      ].join(''),
+    };
+  },
+
+  // CLIENTE: Confirmación sin adjuntos (COMBINE_CONFIRMATION_AND_INVOICE=false)
+  confirmation: ({ name, amountTotal, currency, items, isSubscription, customerId, customer_details, shipping }, L) => ({
+    subject: t(L, 'confirmation.subject'),
+    header: t(L, 'confirmation.header'),
+    body: `<tr><td style="padding:0 24px 8px;">${greetingHTML(name, L)}<p>${t(L, isSubscription ? 'confirmation.introSubscription' : 'confirmation.introOrder')}</p></td></tr>${addressBlockHTML(customer_details, { address: shipping, name }, L)}${itemsTableHTML({ items, currency, total: amountTotal }, L)}${isSubscription ? buttonHTML(billingPortalLink(customerId), t(L, 'common.manageSubscription')) : ''}`,
+  }),
+
+  // CLIENTE: Recibo / factura de pedido, alta o renovación.
+  // Si hay factura emitida (invoice) se adjunta la factura; si no, el recibo de pago.
+  receipt: async ({ name, invoiceNumber, total, currency, items, customer, pdfUrl, isSubscription, isRenewal, customerId, invoice = null }, L) => {
+    const attachments = invoice
+      ? [{ filename: `factura-${invoice.number}.pdf`, content: await buildInvoicePDF(invoice), contentType: 'application/pdf' }]
+      : [{ filename: `recibo-${invoiceNumber || 'pago'}.pdf`, content: await buildReceiptPDF({ invoiceNumber, total, currency, customer, items }), contentType: 'application/pdf' }];
+    if (ATTACH_STRIPE_INVOICE && pdfUrl) {
+      try {
+        const r = await fetch(pdfUrl);
+        if (r.ok) attachments.push({ filename: `factura-${invoiceNumber}.pdf`, content: Buffer.from(await r.arrayBuffer()), contentType: 'application/pdf' });
+      } catch {}
+    }
+    const variant = !isSubscription ? 'Order' : isRenewal ? 'Renewal' : 'First';
+    const doc = t(L, invoice ? 'receipt.docInvoice' : 'receipt.docReceipt');
+    const downloadUrl = invoice ? invoiceDownloadLink(invoice.number) : null;
+    return {
+      subject: t(L, `receipt.subject${variant}`),
+      header: t(L, `receipt.header${variant}`),
+      body: `<tr><td style="padding:0 24px 8px;">${greetingHTML(name, L)}<p>${t(L, `receipt.intro${variant}`, { doc })}</p></td></tr>${addressBlockHTML(customer, {}, L)}${itemsTableHTML({ items, currency, total, totalLabel: t(L, isSubscription ? 'common.totalFee' : 'common.total') }, L)}${isSubscription ? buttonHTML(billingPortalLink(customerId), t(L, 'common.manageSubscription')) : ''}${downloadUrl ? `<tr><td style="padding:0 24px 12px; text-align:center; font:12px system-ui;"><a href="${escapeHtml(downloadUrl)}" style="color:#6b7280;">${t(L, 'common.downloadInvoice', { number: invoice.number })}</a></td></tr>` : ''}`,
+      attachments,
+    };
+  },
+
+  cancel: ({ name, subId }, L) => ({
+    subject: t(L, 'cancel.subject'),
+    header: t(L, 'cancel.header'),
+    body: `<tr><td style="padding:0 24px;"><p>${t(L, 'cancel.body', { name: name || '', id: subId })}</p></td></tr>`,
+  }),
+
+  // CLIENTE: Envío con número de seguimiento
+  shipment: ({ name, carrier, trackingNumber }, L) => {
+    const trackingUrl = trackingUrlFor(trackingNumber);
+    return {
+      subject: t(L, 'shipment.subject', { brand: BRAND }),
+      header: t(L, 'shipment.header'),
+      body: `<tr><td style="padding:0 24px 12px;">${greetingHTML(name, L)}<p>${t(L, 'shipment.body')}</p>${trackingNumber ? `<p><b>${t(L, 'shipment.carrier')}:</b> ${escapeHtml(carrier || '-')}<br/><b>${t(L, 'shipment.tracking')}:</b> ${escapeHtml(trackingNumber)}</p>` : ''}</td></tr>${trackingUrl ? buttonHTML(trackingUrl, t(L, 'shipment.track')) : ''}`,
+    };
+  },
+
+  // DESTINATARIO: Regalo con tarjeta PDF
+  gift: async ({ gift }, L) => {
+    const pdf = await buildGiftCardPDF({ recipientName: gift.recipient_name, buyerName: gift.buyer_name, message: gift.message, grams: gift.grams, months: gift.months, startPeriod: gift.start_period });
+    const duration = t(L, gift.months === 1 ? 'gift.month' : 'gift.months', { n: gift.months });
+    return {
+      subject: t(L, 'gift.subject', { buyer: gift.buyer_name || t(L, 'gift.someoneShort'), brand: BRAND }),
+      header: t(L, 'gift.header'),
+      body: `<tr><td style="padding:0 24px 12px;">${greetingHTML(gift.recipient_name, L)}<p>${t(L, 'gift.body', { buyer: gift.buyer_name || t(L, 'gift.someone'), duration, grams: gift.grams })}</p>${gift.message ? `<div style="background:#fff7ed;border:1px solid #fed7aa;border-radius:8px;padding:16px;margin:16px 0;font:italic 15px system-ui;color:#7c2d12">“${escapeHtml(gift.message)}”</div>` : ''}<p>${t(L, 'gift.outro')}</p></td></tr>`,
+      footer: brandFooter,
+      attachments: [{ filename: 'tarjeta-regalo.pdf', content: pdf, contentType: 'application/pdf' }],
+    };
+  },
+
+  // CLIENTE: Cambios de autoservicio. change = { type: 'grams', grams, amount, currency, effectiveAt } | { type: 'pause'|'skip', periods } | { type: 'resume' }
+  subscriptionChange: ({ name, change = {}, customerId }, L) => {
+    let header, lines;
+    if (change.type === 'grams') {
+      header = t(L, 'change.headerGrams');
+      lines = [t(L, 'change.grams', { grams: change.grams, amount: fmt(change.amount, change.currency || 'EUR', L) }), t(L, 'change.effective', { date: fmtDate(change.effectiveAt, L) })];
+    } else if (change.type === 'resume') {
+      header = t(L, 'change.headerResume');
+      lines = [t(L, 'change.resumed')];
+    } else {
+      header = t(L, change.type === 'skip' ? 'change.headerSkip' : 'change.headerPause');
+      const months = (change.periods || []).map(p => fmtDate(`${p}-01T12:00:00Z`, L, { month: 'long', year: 'numeric' }));
+      lines = [t(L, 'change.skipped', { months: months.join(', ') }), t(L, 'change.after')];
+    }
+    return {
+      subject: t(L, 'change.subject', { header, brand: BRAND }),
+      header,
+      body: `<tr><td style="padding:0 24px 12px;">${greetingHTML(name, L)}<p>${t(L, 'change.intro')}</p><div style="background:#f9fafb;border:1px solid #e5e7eb;border-radius:8px;padding:12px 16px;font:14px system-ui;color:#111">${lines.join('<br/>')}</div></td></tr>${buttonHTML(subscriptionManageLink(customerId), t(L, 'change.view'))}`,
+    };
+  },
+
+  // CLIENTE: Cobro de suscripción fallido (dunning)
+  paymentFailed: ({ name, total, currency, attempt, nextAttemptAt, customerId }, L) => ({
+    subject: t(L, 'paymentFailed.subject', { brand: BRAND }),
+    header: t(L, 'paymentFailed.header'),
+    body: `<tr><td style="padding:0 24px 12px;">${greetingHTML(name, L)}<p>${t(L, 'paymentFailed.body', { amount: fmt(Number(total || 0), currency, L) })}${attempt > 1 ? ` ${t(L, 'paymentFailed.attempt', { n: attempt })}` : ''}</p><p>${nextAttemptAt ? `${t(L, 'paymentFailed.retry', { date: fmtDate(nextAttemptAt, L) })} ` : ''}${t(L, 'paymentFailed.update')}</p></td></tr>${buttonHTML(billingPortalLink(customerId), t(L, 'paymentFailed.cta'))}`,
+  }),
+
+  // CLIENTE: Reembolso. Con factura original se adjunta la factura rectificativa; si no, una nota de abono.
+  refund: async ({ name, refundId, amount, currency, reference, customer, rectifying = null }, L) => {
+    const attachment = rectifying
+      ? { filename: `factura-${rectifying.number}.pdf`, content: await buildInvoicePDF(rectifying), contentType: 'application/pdf' }
+      : { filename: `abono-${refundId}.pdf`, contentType: 'application/pdf', content: await buildReceiptPDF({
+          invoiceNumber: refundId, total: amount, currency, customer,
+          items: [{ description: `Reembolso${reference ? ` — ${reference}` : ''}`, quantity: 1, amount_total: Math.round(amount * 100) }],
+          title: 'NOTA DE ABONO', numberLabel: 'Nº Abono', dateLabel: 'Fecha', statusLabel: 'REEMBOLSADO', note: 'Documento justificativo de reembolso.',
+        }) };
+    return {
+      subject: t(L, 'refund.subject', { brand: BRAND }),
+      header: t(L, 'refund.header'),
+      body: `<tr><td style="padding:0 24px 12px;">${greetingHTML(name, L)}<p>${t(L, 'refund.body', { amount: fmt(Number(amount || 0), currency, L) })}</p><p>${rectifying ? t(L, 'refund.attachedRectifying', { number: rectifying.number }) : t(L, 'refund.attachedCreditNote')}</p></td></tr>`,
+      attachments: [attachment],
+    };
+  },
+
+  // CLIENTE: Pedido con pago diferido (SEPA, etc.)
+  paymentPending: ({ name, amountTotal, currency }, L) => ({
+    subject: t(L, 'paymentPending.subject', { brand: BRAND }),
+    header: t(L, 'paymentPending.header'),
+    body: `<tr><td style="padding:0 24px 12px;">${greetingHTML(name, L)}<p>${t(L, 'paymentPending.body', { amount: fmt(Number(amountTotal || 0), currency, L) })}</p></td></tr>`,
+  }),
+
+  paymentRejected: ({ name }, L) => ({
+    subject: t(L, 'paymentRejected.subject', { brand: BRAND }),
+    header: t(L, 'paymentRejected.header'),
+    body: `<tr><td style="padding:0 24px 12px;">${greetingHTML(name, L)}<p>${t(L, 'paymentRejected.body')}</p></td></tr>${buttonHTML(FRONT_BASE, t(L, 'paymentRejected.cta'))}`,
+  }),
+
+  customerUpdated: ({ prev = {}, cust = {} }, L) => ({
+    subject: t(L, 'customerUpdated.subject'),
+    header: t(L, 'customerUpdated.header'),
+    body: `<tr><td style="padding:0 24px;"><p>${summarizeCustomerChanges(prev, cust, L)}</p></td></tr>`,
+  }),
+
+  contactAdmin: ({ id, email, name, subject, message, customerId, orderSessionId }) => ({
+    subject: `Contacto${id ? ` #${id}` : ''}: ${escapeHtml(subject || '')}`,
+    header: 'Nuevo mensaje',
+    body: `<tr><td style="padding:0 24px;"><p>Contacto de: ${escapeHtml(name ? `${name} <${email}>` : email)}</p>${customerId ? `<p>Suscriptor: ${escapeHtml(customerId)}</p>` : ''}${orderSessionId ? `<p>Último pedido: ${escapeHtml(orderSessionId)}</p>` : ''}<p>${multilineHTML(message)}</p></td></tr>`,
+  }),
+
+  // CLIENTE: Respuesta del equipo a un mensaje de contacto (se envía desde SUPPORT_EMAIL)
+  contactReply: ({ subject, body, original, receivedAt }, L) => ({
+    subject: t(L, 'contactReply.subject', { subject: subject || t(L, 'contactReply.noSubject') }),
+    header: t(L, 'contactReply.header'),
+    body: `<tr><td style="padding:0 24px 12px;"><p style="margin:0 0 12px;">${multilineHTML(body)}</p></td></tr>${original ? `<tr><td style="padding:0 24px 12px;"><p style="margin:0 0 6px; font-size:12px; color:#6b7280;">${t(L, 'contactReply.quote', { date: fmtDate(receivedAt || Date.now(), L, { day: 'numeric', month: 'long', year: 'numeric' }) })}</p><blockquote style="margin:0; padding:0 0 0 12px; border-left:3px solid #e5e7eb; color:#6b7280;">${multilineHTML(original)}</blockquote></td></tr>` : ''}`,
+  }),
+
+  contact: ({ subject }, L) => ({
+    subject: t(L, 'contact.subject'),
+    header: t(L, 'contact.header'),
+    body: `<tr><td style="padding:0 24px;"><p>${t(L, 'contact.body', { subject: subject || '' })}</p></td></tr>`,
+  }),
+
+  // CLIENTE: Enlace mágico para entrar en su cuenta
+  accountLogin: ({ url, minutes }, L) => ({
+    subject: t(L, 'accountLogin.subject'),
+    header: t(L, 'accountLogin.header'),
+    body: `<tr><td style="padding:0 24px 12px;"><p style="margin:0 0 12px;">${t(L, 'accountLogin.intro', { minutes })}</p></td></tr>${buttonHTML(url, t(L, 'accountLogin.button'))}<tr><td style="padding:0 24px 12px;"><p style="margin:0; font-size:12px; color:#6b7280;">${t(L, 'accountLogin.ignore')}</p></td></tr>`,
+  }),
+
+  // MARKETING: Campaña. html es el cuerpo escrito por el admin (de confianza); el pie lleva el enlace de baja
+  campaign: ({ subject, header, html, unsubscribeUrl }, L) => ({
+    subject,
+    header: header || subject,
+    body: `<tr><td style="padding:0 24px 12px; font:14px system-ui; color:#374151;">${html}</td></tr>`,
+    footer: `<p style="margin:0 0 6px; font:11px system-ui; color:#9ca3af;">${t(L, 'campaign.footer', { brand: BRAND })} <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280;">${t(L, 'campaign.unsubscribe')}</a></p>${brandFooter}`,
+  }),
+
+  // CLIENTE: Recordatorio de checkout abandonado con el enlace de recuperación de Stripe
+  abandonedCheckout: ({ name, mode, items = [], currency = 'EUR', total, url, expiresAt, promoCode }, L) => ({
+    subject: t(L, 'abandonedCheckout.subject'),
+    header: t(L, 'abandonedCheckout.header'),
+    body: `<tr><td style="padding:0 24px 8px;">${greetingHTML(name, L)}<p style="margin:0 0 12px; font:14px system-ui; color:#374151;">${t(L, mode === 'subscription' ? 'abandonedCheckout.introSubscription' : 'abandonedCheckout.intro', { brand: BRAND })}</p></td></tr>
+    ${itemsTableHTML({ items, currency, total }, L)}
+    ${promoCode ? `<tr><td style="padding:8px 24px;"><div style="background:#fef3c7; border:1px dashed #f59e0b; border-radius:8px; padding:12px; font:14px system-ui; color:#92400e; text-align:center;">${t(L, 'abandonedCheckout.promo', { code: promoCode })}</div></td></tr>` : ''}
+    ${buttonHTML(url, t(L, 'abandonedCheckout.button'))}
+    <tr><td style="padding:0 24px 12px;"><p style="margin:0; font-size:12px; color:#6b7280;">${expiresAt ? `${t(L, 'abandonedCheckout.expires', { date: fmtDate(expiresAt, L, { day: 'numeric', month: 'long', year: 'numeric' }) })} ` : ''}${t(L, 'abandonedCheckout.once')}</p></td></tr>`,
+  }),
+
+  // CLIENTE: Crédito por un amigo que se ha suscrito con su código
+  referralReward: ({ name, code, amount, currency = 'EUR', count, remaining, customerId }, L) => ({
+    subject: t(L, 'referralReward.subject', { amount: fmt(amount, currency, L) }),
+    header: t(L, 'referralReward.header'),
+    body: `<tr><td style="padding:0 24px 12px;">${greetingHTML(name, L)}<p style="margin:0 0 12px;">${t(L, 'referralReward.intro', { code, amount: fmt(amount, currency, L) })}</p><p style="margin:0 0 12px;">${t(L, 'referralReward.stats', { count })}${remaining > 0 ? ` ${t(L, 'referralReward.remaining', { count: remaining })}` : ''}</p><p style="margin:0; font-size:13px; color:#6b7280;">${t(L, 'referralReward.share', { percent: REFERRAL_DISCOUNT_PERCENT })}</p></td></tr>${customerId ? buttonHTML(subscriptionManageLink(customerId), t(L, 'common.manageSubscription')) : ''}`,
+  }),
+
+  // CLIENTE: Enlace para descargar sus datos (RGPD)
+  privacyExport: ({ url, minutes }, L) => ({
+    subject: t(L, 'privacyExport.subject'),
+    header: t(L, 'privacyExport.header'),
+    body: `<tr><td style="padding:0 24px 12px;"><p style="margin:0 0 12px;">${t(L, 'privacyExport.intro', { minutes })}</p></td></tr>${buttonHTML(url, t(L, 'privacyExport.button'))}<tr><td style="padding:0 24px 12px;"><p style="margin:0; font-size:12px; color:#6b7280;">${t(L, 'privacyExport.ignore')}</p></td></tr>`,
+  }),
+
+  // CLIENTE: Acceso a sus suscripciones activas. links = [{ url, manageUrl, amount, currency, address }]
+  recovery: ({ links = [] }, L) => ({
+    subject: t(L, 'recovery.subject'),
+    header: t(L, 'recovery.header'),
+    body: `<tr><td style="padding:0 24px 12px;">
+          <p style="margin:0 0 16px;">${t(L, 'recovery.intro')}</p>
+          ${links.map(l => `
+        <div style="margin:16px 0; background:#f9fafb; padding:12px; border-radius:8px; border:1px solid #e5e7eb;">
+          <p style="margin:0 0 8px; font-weight:bold; color:#333;">${t(L, 'recovery.active')}${l.amount != null ? ` (${fmt(l.amount, l.currency || 'EUR', L)})` : ''} — ${l.address ? escapeHtml(`${l.address.line1 || ''} (${l.address.city || ''})`) : t(L, 'recovery.noAddress')}</p>
+          <a href="${escapeHtml(l.url)}" style="display:inline-block; background:${BRAND_PRIMARY}; color:#fff; padding:10px 16px; text-decoration:none; border-radius:6px; font-weight:bold;">${t(L, 'recovery.manage')}</a>
+          ${l.manageUrl ? `<a href="${escapeHtml(l.manageUrl)}" style="display:inline-block; margin-left:8px; color:${BRAND_PRIMARY}; padding:10px 16px; text-decoration:none; border:1px solid ${BRAND_PRIMARY}; border-radius:6px; font-weight:bold;">${t(L, 'recovery.change')}</a>` : ''}
+        </div>`).join('')}
+        </td></tr>`,
+  }),
+};
+
+// { subject, html, text, attachments } listos para sendEmail
+async function renderEmail(type, locale, data = {}) {
+  const template = EMAIL_TEMPLATES[type];
+  if (!template) throw new Error(`Plantilla de email desconocida: ${type}`);
+  const L = resolveLocale(locale);
+  const { subject, header, body, footer = '', attachments } = await template(data, L);
+  return {
+    subject: htmlToText(subject),
+    html: emailShell({ header, body, footer }),
+    text: htmlToText(`<p>${escapeHtml(header)}</p><table>${body}</table>${footer}`),
+    attachments,
+  };
+}
+
+// Renderiza en el idioma del destinatario y encola. El resto de campos son los datos de la plantilla.
+async function sendTemplate(type, { to, locale, bcc, replyTo, sendAt, from, headers, ...data }) {
+  if (!to) return;
+  await sendEmail({ to, bcc, replyTo, sendAt, from, headers, ...(await renderEmail(type, locale, data)) });
+}
+
+const sendCustomerSubscriptionWelcome = (data) => sendTemplate('welcome', data);
+const sendCustomerConfirmationOnly = (data) => sendTemplate('confirmation', data);
+const sendCustomerCombined = (data) => sendTemplate('receipt', data);
+const sendShipmentEmail = (data) => sendTemplate('shipment', data);
+const sendSubscriptionChangeEmail = (data) => sendTemplate('subscriptionChange', data);
+const sendPaymentFailedEmail = (data) => sendTemplate('paymentFailed', data);
+const sendRefundEmail = (data) => sendTemplate('refund', data);
+const sendPaymentPendingEmail = (data) => sendTemplate('paymentPending', data);
+const sendPaymentRejectedEmail = (data) => sendTemplate('paymentRejected', data);
+
+// ADMIN: siempre en español
+async function sendAdminEmail(data) {
+  if (CORPORATE_EMAIL) await sendTemplate('adminOrder', { ...data, to: CORPORATE_EMAIL, locale: 'es' });
+}
+async function sendAdminRenewalEmail(data) {
+  if (CORPORATE_EMAIL) await sendTemplate('adminRenewal', { ...data, to: CORPORATE_EMAIL, locale: 'es' });
+}
+
+async function sendAdminReconciliationEmail(report) {
+  if (CORPORATE_EMAIL) await sendTemplate('adminReconciliation', { report, to: CORPORATE_EMAIL, locale: 'es' });
+}
+
+async function sendCancelEmails({ customerEmail, name, subId, locale }) {
+  await sendTemplate('cancel', { to: customerEmail, name, subId, locale });
+}
+
+// DESTINATARIO: Email de regalo (puede ir programado para delivery_date)
+async function sendGiftEmail(gift) {
+  if (!gift?.recipient_email) return;
+  await sendTemplate('gift', {
+    to: gift.recipient_email, locale: gift.locale, gift,
+    // pg devuelve las columnas date como Date a medianoche local
+    sendAt: gift.delivery_date ? new Date(`${gift.delivery_date instanceof Date ? gift.delivery_date.toLocaleDateString('sv-SE') : String(gift.delivery_date).slice(0, 10)}T08:00:00Z`) : null,
+  });
+}
+
+async function sendCustomerUpdatedEmails({ cust, prev, locale }) {
+  await sendTemplate('customerUpdated', { to: cust.email, prev, cust, locale });
+}
+// Aviso interno + acuse al cliente. El acuse sale de SUPPORT_EMAIL con el Message-ID del hilo, para que las respuestas cuelguen de él.
+async function sendContactEmails(payload) {
+  const { id, email, name, subject, message, locale, messageId, customerId, orderSessionId } = payload;
+  if (CORPORATE_EMAIL) await sendTemplate('contactAdmin', { to: CORPORATE_EMAIL, replyTo: email, locale: 'es', id, email, name, subject, message, customerId, orderSessionId });
+  await sendTemplate('contact', { to: email, locale, subject, from: SUPPORT_FROM, ...(messageId ? { headers: { 'Message-ID': messageId } } : {}) });
+}
+
+// ===== Webhook helpers =====
+const fetchSessionItems = async (sessionId) => {
+  try { return (await stripe.checkout.sessions.listLineItems(sessionId, { limit: 100, expand: ['data.price.product'] })).data; }
+  catch { return []; }
+};
+
+// Factura de un pedido de checkout (productos + envío). Categoría de IVA por metadata del producto (vat_category).
+const issueOrderInvoice = async (session, items, person) => {
+  const lines = items.map(li => ({
+    description: li.description, quantity: li.quantity || 1,
+    gross_cents: li.amount_total ?? li.amount ?? 0,
+    category: li.price?.product?.metadata?.vat_category || 'reduced',
+  }));
+  if (session.shipping_cost?.amount_total) lines.push({ description: 'Gastos de envío', quantity: 1, gross_cents: session.shipping_cost.amount_total, category: 'reduced' });
+  return issueInvoice({
+    source: 'order', refId: session.id, customerId: session.customer || null,
+    buyer: { name: session.customer_details?.name || person.name, email: person.email, taxId: session.customer_details?.tax_ids?.[0]?.value, address: session.customer_details?.address || person.address },
+    country: person.address?.country, currency: (session.currency || 'eur').toUpperCase(), lines,
+  });
+};
+
+// Factura de un cobro de suscripción (renovaciones)
+const issueSubscriptionInvoice = async (inv, items) => issueInvoice({
+  source: 'subscription', refId: inv.id, customerId: inv.customer,
+  buyer: { name: inv.customer_name, email: inv.customer_email, taxId: inv.customer_tax_ids?.[0]?.value, address: inv.customer_address || inv.customer_shipping?.address },
+  country: inv.customer_shipping?.address?.country || inv.customer_address?.country,
+  currency: (inv.currency || 'eur').toUpperCase(),
+  lines: items.map(li => ({ description: li.description, quantity: li.quantity || 1, gross_cents: li.amount ?? 0, category: 'reduced' })),
+});
+
+// Factura + confirmación de un pedido suelto ya pagado
+const sendOneOffConfirmation = async ({ session, person, items, currency, amountTotal, locale }) => {
+  let invoice = null;
+  try { invoice = await issueOrderInvoice(session, items, person); }
+  catch (e) { console.error('[ERROR] Invoice:', e.message); }
+  if (COMBINE_CONFIRMATION_AND_INVOICE) {
+    await sendCustomerCombined({ to: person.email, locale, name: person.name, invoiceNumber: session.id, total: amountTotal, currency, items, customer: person, isSubscription: false, invoice });
+  } else {
+    await sendCustomerConfirmationOnly({ to: person.email, locale, name: person.name, amountTotal, currency, items, customer_details: session.customer_details, shipping: session.shipping_details?.address, isSubscription: false });
+  }
+};
+
+// Primer lote (día 1) en o después de la fecha de entrega: la caja no puede llegar antes que el email del regalo
+const giftStartPeriod = (deliveryDate) => {
+  if (!deliveryDate) return new Date().toISOString().slice(0, 7);
+  const d = new Date(`${deliveryDate}T12:00:00Z`);
+  if (d.getUTCDate() > 1) d.setUTCMonth(d.getUTCMonth() + 1, 1);
+  return d.toISOString().slice(0, 7);
+};
+
+// Regalo pagado: se guarda comprador y destinatario y se programa el email con la tarjeta
+const registerPaidGift = async (session) => {
+  const md = session.metadata || {};
+  // El importe tiene que cuadrar con la tabla (amount_subtotal va antes de descuentos y sin envío)
+  const g = Number(md.gift_grams);
+  const m = Number(md.gift_months);
+  if (!SUB_PRICE_TABLE[g] || !GIFT_MONTHS.includes(m) || session.amount_subtotal !== SUB_PRICE_TABLE[g] * m) {
+    console.error(`[ERROR] Regalo rechazado en ${session.id}: ${g} g × ${m} meses no cuadra con ${session.amount_subtotal} céntimos pagados`);
+    return;
+  }
+  const buyer = session.customer_details || {};
+  const ship = session.shipping_details || {};
+  const gift = await insertGiftSubscription({
+    sessionId: session.id,
+    buyerName: buyer.name || null, buyerEmail: buyer.email || session.customer_email || null,
+    recipientName: md.recipient_name || ship.name || null, recipientEmail: md.recipient_email || null,
+    phone: ship.phone || null,
+    address: [ship.address?.line1, ship.address?.line2].filter(Boolean).join(', ') || null,
+    city: ship.address?.city || null, postal: ship.address?.postal_code || null, country: ship.address?.country || null,
+    grams: Number(md.gift_grams), months: Number(md.gift_months),
+    message: md.gift_message || null, deliveryDate: md.delivery_date || null,
+    startPeriod: giftStartPeriod(md.delivery_date),
+    locale: resolveLocale(md.locale, ship.address?.country),
+  });
+  // Sin BD no hay fila; el email se manda igualmente con los datos de la sesión
+  const row = gift || (!pool ? {
+    recipient_email: md.recipient_email, recipient_name: md.recipient_name || ship.name, buyer_name: buyer.name,
+    grams: Number(md.gift_grams), months: Number(md.gift_months), message: md.gift_message, delivery_date: md.delivery_date || null,
+    start_period: giftStartPeriod(md.delivery_date),
+    locale: resolveLocale(md.locale, ship.address?.country),
+  } : null);
+  if (!row) return; // ya registrado (reintento del evento)
+  await sendGiftEmail(row);
+  await markGiftEmailQueued(row.id);
+};
+
+const syncSubscription = async (sub) => {
+  const cust = await stripe.customers.retrieve(sub.customer);
+  const price = subscriptionItems(sub).product?.price;
+  const grams = gramsForAmount(price?.unit_amount);
+  await upsertSubscriber({
+    customer_id: sub.customer, subscription_id: sub.id,
+    email: cust.email, name: cust.name, phone: cust.phone,
+    plan: price?.id, status: sub.status,
+    meta: { ...sub.metadata, ...(grams ? { subscription_grams: String(grams) } : {}) },
+    locale: supportedLocale(sub.metadata?.locale),
+    address: cust.address?.line1, city: cust.address?.city, postal: cust.address?.postal_code, country: cust.address?.country
+  });
+};
+
+// ===== Referidos =====
+// Cada suscriptor tiene un código promocional de Stripe sobre un cupón común (descuento del primer mes).
+// Cuando quien se suscribió con él paga su primera cuota, quien le invitó recibe crédito en su saldo de
+// Stripe, que se descuenta solo de su siguiente factura.
+const REFERRAL_LOCK_KEY = 7261003; // pg_advisory_xact_lock: los límites se comprueban de uno en uno
+const REFERRAL_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // sin 0/O ni 1/I
+
+// Stripe solo admite letras y números: nombre de pila + 4 caracteres al azar (MARIA7K3P)
+const newReferralCode = (name) => {
+  const prefix = String(name || '').trim().split(/\s+/)[0].normalize('NFD').replace(/[^A-Za-z]/g, '').toUpperCase().slice(0, 8) || 'AMIGO';
+  return prefix + Array.from(crypto.randomBytes(4), b => REFERRAL_CODE_CHARS[b % REFERRAL_CODE_CHARS.length]).join('');
+};
+
+// Cupón común con id fijo por porcentaje, para que todas las instancias usen el mismo (se crea la primera vez).
+// El primer cobro es el día 1 del mes siguiente al alta (billing_cycle_anchor) y la factura del alta es de 0 €:
+// un cupón "once" se gastaría en ella, así que dura un mes desde el alta. Las altas del día 1 antes de las 12:00
+// quedan fuera (su primer cobro llega justo después).
+let referralCouponPromise = null;
+const getReferralCouponId = () => {
+  referralCouponPromise ??= (async () => {
+    const id = `referral-${REFERRAL_DISCOUNT_PERCENT}`;
+    try { return (await stripe.coupons.retrieve(id)).id; }
+    catch (e) { if (e.code !== 'resource_missing') throw e; }
+    return (await stripe.coupons.create({
+      id, percent_off: REFERRAL_DISCOUNT_PERCENT, duration: 'repeating', duration_in_months: 1,
+      name: `Referido: ${REFERRAL_DISCOUNT_PERCENT}% el primer mes`, metadata: { kind: 'referral' },
+    })).id;
+  })().catch(e => { referralCouponPromise = null; throw e; });
+  return referralCouponPromise;
+};
+
+const getReferralCode = async (customerId) => (await dbQuery(`SELECT * FROM referral_codes WHERE customer_id = $1`, [customerId])).rows[0] || null;
+
+// Código del suscriptor; la primera vez lo crea en Stripe y lo guarda
+const ensureReferralCode = async ({ customerId, name }) => {
+  const existing = await getReferralCode(customerId);
+  if (existing) return existing;
+  const coupon = await getReferralCouponId();
+  let promo = null;
+  for (let attempt = 1; !promo; attempt++) {
+    try {
+      promo = await stripe.promotionCodes.create({
+        coupon, code: newReferralCode(name),
+        restrictions: { first_time_transaction: true },
+        metadata: { kind: 'referral', referrer_customer_id: customerId },
+      });
+    } catch (e) {
+      // Código ya usado por otro promocional activo: se prueba otro
+      if (attempt >= 3 || e.type !== 'StripeInvalidRequestError') throw e;
+    }
+  }
+  const { rows } = await dbQuery(
+    `INSERT INTO referral_codes(customer_id, code, promotion_code_id, coupon_id) VALUES ($1,$2,$3,$4) ON CONFLICT (customer_id) DO NOTHING RETURNING *`,
+    [customerId, promo.code, promo.id, coupon]
+  );
+  if (rows[0]) return rows[0];
+  // Otra petición lo creó a la vez: se desactiva el que sobra
+  await stripe.promotionCodes.update(promo.id, { active: false }).catch(() => {});
+  return getReferralCode(customerId);
+};
+
+// Alta con un código de referido → referral pendiente hasta que pague la primera cuota.
+// Usar el propio código (mismo cliente o mismo email) queda registrado como rechazado.
+const registerReferral = async (sub, email) => {
+  const promotionCode = sub.discount?.promotion_code;
+  if (!pool || !promotionCode) return null;
+  const { rows: [code] } = await dbQuery(
+    `SELECT c.customer_id, c.promotion_code_id, s.email AS referrer_email FROM referral_codes c LEFT JOIN subscribers s ON s.customer_id = c.customer_id WHERE c.promotion_code_id = $1`,
+    [typeof promotionCode === 'string' ? promotionCode : promotionCode.id]
+  );
+  if (!code) return null;
+  const self = code.customer_id === sub.customer || (!!email && normalizeEmail(email) === normalizeEmail(code.referrer_email));
+  const { rows } = await dbQuery(`
+    INSERT INTO referrals(referrer_customer_id, referred_customer_id, subscription_id, promotion_code_id, status, reason)
+    VALUES ($1,$2,$3,$4,$5,$6)
+    ON CONFLICT (referred_customer_id) DO NOTHING
+    RETURNING *
+  `, [code.customer_id, sub.customer, sub.id, code.promotion_code_id, self ? 'rejected' : 'pending', self ? 'self_referral' : null]);
+  return rows[0] || null;
+};
+
+// Motivo por el que no toca recompensa (o null): quien invitó ya no está suscrito, ha llegado a su máximo
+// o el programa ha agotado el presupuesto del mes
+const referralLimitReason = async (client, ref) => {
+  const { rows: [r] } = await client.query(`
+    SELECT (SELECT status FROM subscribers WHERE customer_id = $1) AS referrer_status,
+           (SELECT count(*) FROM referrals WHERE referrer_customer_id = $1 AND status = 'rewarded')::int AS rewarded,
+           (SELECT COALESCE(SUM(reward_cents), 0) FROM referrals WHERE status = 'rewarded' AND rewarded_at >= date_trunc('month', NOW()))::int AS month_cents
+  `, [ref.referrer_customer_id]);
+  if (!ACTIVE_SUB_STATUSES.includes(r.referrer_status)) return 'referrer_inactive';
+  const max = ref.max_rewards ?? REFERRAL_MAX_REWARDS;
+  if (max && r.rewarded >= max) return 'max_rewards';
+  if (REFERRAL_MONTHLY_BUDGET_CENTS && r.month_cents + REFERRAL_REWARD_CENTS > REFERRAL_MONTHLY_BUDGET_CENTS) return 'monthly_budget';
+  return null;
+};
+
+const sendReferralRewardEmail = async (ref) => {
+  const subscriber = await getSubscriberRow(ref.referrer_customer_id);
+  const { rows: [stats] } = await dbQuery(
+    `SELECT count(*) FILTER (WHERE status <> 'rejected')::int AS referred, count(*) FILTER (WHERE status = 'rewarded')::int AS rewarded FROM referrals WHERE referrer_customer_id = $1`,
+    [ref.referrer_customer_id]
+  );
+  const max = ref.max_rewards ?? REFERRAL_MAX_REWARDS;
+  await sendTemplate('referralReward', {
+    to: subscriber?.email, name: subscriber?.name, locale: subscriber?.locale, customerId: ref.referrer_customer_id,
+    code: ref.code, amount: ref.reward_cents / 100, currency: ref.currency,
+    count: stats.referred, remaining: max ? Math.max(0, max - stats.rewarded) : null,
+  });
+};
+
+// Abona la recompensa del referral pendiente de una suscripción (o de uno concreto con force, que se salta
+// los límites: lo usa el admin para los topados o rechazados). → fila actualizada o null si no había nada que hacer
+const rewardReferral = async ({ subscriptionId = null, referralId = null, invoiceId = null, force = false }) => {
+  if (!pool) return null;
+  const ref = await withTransaction(async (client) => {
+    await client.query(`SELECT pg_advisory_xact_lock($1)`, [REFERRAL_LOCK_KEY]);
+    const { rows: [ref] } = await client.query(`
+      SELECT r.*, c.code, c.max_rewards FROM referrals r JOIN referral_codes c ON c.promotion_code_id = r.promotion_code_id
+      WHERE ${referralId ? 'r.id = $1' : 'r.subscription_id = $1'} AND r.status = ANY($2)
+      FOR UPDATE OF r
+    `, [referralId ?? subscriptionId, force ? ['pending', 'capped', 'rejected'] : ['pending']]);
+    if (!ref) return null;
+    const reason = force ? null : await referralLimitReason(client, ref);
+    if (reason) {
+      const { rows } = await client.query(
+        `UPDATE referrals SET status = $2, reason = $3, invoice_id = $4 WHERE id = $1 RETURNING *`,
+        [ref.id, reason === 'referrer_inactive' ? 'rejected' : 'capped', reason, invoiceId]
+      );
+      return { ...ref, ...rows[0] };
+    }
+    // Importe negativo = saldo a favor del cliente. La clave de idempotencia evita abonarlo dos veces si se reintenta.
+    const tx = await stripe.customers.createBalanceTransaction(ref.referrer_customer_id, {
+      amount: -REFERRAL_REWARD_CENTS, currency: 'eur',
+      description: `Recompensa por referido (${ref.code})`,
+      metadata: { kind: 'referral', referral_id: String(ref.id) },
+    }, { idempotencyKey: `referral-reward-${ref.id}` });
+    const { rows } = await client.query(`
+      UPDATE referrals SET status = 'rewarded', reason = $2, reward_cents = $3, currency = 'EUR', balance_transaction_id = $4,
+        invoice_id = COALESCE($5, invoice_id), rewarded_at = NOW()
+      WHERE id = $1 RETURNING *
+    `, [ref.id, force ? 'manual' : null, REFERRAL_REWARD_CENTS, tx.id, invoiceId]);
+    return { ...ref, ...rows[0] };
+  });
+  if (ref?.status === 'rewarded') await sendReferralRewardEmail(ref);
+  return ref;
+};
+
+// ===== Checkouts abandonados =====
+// checkout.session.expired guarda la sesión si el cliente llegó a escribir su email; pasados
+// ABANDONED_CHECKOUT_DELAY_MINUTES, processAbandonedCheckouts le manda el enlace de recuperación una sola vez.
+const ABANDONED_LOCK_KEY = 7261004; // pg_advisory_lock: una sola instancia manda recordatorios
+
+const storeAbandonedCheckout = async (session) => {
+  const email = normalizeEmail(session.customer_details?.email || session.customer_email);
+  if (!pool || !isValidEmail(email)) return null;
+  const items = await fetchSessionItems(session.id);
+  const recovery = session.after_expiration?.recovery;
+  const consent = session.consent?.promotions || null;
+  // Sin consentimiento explícito no se manda nada (en la UE Stripe muestra la casilla)
+  const skip = !ABANDONED_CHECKOUT_EMAILS ? 'disabled' : !recovery?.url ? 'no_recovery_url' : consent !== 'opt_in' ? 'no_consent' : null;
+  const { rows } = await dbQuery(`
+    INSERT INTO abandoned_checkouts(session_id, mode, email, name, locale, currency, amount_total, items, reservation_id, recovery_url, recovery_expires_at, consent_promotions, status, reason, started_at, send_at)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15, NOW() + make_interval(mins => $16))
+    ON CONFLICT (session_id) DO NOTHING
+    RETURNING session_id, status, reason
+  `, [
+    session.id, session.mode, email, session.customer_details?.name || null,
+    resolveLocale(session.metadata?.locale, session.customer_details?.address?.country), (session.currency || 'eur').toUpperCase(), session.amount_total ?? null,
+    JSON.stringify(items), session.metadata?.reservation_id || null,
+    recovery?.url || null, recovery?.expires_at ? new Date(recovery.expires_at * 1000) : null, consent,
+    skip ? 'skipped' : 'pending', skip, new Date(session.created * 1000), ABANDONED_CHECKOUT_DELAY_MINUTES,
+  ]);
+  return rows[0] || null;
+};
+
+// Al completar cualquier checkout: se cancelan los recordatorios pendientes de ese email y, si viene de un enlace
+// de recuperación, se marca la sesión original. → reservation_id de la sesión original (o null)
+const closeAbandonedCheckouts = async (session, email) => {
+  if (!pool) return null;
+  if (email) await dbQuery(`UPDATE abandoned_checkouts SET status = 'completed', reason = 'order' WHERE lower(email) = $1 AND status = 'pending'`, [normalizeEmail(email)]);
+  if (!session.recovered_from) return null;
+  const { rows } = await dbQuery(
+    `UPDATE abandoned_checkouts SET status = 'recovered', recovered_session_id = $2 WHERE session_id = $1 RETURNING reservation_id`,
+    [session.recovered_from, session.id]
+  );
+  return rows[0]?.reservation_id || session.metadata?.reservation_id || null;
+};
+
+// Reserva de la sesión original de un checkout recuperado (para descontar el stock al cobrar)
+const recoveredReservationId = async (session) => {
+  if (!pool || !session.recovered_from) return null;
+  const { rows } = await dbQuery(`SELECT reservation_id FROM abandoned_checkouts WHERE session_id = $1`, [session.recovered_from]);
+  return rows[0]?.reservation_id || session.metadata?.reservation_id || null;
+};
+
+const sendAbandonedCheckoutEmail = (a) => sendTemplate('abandonedCheckout', {
+  to: a.email, locale: a.locale, name: a.name, mode: a.mode,
+  items: a.items, currency: a.currency, total: (a.amount_total ?? 0) / 100,
+  url: a.recovery_url, expiresAt: a.recovery_expires_at, promoCode: ABANDONED_CHECKOUT_PROMO_CODE,
+});
+
+// Recordatorios vencidos. Antes de mandar, se descarta si ya compró después de empezar ese checkout,
+// si ya recibió otro recordatorio esta semana o si el enlace ha caducado. → nº de emails encolados
+async function processAbandonedCheckouts() {
+  if (!pool || !ABANDONED_CHECKOUT_EMAILS) return 0;
+  const { result = 0 } = await withTryLock(ABANDONED_LOCK_KEY, async () => {
+    const { rows } = await dbQuery(`
+      SELECT a.*,
+        EXISTS (SELECT 1 FROM orders o WHERE lower(o.email) = lower(a.email) AND o.created_at > a.started_at) AS ordered,
+        EXISTS (SELECT 1 FROM abandoned_checkouts b WHERE lower(b.email) = lower(a.email) AND b.status = 'sent' AND b.sent_at > NOW() - interval '7 days') AS reminded
+      FROM abandoned_checkouts a
+      WHERE a.status = 'pending' AND a.send_at <= NOW()
+      ORDER BY a.send_at LIMIT 50
+    `);
+    let sent = 0;
+    for (const a of rows) {
+      const reason = a.ordered ? 'order' : a.reminded ? 'recent_reminder' : a.recovery_expires_at && new Date(a.recovery_expires_at) <= new Date() ? 'link_expired' : null;
+      if (reason) {
+        await dbQuery(`UPDATE abandoned_checkouts SET status = $2, reason = $3 WHERE session_id = $1`, [a.session_id, reason === 'order' ? 'completed' : 'skipped', reason]);
+        continue;
+      }
+      await sendAbandonedCheckoutEmail(a);
+      await dbQuery(`UPDATE abandoned_checkouts SET status = 'sent', sent_at = NOW() WHERE session_id = $1`, [a.session_id]);
+      sent++;
+    }
+    return sent;
+  });
+  return result;
+}
+
+// ===== Consentimiento de marketing =====
+// Alta o baja de un contacto; cada cambio queda en marketing_consent_events. onlyIfNew: solo crea el contacto
+// (un "no" en el checkout no anula un "sí" anterior). Las altas de emails en marketing_suppressions se ignoran
+// salvo que las haga un admin (a petición expresa del interesado), que levanta la baja.
+const setMarketingConsent = async ({ email, consent, source, name = null, locale = null, country = null, ip = null, campaignId = null, onlyIfNew = false }) => {
+  email = normalizeEmail(email);
+  if (!pool || !isValidEmail(email)) return null;
+  if (consent && source === 'admin') await dbQuery(`DELETE FROM marketing_suppressions WHERE email_hash = $1`, [emailHash(email)]);
+  else if (consent) {
+    const { rowCount } = await dbQuery(`SELECT 1 FROM marketing_suppressions WHERE email_hash = $1`, [emailHash(email)]);
+    if (rowCount) return null;
+  }
+  const { rows } = await dbQuery(`
+    INSERT INTO marketing_contacts(email, name, locale, country, consent, source, consent_at, unsubscribed_at)
+    VALUES ($1,$2,$3,$4,$5,$6, CASE WHEN $5 THEN NOW() END, CASE WHEN NOT $5 THEN NOW() END)
+    ON CONFLICT (email) DO ${onlyIfNew ? 'NOTHING' : `UPDATE SET
+      consent = EXCLUDED.consent, source = EXCLUDED.source,
+      name = COALESCE(EXCLUDED.name, marketing_contacts.name), locale = COALESCE(EXCLUDED.locale, marketing_contacts.locale), country = COALESCE(EXCLUDED.country, marketing_contacts.country),
+      consent_at = CASE WHEN EXCLUDED.consent THEN NOW() ELSE marketing_contacts.consent_at END,
+      unsubscribed_at = CASE WHEN EXCLUDED.consent THEN NULL ELSE NOW() END,
+      updated_at = NOW()`}
+    RETURNING *
+  `, [email, name, locale, country, consent, source]);
+  if (rows[0]) await dbQuery(`INSERT INTO marketing_consent_events(email, consent, source, campaign_id, ip) VALUES ($1,$2,$3,$4,$5)`, [email, consent, source, campaignId, ip]);
+  return rows[0] || null;
+};
+
+// Casilla de Stripe (consent_collection) o la del front (metadata.marketing_consent = 'true' | 'false')
+const recordCheckoutConsent = async (session, source = 'checkout') => {
+  const email = session.customer_details?.email || session.customer_email;
+  const answer = session.consent?.promotions === 'opt_in' || session.metadata?.marketing_consent === 'true' ? true
+    : session.consent?.promotions === 'opt_out' || session.metadata?.marketing_consent === 'false' ? false : null;
+  if (!email || answer === null) return;
+  const details = session.customer_details || {};
+  await setMarketingConsent({
+    email, consent: answer, source, onlyIfNew: !answer,
+    name: details.name || null, country: details.address?.country || null,
+    locale: resolveLocale(session.metadata?.locale, details.address?.country),
+  });
+};
+
+// Suscripción según el modo de la sesión; regalo solo si lo marcó /create-gift-session (el front ya no puede)
+const orderKind = (session) => session.mode === 'subscription' ? 'subscription' : session.metadata?.kind === 'gift' ? 'gift' : 'order';
+
+// Registra el evento como procesado. false si ya lo estaba (reintento de Stripe).
+const markEventProcessed = async (id) => {
+  if (!pool) return true;
+  const r = await dbQuery(`INSERT INTO processed_events(event_id) VALUES($1) ON CONFLICT DO NOTHING RETURNING event_id`, [id]);
+  return r.rowCount === 1;
+};
+// Si la lógica falla se borra la marca para que el reintento de Stripe lo procese. Repetir es seguro: pedidos,
+// suscriptores, regalos y facturas son upserts o se buscan antes, las líneas del pedido se reemplazan y los
+// emails llevan clave de deduplicación (outboxDedupKey)
+const unmarkEventProcessed = async (id) => {
+  if (!pool) return;
+  await dbQuery(`DELETE FROM processed_events WHERE event_id = $1`, [id]);
+};
+
+// Lógica de cada evento de Stripe. La usan el webhook y la reconciliación (que reproduce los eventos perdidos). Lanza si falla.
+async function handleStripeEvent(event) {
+  if (event.type === 'checkout.session.completed') {
+     const session = event.data.object;
+     const isSub = session.mode === 'subscription';
+     const person = preferShippingThenBilling(session);
+     const currency = (session.currency || 'eur').toUpperCase();
+     const amountTotal = (session.amount_total ?? 0) / 100;
+     const awaitingPayment = session.payment_status === 'unpaid';
+     const locale = resolveLocale(session.metadata?.locale, person.address?.country);
+     const items = await fetchSessionItems(session.id);
+
+     await logOrder({
+        sessionId: session.id,
+        email: person.email, name: person.name, phone: person.phone,
+        amountTotal, currency, items, metadata: session.metadata, shipping: session.shipping_details,
+        status: session.payment_status, locale, kind: orderKind(session),
+        customer_details: { name: person.name, email: person.email, phone: person.phone, address: person.address },
+        address: person.address?.line1, city: person.address?.city, postal: person.address?.postal_code, country: person.address?.country
+     });
+     await logOrderItems(session.id, items, currency);
+     await recordCheckoutConsent(session);
+     const recoveredReservation = await closeAbandonedCheckouts(session, person.email);
+     if (awaitingPayment) await holdReservation(session.metadata?.reservation_id);
+     else if (recoveredReservation) await commitReleasedReservation(recoveredReservation, session.id);
+     else await settleReservation(session.metadata?.reservation_id, 'committed', session.id);
+     if (!awaitingPayment && session.metadata?.kind === 'gift') await registerPaidGift(session);
+
+     if (isSub && session.subscription) {
+        const sub = await stripe.subscriptions.retrieve(session.subscription);
+        const cust = session.customer ? await stripe.customers.retrieve(session.customer) : null;
+        await upsertSubscriber({
+          customer_id: sub.customer,
+          subscription_id: sub.id,
+          email: cust?.email || person.email,
+          name: cust?.name || person.name,
+          phone: cust?.phone || person.phone,
+          plan: subscriptionItems(sub).product?.price?.id,
+          status: sub.status,
+          meta: { subscription_grams: session.metadata?.subscription_grams, ...sub.metadata },
+          locale,
+          address: person.address?.line1, city: person.address?.city, postal: person.address?.postal_code, country: person.address?.country
+        });
+        if (REFERRAL_ENABLED) {
+          await registerReferral(sub, cust?.email || person.email);
+          // Su propio código para invitar a otros (si Stripe falla aquí, se crea al consultarlo)
+          await ensureReferralCode({ customerId: sub.customer, name: cust?.name || person.name })
+            .catch(e => console.error('[ERROR] Referral code:', e.message));
+        }
+     }
+
+     // 🟢 EMAILS ALTA (PEDIDO O SUSCRIPCIÓN)
+     // 1. Admin (Siempre avisamos)
+     await sendAdminEmail({ 
+         session, items, 
+         customerEmail: person.email, name: person.name, phone: person.phone, 
+         amountTotal, currency, 
+         customer_details: session.customer_details, 
+         shipping: session.shipping_details?.address, 
+         isSubscription: isSub 
+     });
+
+     // 2. Cliente
+     if (isSub) {
+       // SUSCRIPCIÓN: Email de "Bienvenida y cobro diferido"
+       const firstItem = items[0];
+       const recurringPrice = firstItem?.price?.unit_amount || 0;
+       await sendCustomerSubscriptionWelcome({
+           to: person.email,
+           locale,
+           name: person.name,
+           grams: session.metadata?.subscription_grams || '500',
+           price: recurringPrice / 100,
+           currency,
+           customerId: session.customer
+       });
+     } else if (awaitingPayment) {
+       // PAGO DIFERIDO: el recibo sale con checkout.session.async_payment_succeeded
+       await sendPaymentPendingEmail({ to: person.email, locale, name: person.name, amountTotal, currency });
+     } else {
+       // PEDIDO NORMAL: Confirmación estándar
+       await sendOneOffConfirmation({ session, person, items, currency, amountTotal, locale });
+     }
+
+  } else if (event.type === 'checkout.session.expired') {
+     const session = event.data.object;
+     await settleReservation(session.metadata?.reservation_id, 'released', session.id);
+     await storeAbandonedCheckout(session);
+     // La casilla se marca en el formulario aunque no se llegue a pagar
+     await recordCheckoutConsent(session, 'checkout_expired');
+  } else if (event.type === 'checkout.session.async_payment_succeeded') {
+     const session = event.data.object;
+     const person = preferShippingThenBilling(session);
+     const currency = (session.currency || 'eur').toUpperCase();
+     const amountTotal = (session.amount_total ?? 0) / 100;
+     await updateOrderStatus(session.id, 'paid');
+     const recoveredReservation = await recoveredReservationId(session);
+     if (recoveredReservation) await commitReleasedReservation(recoveredReservation, session.id);
+     else await settleReservation(session.metadata?.reservation_id, 'committed', session.id);
+     if (session.metadata?.kind === 'gift') await registerPaidGift(session);
+     if (session.mode !== 'subscription') {
+       const items = await fetchSessionItems(session.id);
+       await sendOneOffConfirmation({ session, person, items, currency, amountTotal, locale: resolveLocale(session.metadata?.locale, person.address?.country) });
+     }
+  } else if (event.type === 'checkout.session.async_payment_failed') {
+     const session = event.data.object;
+     const person = preferShippingThenBilling(session);
+     await updateOrderStatus(session.id, 'payment_failed');
+     await settleReservation(session.metadata?.reservation_id, 'released', session.id);
+     await sendPaymentRejectedEmail({ to: person.email, name: person.name, locale: resolveLocale(session.metadata?.locale, person.address?.country) });
+  } else if (event.type === 'customer.subscription.created' || event.type === 'customer.subscription.updated') {
+     await syncSubscription(event.data.object);
+  } else if (event.type === 'invoice.payment_failed') {
+     const inv = event.data.object;
+     if (inv.subscription) {
+       await markSubscriberStatus(inv.subscription, 'past_due');
+       const cust = extractInvoiceCustomer(inv);
+       await sendPaymentFailedEmail({
+         to: cust.email, name: cust.name,
+         locale: resolveLocale(await getSubscriberLocale(inv.customer), cust.address?.country),
+         total: inv.amount_due / 100, currency: (inv.currency || 'eur').toUpperCase(),
+         attempt: inv.attempt_count, nextAttemptAt: inv.next_payment_attempt ? inv.next_payment_attempt * 1000 : null,
+         customerId: inv.customer
+       });
+     }
+  } else if (event.type === 'charge.refunded') {
+     const charge = event.data.object;
+     const currency = (charge.currency || 'eur').toUpperCase();
+     // Solo pedidos de checkout tienen fila en orders; los cobros de renovación se notifican igualmente
+     let sessionId = null;
+     if (charge.payment_intent) {
+       try { sessionId = (await stripe.checkout.sessions.list({ payment_intent: charge.payment_intent, limit: 1 })).data[0]?.id || null; } catch {}
+     }
+     await updateOrderStatus(sessionId, charge.refunded ? 'refunded' : 'partially_refunded', charge.amount_refunded / 100);
+
+     let refund = null;
+     try { refund = (await stripe.refunds.list({ charge: charge.id, limit: 1 })).data[0] || null; } catch {}
+     const original = sessionId ? await findInvoice('order', sessionId) : await findInvoice('subscription', charge.invoice);
+     const rectifying = await issueRectifyingInvoice(original, { refundId: refund?.id || charge.id, refundCents: refund?.amount ?? charge.amount_refunded });
+     const billing = charge.billing_details || {};
+     const storedLocale = sessionId ? await getOrderLocale(sessionId) : await getSubscriberLocale(charge.customer);
+     await sendRefundEmail({
+       rectifying,
+       to: billing.email || charge.receipt_email, name: billing.name,
+       locale: resolveLocale(storedLocale, billing.address?.country),
+       refundId: refund?.id || charge.id,
+       amount: (refund?.amount ?? charge.amount_refunded) / 100, currency,
+       reference: sessionId ? `recibo ${sessionId}` : (charge.description || null),
+       customer: { name: billing.name, email: billing.email || charge.receipt_email, phone: billing.phone, address: billing.address }
+     });
+  } else if (event.type === 'invoice.payment_succeeded') {
+     const inv = event.data.object;
+     const isSubscription = !!inv.subscription;
+     const billingReason = inv.billing_reason; 
+     const isRenewal = isSubscription && billingReason === 'subscription_cycle';
+
+     const cust = extractInvoiceCustomer(inv);
+
+     // Toda cuota cobrada lleva factura
+     let items = [];
+     let invoice = null;
+     if (isSubscription && inv.amount_paid > 0) {
+       try { items = (await stripe.invoices.listLineItems(inv.id)).data; } catch {}
+       invoice = await issueSubscriptionInvoice(inv, items);
+       // Primera cuota cobrada de alguien que llegó con un código de referido
+       if (REFERRAL_ENABLED) await rewardReferral({ subscriptionId: inv.subscription, invoiceId: inv.id });
+     }
+
+     // Solo avisamos si es una RENOVACIÓN (el alta ya la cubre checkout.session). mailed_invoices evita repetir
+     // los emails si la reconciliación y un reintento de Stripe procesan la misma factura.
+     if (isRenewal && await markInvoiceMailedOnce(inv.id)) {
+         await sendAdminRenewalEmail({ 
+             customer: cust, 
+             total: inv.amount_paid / 100, 
+             currency: (inv.currency || 'eur').toUpperCase(), 
+             subscriptionId: inv.subscription, 
+             invoiceId: inv.number || inv.id 
+         });
+
+         if (COMBINE_CONFIRMATION_AND_INVOICE) {
+            await sendCustomerCombined({ 
+               invoice,
+               to: cust.email, 
+               locale: resolveLocale(await getSubscriberLocale(inv.customer), cust.address?.country),
+               name: cust.name, 
+               invoiceNumber: inv.number, 
+               total: inv.amount_paid/100, 
+               currency: inv.currency.toUpperCase(), 
+               items, 
+               customer: cust, 
+               pdfUrl: inv.invoice_pdf, 
+               isSubscription: true, 
+               isRenewal: true, 
+               customerId: inv.customer 
+            });
+         }
+     }
+  } else if (event.type === 'customer.subscription.deleted') {
+     const sub = event.data.object;
+     await markCanceled(sub.id);
+     const cust = await stripe.customers.retrieve(sub.customer);
+     await sendCancelEmails({ customerEmail: cust.email, name: cust.name, subId: sub.id, locale: resolveLocale(await getSubscriberLocale(sub.customer), cust.address?.country) });
+  } else if (event.type === 'customer.updated') {
+     const cust = event.data.object;
+     if (await subscriberExists(cust.id)) {
+        await sendCustomerUpdatedEmails({ cust, prev: event.data.previous_attributes, locale: resolveLocale(await getSubscriberLocale(cust.id), cust.address?.country) });
+     }
+  } else if (/^(product|price)\.(created|updated|deleted)$/.test(event.type)) {
+     await refreshCatalogObject(event);
+  }
+}
+
+// Webhook (raw body) - DEBE IR ANTES DE jsonParser
 app.post('/webhook', express.raw({ type: '*/*' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   let event;
-  try { event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET); }
-  catch (err) { console.error('Webhook Error:', err.message); return res.status(400).send(`Webhook Error: ${err.message}`); }
+  try { event = stripe.webhooks.constructEvent(req.body, sig, config.STRIPE_WEBHOOK_SECRET); }
+  catch (err) {
+    console.error('Webhook Error:', err.message);
+    webhookEventsTotal.inc({ type: 'unknown', outcome: 'invalid_signature' });
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+  addLogContext({ stripe_event: event.id, stripe_event_type: event.type });
+
+  if (!(await markEventProcessed(event.id))) {
+    webhookEventsTotal.inc({ type: event.type, outcome: 'duplicate' });
+    return res.json({ received: true, dedup: true });
+  }
+
+  try {
+    await outboxDedupScope.run({ eventId: event.id }, () => handleStripeEvent(event));
+    webhookEventsTotal.inc({ type: event.type, outcome: 'processed' });
+  } catch (e) {
+    console.error('Webhook Logic Error:', e);
+    webhookEventsTotal.inc({ type: event.type, outcome: 'error' });
+    await unmarkEventProcessed(event.id).catch(err => console.error('[ERROR] processed_events:', err));
+    return res.status(500).json({ received: true, error: 'Error procesando el evento; Stripe lo reintentará' });
+  }
+
+  res.json({ received: true });
+});
+
+// ===== Reconciliación con Stripe =====
+// Si la instancia estaba dormida o cayó durante /webhook, el evento puede no procesarse nunca. Cada RECONCILE_INTERVAL_MINUTES
+// se comparan las sesiones, suscripciones y facturas recientes de Stripe con orders, subscribers e invoices/mailed_invoices,
+// y lo que falta se reproduce con handleStripeEvent. Cada ejecución deja su informe en reconciliation_runs.
+const RECONCILE_LOCK_KEY = 7261002; // pg_advisory_lock: una sola instancia reconcilia a la vez
+const RECONCILE_GRACE_SECONDS = 10 * 60; // lo más reciente se deja al webhook
+const RECONCILE_EVENT_TYPES = ['checkout.session.completed', 'checkout.session.async_payment_succeeded', 'customer.subscription.created', 'customer.subscription.updated', 'customer.subscription.deleted', 'invoice.payment_succeeded'];
+const SKIPPED_SUB_STATUSES = ['incomplete', 'incomplete_expired']; // nunca llegaron a cobrarse
+
+// Eventos originales de Stripe por "tipo:objeto" (el más reciente). Se reproducen con su id para que un reintento
+// posterior de Stripe quede deduplicado en processed_events.
+const recentStripeEvents = async (since) => {
+  const byObject = new Map();
+  try {
+    for await (const ev of stripe.events.list({ types: RECONCILE_EVENT_TYPES, created: { gte: since }, limit: 100 })) {
+      const key = `${ev.type}:${ev.data.object.id}`;
+      if (!byObject.has(key)) byObject.set(key, ev);
+    }
+  } catch (e) { console.warn('[reconcile] No se pudieron listar los eventos de Stripe:', e.message); }
+  return byObject;
+};
+
+const listStripe = async (list) => {
+  const all = [];
+  for await (const obj of list) all.push(obj);
+  return all;
+};
+
+const runReconciliation = async ({ trigger, lookbackHours }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const since = now - lookbackHours * 3600;
+  const created = { gte: since, lte: now - RECONCILE_GRACE_SECONDS };
+  const { rows: [run] } = await dbQuery(`INSERT INTO reconciliation_runs(trigger, since) VALUES ($1, to_timestamp($2)) RETURNING id`, [trigger, since]);
+  const report = { id: run.id, trigger, checked: { sessions: 0, subscriptions: 0, invoices: 0 }, fixed: [], errors: [], pruned_events: 0 };
+  const events = await recentStripeEvents(since);
+
+  // Mismo orden que el webhook: processed_events primero, luego la lógica del evento
+  const replay = async (type, object) => {
+    const original = events.get(`${type}:${object.id}`) || (type === 'customer.subscription.updated' ? events.get(`customer.subscription.created:${object.id}`) : null);
+    const id = original?.id || `reconcile_${type}_${object.id}`;
+    await runWithContext({ ...logContext(), stripe_event: id, stripe_event_type: type }, async () => {
+      // Si el webhook ya lo marcó (o lo está procesando) no se repite; solo se desmarca lo que marcó esta pasada
+      let marked = false;
+      try {
+        marked = await markEventProcessed(id);
+        if (!marked) return;
+        await outboxDedupScope.run({ eventId: id }, () => handleStripeEvent({ id, type, data: { object } }));
+        webhookEventsTotal.inc({ type, outcome: 'replayed' });
+        report.fixed.push({ type, object: object.id, event: original?.id || null });
+      } catch (e) {
+        console.error(`[reconcile] ${type} ${object.id}:`, e);
+        webhookEventsTotal.inc({ type, outcome: 'error' });
+        if (marked) await unmarkEventProcessed(id).catch(() => {});
+        report.errors.push({ type, object: object.id, error: String(e.message || e) });
+      }
+    });
+  };
+
+  let status = 'ok';
+  try {
+    // 1) Sesiones completadas que no llegaron a orders (o que siguen "unpaid" aunque el pago diferido ya entró)
+    const sessions = await listStripe(stripe.checkout.sessions.list({ status: 'complete', created, limit: 100 }));
+    report.checked.sessions = sessions.length;
+    if (sessions.length) {
+      const { rows } = await dbQuery(`SELECT session_id, status FROM orders WHERE session_id = ANY($1)`, [sessions.map(s => s.id)]);
+      const known = new Map(rows.map(r => [r.session_id, r.status]));
+      for (const s of sessions) {
+        if (!known.has(s.id)) await replay('checkout.session.completed', s);
+        else if (known.get(s.id) === 'unpaid' && s.payment_status === 'paid') await replay('checkout.session.async_payment_succeeded', s);
+      }
+    }
+
+    // 2) Suscripciones que faltan en subscribers o con otro estado (después de las sesiones, que también las dan de alta)
+    const subs = (await listStripe(stripe.subscriptions.list({ status: 'all', created, limit: 100 }))).filter(s => !SKIPPED_SUB_STATUSES.includes(s.status));
+    report.checked.subscriptions = subs.length;
+    if (subs.length) {
+      const { rows } = await dbQuery(`SELECT subscription_id, status FROM subscribers WHERE subscription_id = ANY($1)`, [subs.map(s => s.id)]);
+      const known = new Map(rows.map(r => [r.subscription_id, r.status]));
+      for (const sub of subs) {
+        const ours = known.get(sub.id);
+        if (ours === sub.status) continue;
+        if (sub.status !== 'canceled' || ours === undefined) await replay('customer.subscription.updated', sub);
+        if (sub.status === 'canceled') await replay('customer.subscription.deleted', sub);
+      }
+    }
+
+    // 3) Cuotas de suscripción cobradas sin factura emitida ni emails de renovación (mailed_invoices)
+    const invoices = (await listStripe(stripe.invoices.list({ status: 'paid', created, limit: 100 })))
+      .filter(inv => inv.subscription && (inv.amount_paid > 0 || inv.billing_reason === 'subscription_cycle'));
+    report.checked.invoices = invoices.length;
+    if (invoices.length) {
+      const ids = invoices.map(inv => inv.id);
+      const { rows } = await dbQuery(`
+        SELECT ref_id AS id FROM invoices WHERE source = 'subscription' AND kind = 'invoice' AND ref_id = ANY($1)
+        UNION SELECT invoice_id FROM mailed_invoices WHERE invoice_id = ANY($1)
+      `, [ids]);
+      const handled = new Set(rows.map(r => r.id));
+      for (const inv of invoices) if (!handled.has(inv.id)) await replay('invoice.payment_succeeded', inv);
+    }
+
+    // 4) Ids de eventos que Stripe ya no va a reintentar
+    const pruned = await dbQuery(`DELETE FROM processed_events WHERE created_at < NOW() - make_interval(days => $1)`, [PROCESSED_EVENTS_RETENTION_DAYS]);
+    report.pruned_events = pruned.rowCount;
+    if (report.errors.length) status = 'partial';
+  } catch (e) {
+    console.error('[ERROR] Reconciliation:', e);
+    report.errors.push({ error: String(e.message || e) });
+    status = 'error';
+  }
+
+  await dbQuery(
+    `UPDATE reconciliation_runs SET status = $2, checked = $3, fixed = $4, errors = $5, pruned_events = $6, finished_at = NOW() WHERE id = $1`,
+    [run.id, status, JSON.stringify(report.checked), JSON.stringify(report.fixed), JSON.stringify(report.errors), report.pruned_events]
+  );
+  if (report.fixed.length || report.errors.length) {
+    console.log(`[reconcile] #${run.id} (${status}): ${report.fixed.length} recuperado(s), ${report.errors.length} error(es)`);
+    try { await sendAdminReconciliationEmail({ ...report, status }); }
+    catch (e) { console.error('[ERROR] Reconciliation email:', e.message); }
+  }
+  return { ...report, status };
+};
+
+// → informe de la ejecución, o null si otra instancia está reconciliando
+async function reconcileStripe({ trigger = 'schedule', lookbackHours = RECONCILE_LOOKBACK_HOURS } = {}) {
+  if (!pool) return null;
+  const { acquired, result } = await withTryLock(RECONCILE_LOCK_KEY, () => runWithContext({ ...logContext(), job: 'reconcile' }, () => runReconciliation({ trigger, lookbackHours })));
+  return acquired ? result : null;
+}
+
+// APLICAR PARSER JSON AHORA (Después del webhook, para que no interfiera)
+app.use(jsonParser);
+
+// ===== RUTAS PÚBLICAS =====
+app.get('/api/config', (req, res) => {
+  res.json({
+    subscriptionTable: SUB_PRICE_TABLE, 
+    allowedGrams: ALLOWED_SUB_GRAMS,
+    shippingCountries: ALLOWED_SHIPPING_COUNTRIES,
+  });
+});
+
+// Vista previa del envío antes del checkout:
+// POST /api/shipping/quote { country, items: [{ price, quantity }] }  (pedido suelto)
+// POST /api/shipping/quote { country, grams[, months] }               (suscripción / regalo de N meses)
+app.post('/api/shipping/quote', async (req, res) => {
+  const { country, items, grams, months } = req.body || {};
+  try {
+    if (grams !== undefined) {
+      const g = Number(grams);
+      const m = months === undefined ? 1 : Number(months);
+      if (!ALLOWED_SUB_GRAMS.includes(g)) return res.status(400).json({ error: 'Gramos inválidos' });
+      if (months !== undefined && !GIFT_MONTHS.includes(m)) return res.status(400).json({ error: 'Número de meses inválido' });
+      const quote = quoteShipping({ country, weightGrams: g, subtotalCents: SUB_PRICE_TABLE[g] });
+      if (!quote.ok) return res.status(400).json({ error: quote.error, code: quote.code });
+      return res.json({ ...shippingQuoteView(quote), shipments: m, total: quote.amount_cents * m / 100 });
+    }
+
+    if (!Array.isArray(items) || !items.length || items.length > 50) return res.status(400).json({ error: 'Carrito inválido.' });
+    const line_items = items.map(it => ({ price: it?.price, quantity: parseInt(it?.quantity) }));
+    if (line_items.some(li => typeof li.price !== 'string' || !(li.quantity > 0))) return res.status(400).json({ error: 'Item incompleto.' });
+    const { prices, invalid } = await resolveCartPrices(line_items);
+    if (invalid) return res.status(400).json({ error: 'Producto no válido.', code: 'invalid_price', prices: invalid });
+    const quote = quoteShipping({ country, ...cartShippingInput(prices, line_items) });
+    if (!quote.ok) return res.status(400).json({ error: quote.error, code: quote.code });
+    res.json(shippingQuoteView(quote, (prices[0]?.currency || 'eur').toUpperCase()));
+  } catch (e) {
+    console.error('[ERROR] Shipping quote:', e);
+    res.status(500).json({ error: 'No se pudo calcular el envío' });
+  }
+});
+
+// Catálogo público: productos activos con sus precios de pago único y disponibilidad
+app.get('/api/products', async (req, res) => {
+  try {
+    await ensureCatalog();
+    const byProduct = {};
+    for (const price of catalog.prices.values()) {
+      if (sellablePrice(price.id)) (byProduct[price.product_id] ||= []).push({ id: price.id, unit_amount: price.unit_amount, currency: price.currency, nickname: price.nickname });
+    }
+    const products = Object.keys(byProduct).map(id => catalog.products.get(id));
+    const flags = await stockFlags(products.map(p => p.id));
+    const position = (p) => Number(p.metadata?.position ?? Infinity);
+    const data = products
+      .sort((a, b) => position(a) - position(b) || a.name.localeCompare(b.name, 'es'))
+      .map(p => ({
+        id: p.id, name: p.name, description: p.description, images: p.images,
+        weight_grams: Number(p.metadata?.weight_grams) || null,
+        prices: byProduct[p.id].sort((a, b) => a.unit_amount - b.unit_amount),
+        ...flags[p.id],
+      }));
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({ data });
+  } catch (e) {
+    console.error('[ERROR] Products:', e);
+    res.status(500).json({ error: 'Error cargando los productos' });
+  }
+});
+
+app.post('/prices/resolve', async (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids)) return res.status(400).json({ error: 'Ids required' });
+  try {
+    await ensureCatalog();
+    const prices = {};
+    for (const id of ids.slice(0, 100)) {
+      const p = sellablePrice(id);
+      if (p) prices[p.id] = { id: p.id, unit_amount: p.unit_amount, currency: p.currency };
+    }
+    res.json({ prices });
+  } catch { res.status(500).json({ error: 'Error resolving prices' }); }
+});
+
+app.post('/api/recover-subscription', contactLimiter, async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'Email requerido' });
+  const locale = supportedLocale(req.body.locale || req.headers['accept-language']);
+
+  try {
+    const customers = await stripe.customers.list({ email, limit: 5, expand: ['data.subscriptions'] });
+
+    if (!customers.data.length) {
+      await new Promise(r => setTimeout(r, 1000));
+      return res.json({ ok: true });
+    }
+
+    const linksData = await Promise.all(customers.data.map(async (c) => {
+       const hasActive = c.subscriptions?.data?.some(s => ['active', 'trialing', 'past_due'].includes(s.status));
+       if (!hasActive) return null;
+
+       try {
+         const session = await stripe.billingPortal.sessions.create({ customer: c.id, return_url: PORTAL_RETURN_URL });
+         const sub = c.subscriptions.data.find(s => ['active', 'trialing', 'past_due'].includes(s.status));
+
+         return {
+           url: session.url, manageUrl: LINK_SIGNING_SECRET ? subscriptionManageLink(c.id) : null,
+           amount: sub?.plan ? sub.plan.amount / 100 : null, currency: (sub?.plan?.currency || 'eur').toUpperCase(),
+           address: c.shipping?.address || c.address || null,
+           country: (c.shipping?.address || c.address)?.country,
+           customerId: c.id,
+         };
+       } catch { return null; }
+    }));
+
+    const validLinks = linksData.filter(Boolean);
+
+    if (validLinks.length) {
+      // Idioma de la web; si no, el guardado del suscriptor o el de su país
+      const fallback = validLinks[0];
+      await sendTemplate('recovery', { to: email, links: validLinks, locale: locale || resolveLocale(await getSubscriberLocale(fallback.customerId), fallback.country) });
+    }
+    res.json({ ok: true });
+
+  } catch (e) { 
+    console.error(e); 
+    res.status(500).json({ error: 'Error' }); 
+  }
+});
+
+// Descarga de facturas: token firmado de la propia factura (emails y listados) o sesión de la cuenta de quien la compró
+app.get('/api/invoices/:number.pdf', async (req, res) => {
+  try {
+    const inv = await getInvoiceByNumber(req.params.number);
+    const invoiceToken = verifyToken('invoice', req.query.token);
+    const accountToken = verifyToken('account', req.query.token);
+    const allowed = inv && ((invoiceToken && invoiceToken.n === inv.number) || (accountToken && normalizeEmail(inv.buyer_email) === accountToken.e));
+    if (!allowed) return res.status(404).send('Not found');
+    const pdf = await buildInvoicePDF(inv);
+    res.type('application/pdf').set('Content-Disposition', `inline; filename="factura-${inv.number}.pdf"`).send(pdf);
+  } catch (e) {
+    console.error('[ERROR] Invoice download:', e);
+    res.status(500).send('Error');
+  }
+});
+
+// ==========================================
+// 🙋 AUTOSERVICIO DE SUSCRIPCIÓN (token de cliente firmado)
+// ==========================================
+const ACTIVE_SUB_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Acepta "Authorization: Bearer <token>" o ?token=
+const requireCustomer = (req, res, next) => {
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : req.query.token;
+  const payload = verifyToken('customer', token);
+  if (!payload) return res.status(401).json({ error: 'Enlace caducado o no válido' });
+  req.customerId = payload.c;
+  next();
+};
+
+// Suscripción viva del cliente en Stripe (fuente de verdad)
+const findActiveSubscription = async (customerId) => {
+  const subs = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 10 });
+  return subs.data.find(s => ACTIVE_SUB_STATUSES.includes(s.status)) || null;
+};
+
+// 'YYYY-MM' de los "count" cobros mensuales a partir de la próxima fecha de cobro
+const upcomingPeriods = (fromSeconds, count) => {
+  const d = new Date(fromSeconds * 1000);
+  return Array.from({ length: count }, (_, i) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + i, 1)).toISOString().slice(0, 7));
+};
+
+const subscriptionView = (sub, subscriber) => {
+  const { product, shipping } = subscriptionItems(sub);
+  const price = product?.price;
+  return {
+    id: sub.id,
+    status: sub.status,
+    grams: gramsForAmount(price?.unit_amount) ?? (Number(sub.metadata?.subscription_grams) || null),
+    amount: (price?.unit_amount ?? 0) / 100,
+    shipping_amount: (shipping?.price?.unit_amount ?? 0) / 100,
+    currency: (price?.currency || 'eur').toUpperCase(),
+    next_billing_at: sub.current_period_end ? new Date(sub.current_period_end * 1000).toISOString() : null,
+    paused_until: sub.pause_collection?.resumes_at ? new Date(sub.pause_collection.resumes_at * 1000).toISOString() : null,
+    skip_periods: subscriber?.meta?.skip_periods || [],
+    history: subscriber?.meta?.history || [],
+    allowed_grams: ALLOWED_SUB_GRAMS,
+  };
+};
+
+const getSubscriberRow = async (customerId) => {
+  if (!pool) return null;
+  const { rows } = await dbQuery(`SELECT * FROM subscribers WHERE customer_id = $1`, [customerId]);
+  return rows[0] || null;
+};
+
+const subRouter = express.Router();
+subRouter.use(requireCustomer);
+
+subRouter.get('/', async (req, res) => {
+  try {
+    const sub = await findActiveSubscription(req.customerId);
+    if (!sub) return res.status(404).json({ error: 'No tienes ninguna suscripción activa' });
+    res.json(subscriptionView(sub, await getSubscriberRow(req.customerId)));
+  } catch (e) {
+    console.error('[ERROR] Subscription view:', e);
+    res.status(500).json({ error: 'Error obteniendo la suscripción' });
+  }
+});
+
+// POST /api/subscription/grams { grams } — sin prorrateo, se aplica en el próximo día 1
+subRouter.post('/grams', async (req, res) => {
+  try {
+    const g = Number(req.body?.grams);
+    if (!ALLOWED_SUB_GRAMS.includes(g)) return res.status(400).json({ error: 'Gramos inválidos' });
+    const sub = await findActiveSubscription(req.customerId);
+    if (!sub) return res.status(404).json({ error: 'No tienes ninguna suscripción activa' });
+
+    const { product: item, shipping: shippingItem } = subscriptionItems(sub);
+    const currentGrams = gramsForAmount(item.price.unit_amount);
+    if (currentGrams === g) return res.status(409).json({ error: 'Ya tienes ese tamaño' });
+
+    // El envío se recalcula con el nuevo peso (las suscripciones anteriores a las tarifas siguen sin gastos de envío)
+    let shippingChanges = [];
+    if (sub.metadata?.shipping_country) {
+      const quote = quoteShipping({ country: sub.metadata.shipping_country, weightGrams: g, subtotalCents: SUB_PRICE_TABLE[g] });
+      if (!quote.ok) return res.status(409).json({ error: quote.error, code: quote.code });
+      shippingChanges = await shippingItemChanges(shippingItem, quote.amount_cents, item.price.currency);
+    }
+
+    // Subir de tramo también tira de la bolsa compartida
+    if (currentGrams && g > currentGrams) {
+      const available = await subscriptionPoolAvailable();
+      if (available !== null && available < g - currentGrams) return res.status(409).json({ error: 'No queda jamón suficiente para ese tamaño este mes.', code: 'out_of_stock' });
+    }
+
+    const updated = await stripe.subscriptions.update(sub.id, {
+      items: [{
+        id: item.id,
+        price_data: {
+          currency: item.price.currency,
+          product: item.price.product,
+          unit_amount: SUB_PRICE_TABLE[g],
+          recurring: { interval: 'month' },
+        },
+      }, ...shippingChanges],
+      proration_behavior: 'none',
+      metadata: { ...sub.metadata, subscription_grams: String(g) },
+    });
+
+    const subscriber = await updateSubscriberMeta(req.customerId, { subscription_grams: String(g) }, { type: 'grams', from: currentGrams, to: g });
+    await sendSubscriptionChangeEmail({
+      to: subscriber?.email, name: subscriber?.name, locale: subscriber?.locale, customerId: req.customerId,
+      change: { type: 'grams', grams: g, amount: SUB_PRICE_TABLE[g] / 100, currency: item.price.currency.toUpperCase(), effectiveAt: sub.current_period_end * 1000 },
+    });
+    res.json(subscriptionView(updated, subscriber));
+  } catch (e) {
+    console.error('[ERROR] Subscription grams:', e);
+    res.status(500).json({ error: 'No se pudo cambiar el tamaño' });
+  }
+});
+
+// Pausa N meses (o salta el siguiente): se anulan las facturas de esos meses y no entran en el lote de envío
+const pauseSubscription = async (req, res, months, type) => {
+  const sub = await findActiveSubscription(req.customerId);
+  if (!sub) return res.status(404).json({ error: 'No tienes ninguna suscripción activa' });
+  if (sub.pause_collection) return res.status(409).json({ error: 'Ya tienes una pausa programada' });
+
+  const periods = upcomingPeriods(sub.current_period_end, months);
+  // Se reanuda el día 2 del mes siguiente a la pausa, después de que se haya anulado la última factura
+  const last = new Date(sub.current_period_end * 1000);
+  const resumesAt = Math.floor(Date.UTC(last.getUTCFullYear(), last.getUTCMonth() + months - 1, last.getUTCDate() + 1, 12) / 1000);
+  const updated = await stripe.subscriptions.update(sub.id, { pause_collection: { behavior: 'void', resumes_at: resumesAt } });
+
+  const subscriber = await updateSubscriberMeta(req.customerId, { skip_periods: periods, paused_until: new Date(resumesAt * 1000).toISOString() }, { type, months, periods });
+  await sendSubscriptionChangeEmail({
+    to: subscriber?.email, name: subscriber?.name, locale: subscriber?.locale, customerId: req.customerId,
+    change: { type, periods },
+  });
+  res.json(subscriptionView(updated, subscriber));
+};
+
+// POST /api/subscription/pause { months: 1..3 }
+subRouter.post('/pause', async (req, res) => {
+  try {
+    const months = Number(req.body?.months);
+    if (![1, 2, 3].includes(months)) return res.status(400).json({ error: 'Puedes pausar entre 1 y 3 meses' });
+    await pauseSubscription(req, res, months, 'pause');
+  } catch (e) {
+    console.error('[ERROR] Subscription pause:', e);
+    res.status(500).json({ error: 'No se pudo pausar la suscripción' });
+  }
+});
+
+subRouter.post('/skip', async (req, res) => {
+  try { await pauseSubscription(req, res, 1, 'skip'); }
+  catch (e) {
+    console.error('[ERROR] Subscription skip:', e);
+    res.status(500).json({ error: 'No se pudo saltar el mes' });
+  }
+});
+
+subRouter.get('/invoices', async (req, res) => {
+  try {
+    if (!pool) return res.json({ data: [] });
+    const { rows } = await dbQuery(`SELECT number, kind, total_cents, currency, issued_at FROM invoices WHERE customer_id = $1 ORDER BY issued_at DESC LIMIT 100`, [req.customerId]);
+    res.json({ data: rows.map(r => ({ ...r, url: invoiceDownloadLink(r.number) })) });
+  } catch (e) {
+    console.error('[ERROR] Subscription invoices:', e);
+    res.status(500).json({ error: 'Error listando facturas' });
+  }
+});
+
+// GET /api/subscription/referral — su código de referido y cómo le va (sin datos de los invitados)
+subRouter.get('/referral', async (req, res) => {
+  if (!REFERRAL_ENABLED) return res.status(404).json({ error: 'Programa de referidos no disponible' });
+  if (!pool) return res.status(503).json({ error: 'Referidos no disponibles' });
+  try {
+    const subscriber = await getSubscriberRow(req.customerId);
+    if (!subscriber) return res.status(404).json({ error: 'No tienes ninguna suscripción' });
+    const code = await ensureReferralCode({ customerId: req.customerId, name: subscriber.name });
+    const { rows } = await dbQuery(
+      `SELECT status, reward_cents, created_at, rewarded_at FROM referrals WHERE referrer_customer_id = $1 AND status <> 'rejected' ORDER BY created_at DESC`,
+      [req.customerId]
+    );
+    const rewarded = rows.filter(r => r.status === 'rewarded');
+    const max = code.max_rewards ?? REFERRAL_MAX_REWARDS;
+    res.json({
+      code: code.code,
+      active: code.active,
+      discount_percent: REFERRAL_DISCOUNT_PERCENT,
+      reward_amount: REFERRAL_REWARD_CENTS / 100,
+      currency: 'EUR',
+      stats: {
+        referred: rows.length,
+        pending: rows.filter(r => r.status === 'pending').length,
+        rewarded: rewarded.length,
+        credited: rewarded.reduce((n, r) => n + r.reward_cents, 0) / 100,
+        remaining: max ? Math.max(0, max - rewarded.length) : null,
+      },
+      referrals: rows.map(r => ({ status: r.status, reward: r.reward_cents != null ? r.reward_cents / 100 : null, created_at: r.created_at, rewarded_at: r.rewarded_at })),
+    });
+  } catch (e) {
+    console.error('[ERROR] Subscription referral:', e);
+    res.status(500).json({ error: 'Error obteniendo tu código de referido' });
+  }
+});
+
+subRouter.post('/resume', async (req, res) => {
+  try {
+    const sub = await findActiveSubscription(req.customerId);
+    if (!sub) return res.status(404).json({ error: 'No tienes ninguna suscripción activa' });
+    if (!sub.pause_collection) return res.status(409).json({ error: 'Tu suscripción no está pausada' });
+    const updated = await stripe.subscriptions.update(sub.id, { pause_collection: '' });
+    const subscriber = await updateSubscriberMeta(req.customerId, { skip_periods: [], paused_until: null }, { type: 'resume' });
+    await sendSubscriptionChangeEmail({
+      to: subscriber?.email, name: subscriber?.name, locale: subscriber?.locale, customerId: req.customerId,
+      change: { type: 'resume' },
+    });
+    res.json(subscriptionView(updated, subscriber));
+  } catch (e) {
+    console.error('[ERROR] Subscription resume:', e);
+    res.status(500).json({ error: 'No se pudo reanudar la suscripción' });
+  }
+});
+
+app.use('/api/subscription', subRouter);
+
+// ==========================================
+// 👤 CUENTA DE CLIENTE (enlace mágico por email)
+// ==========================================
+// La cuenta es el email: pedidos de orders/order_items y suscripciones de subscribers con ese email.
+
+// ¿Hay algo que enseñar a este email? Pedidos, suscripciones o regalos comprados
+const accountExists = async (email) => {
+  const { rows } = await dbQuery(`
+    SELECT EXISTS (SELECT 1 FROM orders WHERE lower(email) = $1)
+        OR EXISTS (SELECT 1 FROM subscribers WHERE lower(email) = $1)
+        OR EXISTS (SELECT 1 FROM gift_subscriptions WHERE lower(buyer_email) = $1) AS found
+  `, [email]);
+  return rows[0].found;
+};
+
+const sendAccountLoginLink = async (email, locale) => {
+  if (!(await accountExists(email))) return;
+  const { rows } = await dbQuery(`
+    SELECT locale, country FROM (
+      SELECT locale, country, updated_at AS at FROM subscribers WHERE lower(email) = $1
+      UNION ALL SELECT locale, country, created_at FROM orders WHERE lower(email) = $1
+    ) x ORDER BY at DESC NULLS LAST LIMIT 1
+  `, [email]);
+  const token = signToken('account-login', { e: email, n: crypto.randomUUID() }, ACCOUNT_LOGIN_LINK_MINUTES * 60);
+  await sendTemplate('accountLogin', {
+    to: email, locale: locale || resolveLocale(rows[0]?.locale, rows[0]?.country),
+    url: `${ACCOUNT_URL}?token=${encodeURIComponent(token)}`, minutes: ACCOUNT_LOGIN_LINK_MINUTES,
+  });
+};
+
+// POST /api/account/login { email } — misma respuesta exista o no la cuenta, y antes de buscarla (anti-enumeración)
+app.post('/api/account/login', contactLimiter, (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  if (!isValidEmail(email)) return res.status(400).json({ error: 'Email requerido' });
+  if (!pool || !LINK_SIGNING_SECRET) return res.status(503).json({ error: 'Cuenta no disponible' });
+  res.json({ ok: true });
+  sendAccountLoginLink(email, supportedLocale(req.body.locale || req.headers['accept-language']))
+    .catch(e => console.error('[ERROR] Account login link:', e.message));
+});
+
+// POST /api/account/session { token } — canjea el enlace (una sola vez) por una sesión corta
+app.post('/api/account/session', async (req, res) => {
+  const payload = verifyToken('account-login', req.body?.token);
+  if (!payload) return res.status(401).json({ error: 'Enlace caducado o no válido' });
+  if (!pool) return res.status(503).json({ error: 'Cuenta no disponible' });
+  try {
+    const { rowCount } = await dbQuery(`INSERT INTO account_logins(nonce, email) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [payload.n, payload.e]);
+    if (!rowCount) return res.status(401).json({ error: 'Este enlace ya se ha usado. Pide uno nuevo.' });
+    await dbQuery(`DELETE FROM account_logins WHERE used_at < NOW() - interval '2 days'`);
+    const expiresAt = new Date(Date.now() + ACCOUNT_SESSION_MINUTES * 60 * 1000);
+    res.json({ token: signToken('account', { e: payload.e }, ACCOUNT_SESSION_MINUTES * 60), email: payload.e, expires_at: expiresAt.toISOString() });
+  } catch (e) {
+    console.error('[ERROR] Account session:', e);
+    res.status(500).json({ error: 'No se pudo iniciar sesión' });
+  }
+});
+
+// Acepta "Authorization: Bearer <token>" o ?token= (descargas de PDF)
+const requireAccount = (req, res, next) => {
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : req.query.token;
+  const payload = verifyToken('account', token);
+  if (!payload) return res.status(401).json({ error: 'Sesión caducada. Vuelve a pedir el enlace.' });
+  req.accountEmail = payload.e;
+  next();
+};
+
+const accountSubscribers = async (email) => {
+  const { rows } = await dbQuery(`SELECT * FROM subscribers WHERE lower(email) = $1 ORDER BY created_at DESC`, [email]);
+  return rows;
+};
+
+const accountRouter = express.Router();
+accountRouter.use(requireAccount);
+accountRouter.use((req, res, next) => pool ? next() : res.status(503).json({ error: 'Cuenta no disponible' }));
+
+// Datos del cliente, dirección de envío y suscripción activa (si la hay)
+accountRouter.get('/', async (req, res) => {
+  try {
+    const subscribers = await accountSubscribers(req.accountEmail);
+    const active = subscribers.find(s => ACTIVE_SUB_STATUSES.includes(s.status)) || null;
+    const { rows: [lastOrder] } = await dbQuery(`SELECT name, phone, address, city, postal, country FROM orders WHERE lower(email) = $1 ORDER BY created_at DESC LIMIT 1`, [req.accountEmail]);
+    const src = active || subscribers[0] || lastOrder || {};
+    const sub = active ? await findActiveSubscription(active.customer_id) : null;
+    res.json({
+      email: req.accountEmail,
+      name: src.name || null,
+      phone: src.phone || null,
+      shipping_address: src.address ? { line1: src.address, city: src.city, postal_code: src.postal, country: src.country } : null,
+      subscription: sub ? { ...subscriptionView(sub, active), manage_url: subscriptionManageLink(active.customer_id) } : null,
+    });
+  } catch (e) {
+    console.error('[ERROR] Account:', e);
+    res.status(500).json({ error: 'Error cargando tu cuenta' });
+  }
+});
+
+// Pedidos con sus productos, factura y estado del envío
+accountRouter.get('/orders', async (req, res) => {
+  try {
+    const { rows } = await dbQuery(`
+      SELECT o.session_id, o.created_at, o.status, o.total, o.amount_refunded, o.currency, o.metadata, o.kind,
+        o.address, o.city, o.postal, o.country,
+        COALESCE((SELECT jsonb_agg(jsonb_build_object('description', oi.description, 'quantity', oi.quantity, 'amount_total', oi.amount_total_cents / 100.0) ORDER BY oi.id)
+                  FROM order_items oi WHERE oi.session_id = o.session_id), '[]'::jsonb) AS items,
+        (SELECT number FROM invoices i WHERE i.source = 'order' AND i.ref_id = o.session_id AND i.kind = 'invoice') AS invoice_number,
+        (SELECT jsonb_build_object('status', s.status, 'carrier', s.carrier, 'tracking_number', s.tracking_number, 'shipped_at', s.shipped_at)
+           FROM shipments s WHERE s.source = 'order' AND s.ref_id = o.session_id ORDER BY s.id DESC LIMIT 1) AS shipment
+      FROM orders o
+      WHERE lower(o.email) = $1
+      ORDER BY o.created_at DESC
+      LIMIT 100
+    `, [req.accountEmail]);
+    res.json({
+      data: rows.map(o => ({
+        id: o.session_id, created_at: o.created_at, status: o.status, kind: o.kind,
+        total: Number(o.total), amount_refunded: Number(o.amount_refunded || 0), currency: o.currency,
+        shipping_address: o.address ? { line1: o.address, city: o.city, postal_code: o.postal, country: o.country } : null,
+        items: o.items,
+        shipment: o.shipment && { ...o.shipment, tracking_url: trackingUrlFor(o.shipment.tracking_number) },
+        invoice_number: o.invoice_number,
+        invoice_url: o.invoice_number ? invoiceDownloadLink(o.invoice_number) : null,
+        receipt_url: o.status === 'paid' ? `${API_PUBLIC_BASE}/api/account/orders/${encodeURIComponent(o.session_id)}/receipt.pdf` : null,
+      })),
+    });
+  } catch (e) {
+    console.error('[ERROR] Account orders:', e);
+    res.status(500).json({ error: 'Error cargando tus pedidos' });
+  }
+});
+
+// Recibo de un pedido, regenerado a partir de lo guardado
+accountRouter.get('/orders/:sessionId/receipt.pdf', async (req, res) => {
+  try {
+    const { rows: [order] } = await dbQuery(`SELECT * FROM orders WHERE session_id = $1 AND lower(email) = $2 AND status = 'paid'`, [req.params.sessionId, req.accountEmail]);
+    if (!order) return res.status(404).json({ error: 'Pedido no encontrado' });
+    const { rows: lines } = await dbQuery(`SELECT description, quantity, amount_total_cents FROM order_items WHERE session_id = $1 ORDER BY id`, [order.session_id]);
+    const items = lines.map(l => ({ description: l.description, quantity: l.quantity, amount_total: l.amount_total_cents }));
+    // El envío no está en order_items: es lo que falta hasta el total cobrado
+    const shippingCents = Math.round(Number(order.total) * 100) - items.reduce((acc, li) => acc + (li.amount_total || 0), 0);
+    if (shippingCents > 0) items.push({ description: 'Gastos de envío', quantity: 1, amount_total: shippingCents });
+    const pdf = await buildReceiptPDF({
+      invoiceNumber: order.session_id, total: Number(order.total), currency: order.currency || 'EUR', items,
+      customer: { ...order.customer_details, name: order.name, email: order.email }, paidAt: order.created_at,
+    });
+    res.type('application/pdf').set('Content-Disposition', `inline; filename="recibo-${order.session_id}.pdf"`).send(pdf);
+  } catch (e) {
+    console.error('[ERROR] Account receipt:', e);
+    res.status(500).json({ error: 'Error generando el recibo' });
+  }
+});
+
+// Historial de suscripción: cambios guardados y renovaciones cobradas en Stripe
+accountRouter.get('/subscription', async (req, res) => {
+  try {
+    const subscribers = await accountSubscribers(req.accountEmail);
+    const renewals = [];
+    for (const s of subscribers) {
+      const invoices = await stripe.invoices.list({ customer: s.customer_id, status: 'paid', limit: 24 });
+      renewals.push(...invoices.data);
+    }
+    const numbers = renewals.length
+      ? Object.fromEntries((await dbQuery(`SELECT ref_id, number FROM invoices WHERE source = 'subscription' AND kind = 'invoice' AND ref_id = ANY($1)`, [renewals.map(i => i.id)])).rows.map(r => [r.ref_id, r.number]))
+      : {};
+    res.json({
+      subscriptions: subscribers.map(s => ({
+        id: s.subscription_id, status: s.status, grams: Number(s.meta?.subscription_grams) || null,
+        created_at: s.created_at, canceled_at: s.canceled_at, history: s.meta?.history || [],
+      })),
+      renewals: renewals
+        .sort((a, b) => b.created - a.created)
+        .map(i => ({
+          id: i.id, paid_at: new Date((i.status_transitions?.paid_at || i.created) * 1000).toISOString(),
+          amount: i.amount_paid / 100, currency: (i.currency || 'eur').toUpperCase(),
+          invoice_number: numbers[i.id] || null,
+          invoice_url: numbers[i.id] ? invoiceDownloadLink(numbers[i.id]) : null,
+          receipt_url: `${API_PUBLIC_BASE}/api/account/renewals/${encodeURIComponent(i.id)}/receipt.pdf`,
+        })),
+    });
+  } catch (e) {
+    console.error('[ERROR] Account subscription:', e);
+    res.status(500).json({ error: 'Error cargando tu suscripción' });
+  }
+});
+
+// Recibo de una renovación (factura de Stripe de uno de sus clientes)
+accountRouter.get('/renewals/:invoiceId/receipt.pdf', async (req, res) => {
+  try {
+    const customerIds = (await accountSubscribers(req.accountEmail)).map(s => s.customer_id);
+    let inv = null;
+    try { inv = await stripe.invoices.retrieve(req.params.invoiceId); } catch {}
+    if (!inv || inv.status !== 'paid' || !customerIds.includes(inv.customer)) return res.status(404).json({ error: 'Recibo no encontrado' });
+    const pdf = await buildReceiptPDF({
+      invoiceNumber: inv.number || inv.id, total: inv.amount_paid / 100, currency: (inv.currency || 'eur').toUpperCase(),
+      items: (inv.lines?.data || []).map(li => ({ description: li.description, quantity: li.quantity, amount: li.amount })),
+      customer: { name: inv.customer_name, email: inv.customer_email, address: inv.customer_shipping?.address || inv.customer_address },
+      paidAt: new Date((inv.status_transitions?.paid_at || inv.created) * 1000),
+    });
+    res.type('application/pdf').set('Content-Disposition', `inline; filename="recibo-${inv.number || inv.id}.pdf"`).send(pdf);
+  } catch (e) {
+    console.error('[ERROR] Account renewal receipt:', e);
+    res.status(500).json({ error: 'Error generando el recibo' });
+  }
+});
+
+app.use('/api/account', accountRouter);
+
+// ==========================================
+// 🔒 PRIVACIDAD (RGPD): exportación, supresión y retención
+// ==========================================
+// Las facturas emitidas no se anonimizan: la normativa fiscal obliga a conservarlas con los datos del comprador.
+
+const emailHash = (email) => crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+const maskEmail = (email) => {
+  const [user = '', domain = ''] = normalizeEmail(email).split('@');
+  return `${user.slice(0, 1)}***@${domain}`;
+};
+
+// Registro de auditoría. channel: self | admin | job
+const auditPrivacy = async ({ action, channel, email = null, actor = null, ip = null, details = null }) => {
+  await dbQuery(
+    `INSERT INTO privacy_audit(action, channel, email_hash, email_masked, actor, ip, request_id, details) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+    [action, channel, email ? emailHash(email) : null, email ? maskEmail(email) : null, actor, ip, logContext().request_id || null, details ? JSON.stringify(details) : null]
+  );
+};
+
+// Claves de metadata sin datos personales que se conservan al anonimizar
+const ORDER_METADATA_KEEP = ['source', 'kind', 'subscription_grams', 'gift_grams', 'gift_months', 'locale', 'reservation_id', 'shipping_country', 'shipping_zone'];
+const SUBSCRIBER_META_KEEP = ['subscription_grams', 'shipping_country', 'shipping_zone', 'locale'];
+const keepJsonKeys = (column) => `(SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb) FROM jsonb_each(COALESCE(${column}, '{}'::jsonb)) WHERE key = ANY($2))`;
+// Líneas de Stripe reducidas a lo que hace falta para las cuentas
+const SLIM_ORDER_ITEMS_SQL = `(SELECT COALESCE(jsonb_agg(jsonb_build_object('description', i->'description', 'quantity', i->'quantity', 'amount_total', i->'amount_total', 'currency', i->'currency')), '[]'::jsonb) FROM jsonb_array_elements(COALESCE(items, '[]'::jsonb)) i)`;
+const OUTBOX_TO_EMAIL_SQL = `EXISTS (SELECT 1 FROM jsonb_array_elements_text(to_addr) a WHERE lower(a) = $1)`;
+
+// Todo lo que guardamos asociado a un email
+const collectPersonalData = async (email) => {
+  const [orders, items, subscribers, gifts, invoices, shipments, messages, replies, emails, audit, referralCodes, abandoned, marketing, consentEvents] = await Promise.all([
+    dbQuery(`SELECT * FROM orders WHERE lower(email) = $1 ORDER BY created_at`, [email]),
+    dbQuery(`SELECT i.* FROM order_items i JOIN orders o ON o.session_id = i.session_id WHERE lower(o.email) = $1 ORDER BY i.id`, [email]),
+    dbQuery(`SELECT * FROM subscribers WHERE lower(email) = $1 ORDER BY created_at`, [email]),
+    dbQuery(`SELECT * FROM gift_subscriptions WHERE lower(buyer_email) = $1 OR lower(recipient_email) = $1 ORDER BY created_at`, [email]),
+    dbQuery(`SELECT * FROM invoices WHERE lower(buyer_email) = $1 ORDER BY issued_at`, [email]),
+    dbQuery(`SELECT * FROM shipments WHERE lower(email) = $1 ORDER BY created_at`, [email]),
+    dbQuery(`SELECT id, email, name, subject, message, locale, status, created_at, answered_at, closed_at FROM contact_messages WHERE lower(email) = $1 ORDER BY created_at`, [email]),
+    dbQuery(`SELECT r.contact_id, r.body, r.created_at FROM contact_replies r JOIN contact_messages m ON m.id = r.contact_id WHERE lower(m.email) = $1 ORDER BY r.created_at`, [email]),
+    dbQuery(`SELECT id, subject, status, created_at, sent_at FROM email_outbox WHERE ${OUTBOX_TO_EMAIL_SQL} ORDER BY id`, [email]),
+    dbQuery(`SELECT action, channel, created_at FROM privacy_audit WHERE email_hash = $1 ORDER BY created_at`, [emailHash(email)]),
+    dbQuery(`SELECT c.code, c.active, c.created_at FROM referral_codes c JOIN subscribers s ON s.customer_id = c.customer_id WHERE lower(s.email) = $1`, [email]),
+    dbQuery(`SELECT session_id, mode, email, name, currency, amount_total, items, consent_promotions, status, created_at, sent_at FROM abandoned_checkouts WHERE lower(email) = $1 ORDER BY created_at`, [email]),
+    dbQuery(`SELECT * FROM marketing_contacts WHERE email = $1`, [email]),
+    dbQuery(`SELECT consent, source, campaign_id, created_at FROM marketing_consent_events WHERE email = $1 ORDER BY created_at`, [email]),
+  ]);
+  return {
+    email,
+    generated_at: new Date().toISOString(),
+    orders: orders.rows.map(o => ({ ...o, order_items: items.rows.filter(i => i.session_id === o.session_id) })),
+    subscriptions: subscribers.rows,
+    gift_subscriptions: gifts.rows,
+    invoices: invoices.rows,
+    shipments: shipments.rows,
+    contact_messages: messages.rows.map(m => ({ ...m, replies: replies.rows.filter(r => r.contact_id === m.id) })),
+    emails: emails.rows,
+    referral_codes: referralCodes.rows,
+    abandoned_checkouts: abandoned.rows,
+    marketing: marketing.rows[0] ? { ...marketing.rows[0], consent_history: consentEvents.rows } : null,
+    privacy_requests: audit.rows,
+  };
+};
+
+const hasPersonalData = (data) => ['orders', 'subscriptions', 'gift_subscriptions', 'invoices', 'shipments', 'contact_messages'].some(k => data[k].length);
+
+// ZIP: datos.json completo, pedidos en CSV y el PDF de cada factura
+const buildPersonalDataZip = async (data) => {
+  const files = [
+    { name: 'datos.json', content: JSON.stringify(data, null, 2) },
+    { name: 'pedidos.csv', content: toCSV(
+      ['session_id', 'created_at', 'status', 'total', 'currency', 'name', 'phone', 'address', 'city', 'postal', 'country'],
+      data.orders.map(o => [o.session_id, new Date(o.created_at).toISOString(), o.status, o.total, o.currency, o.name, o.phone, o.address, o.city, o.postal, o.country])
+    ) },
+  ];
+  for (const inv of data.invoices) files.push({ name: `facturas/${inv.number}.pdf`, content: await buildInvoicePDF(inv) });
+  return buildZip(files);
+};
+
+const sendPersonalData = async (res, data, format) => {
+  const name = `datos-${new Date().toISOString().slice(0, 10)}`;
+  if (format === 'zip') return res.type('application/zip').set('Content-Disposition', `attachment; filename="${name}.zip"`).send(await buildPersonalDataZip(data));
+  res.set('Content-Disposition', `attachment; filename="${name}.json"`).json(data);
+};
+
+// Lo que impide suprimir ya: suscripciones vivas, regalos en curso y envíos sin salir
+const erasureBlockers = async (email) => {
+  const { rows: [b] } = await dbQuery(`
+    SELECT (SELECT count(*) FROM subscribers WHERE lower(email) = $1 AND status = ANY($2))::int AS active_subscriptions,
+           (SELECT count(*) FROM gift_subscriptions WHERE (lower(buyer_email) = $1 OR lower(recipient_email) = $1) AND status = 'active')::int AS active_gifts,
+           (SELECT count(*) FROM shipments WHERE lower(email) = $1 AND status <> 'shipped')::int AS pending_shipments
+  `, [email, ACTIVE_SUB_STATUSES]);
+  return Object.entries(b).filter(([, n]) => n > 0).map(([k, n]) => ({ reason: k, count: n }));
+};
+
+// Anonimiza los datos personales de un email. Conserva importes, fechas, país y facturas (obligación fiscal).
+// → { counts, customerIds }
+const erasePersonalData = (email) => withTransaction(async (client) => {
+  const counts = {};
+  const orders = await client.query(`
+    UPDATE orders SET email = NULL, name = NULL, phone = NULL, address = NULL, city = NULL, postal = NULL, shipping = NULL,
+      customer_details = jsonb_build_object('address', jsonb_build_object('country', country)),
+      metadata = ${keepJsonKeys('metadata')}, items = ${SLIM_ORDER_ITEMS_SQL},
+      anonymized_at = NOW(), raw_pruned_at = COALESCE(raw_pruned_at, NOW())
+    WHERE lower(email) = $1 RETURNING session_id
+  `, [email, ORDER_METADATA_KEEP]);
+  counts.orders = orders.rowCount;
+  counts.order_items = (await client.query(`UPDATE order_items SET raw = NULL WHERE session_id = ANY($1)`, [orders.rows.map(r => r.session_id)])).rowCount;
+  const subscribers = await client.query(`
+    UPDATE subscribers SET email = NULL, name = NULL, phone = NULL, address = NULL, city = NULL, postal = NULL,
+      meta = ${keepJsonKeys('meta')}, anonymized_at = NOW(), updated_at = NOW()
+    WHERE lower(email) = $1 RETURNING customer_id
+  `, [email, SUBSCRIBER_META_KEEP]);
+  counts.subscribers = subscribers.rowCount;
+  // En los regalos solo se borra la parte (comprador o destinatario) que corresponde a este email
+  counts.gift_subscriptions = (await client.query(`
+    UPDATE gift_subscriptions SET
+      buyer_name = CASE WHEN lower(buyer_email) = $1 THEN NULL ELSE buyer_name END,
+      recipient_name = CASE WHEN lower(recipient_email) = $1 THEN NULL ELSE recipient_name END,
+      phone = CASE WHEN lower(recipient_email) = $1 THEN NULL ELSE phone END,
+      address = CASE WHEN lower(recipient_email) = $1 THEN NULL ELSE address END,
+      city = CASE WHEN lower(recipient_email) = $1 THEN NULL ELSE city END,
+      postal = CASE WHEN lower(recipient_email) = $1 THEN NULL ELSE postal END,
+      message = NULL,
+      buyer_email = CASE WHEN lower(buyer_email) = $1 THEN NULL ELSE buyer_email END,
+      recipient_email = CASE WHEN lower(recipient_email) = $1 THEN NULL ELSE recipient_email END,
+      anonymized_at = NOW()
+    WHERE lower(buyer_email) = $1 OR lower(recipient_email) = $1
+  `, [email])).rowCount;
+  counts.shipments = (await client.query(`UPDATE shipments SET email = NULL, name = NULL, phone = NULL, address = NULL, city = NULL, postal = NULL WHERE lower(email) = $1`, [email])).rowCount;
+  counts.contact_messages = (await client.query(`DELETE FROM contact_messages WHERE lower(email) = $1`, [email])).rowCount;
+  counts.emails = (await client.query(`DELETE FROM email_outbox WHERE ${OUTBOX_TO_EMAIL_SQL} AND status <> 'sending'`, [email])).rowCount;
+  counts.account_logins = (await client.query(`DELETE FROM account_logins WHERE lower(email) = $1`, [email])).rowCount;
+  counts.abandoned_checkouts = (await client.query(`DELETE FROM abandoned_checkouts WHERE lower(email) = $1`, [email])).rowCount;
+  // Si alguna vez se dio de baja, queda el hash para no volver a darle de alta sin pedirlo
+  const { rowCount: optedOut } = await client.query(`
+    SELECT 1 FROM marketing_contacts WHERE email = $1 AND NOT consent
+    UNION ALL SELECT 1 FROM marketing_consent_events WHERE email = $1 AND NOT consent LIMIT 1
+  `, [email]);
+  if (optedOut) await client.query(`INSERT INTO marketing_suppressions(email_hash, reason) VALUES ($1, 'erased_opt_out') ON CONFLICT DO NOTHING`, [emailHash(email)]);
+  counts.marketing_contacts = (await client.query(`DELETE FROM marketing_contacts WHERE email = $1`, [email])).rowCount;
+  await client.query(`DELETE FROM marketing_consent_events WHERE email = $1`, [email]);
+  await client.query(`DELETE FROM campaign_recipients WHERE email = $1`, [email]);
+  counts.invoices_retained = (await client.query(`SELECT 1 FROM invoices WHERE lower(buyer_email) = $1`, [email])).rowCount;
+  return { counts, customerIds: subscribers.rows.map(r => r.customer_id) };
+});
+
+// Retención: pasados RAW_PAYLOAD_RETENTION_DAYS, los pedidos pierden los payloads de Stripe (quedan las columnas
+// de siempre) y se borran los emails ya entregados (HTML y adjuntos) y los checkouts abandonados. Por lotes para no bloquear tablas.
+async function pruneRawPayloads() {
+  if (!pool || !RAW_PAYLOAD_RETENTION_DAYS) return null;
+  const counts = { orders: 0, order_items: 0, emails: 0, abandoned_checkouts: 0 };
+  for (;;) {
+    const { orders, order_items } = await withTransaction(async (client) => {
+      const o = await client.query(`
+        UPDATE orders SET items = ${SLIM_ORDER_ITEMS_SQL}, customer_details = NULL, shipping = NULL, raw_pruned_at = NOW()
+        WHERE session_id IN (SELECT session_id FROM orders WHERE raw_pruned_at IS NULL AND created_at < NOW() - make_interval(days => $1) LIMIT 500)
+        RETURNING session_id
+      `, [RAW_PAYLOAD_RETENTION_DAYS]);
+      const i = o.rowCount ? await client.query(`UPDATE order_items SET raw = NULL WHERE session_id = ANY($1) AND raw IS NOT NULL`, [o.rows.map(r => r.session_id)]) : { rowCount: 0 };
+      return { orders: o.rowCount, order_items: i.rowCount };
+    });
+    counts.orders += orders;
+    counts.order_items += order_items;
+    if (orders < 500) break;
+  }
+  counts.emails = (await dbQuery(`DELETE FROM email_outbox WHERE status IN ('sent', 'skipped', 'dead') AND created_at < NOW() - make_interval(days => $1)`, [RAW_PAYLOAD_RETENTION_DAYS])).rowCount;
+  counts.abandoned_checkouts = (await dbQuery(`DELETE FROM abandoned_checkouts WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)`, [RAW_PAYLOAD_RETENTION_DAYS])).rowCount;
+  if (counts.orders || counts.emails || counts.abandoned_checkouts) {
+    await auditPrivacy({ action: 'retention', channel: 'job', details: { ...counts, days: RAW_PAYLOAD_RETENTION_DAYS } });
+    console.log(`[privacy] Retención: ${counts.orders} pedido(s) podados, ${counts.emails} email(s) y ${counts.abandoned_checkouts} checkout(s) abandonados borrados`);
+  }
+  return counts;
+}
+
+const sendPrivacyExportLink = async (email, locale) => {
+  const data = await collectPersonalData(email);
+  if (!hasPersonalData(data)) return;
+  const token = signToken('privacy-export', { e: email }, PRIVACY_EXPORT_LINK_MINUTES * 60);
+  await sendTemplate('privacyExport', {
+    to: email, locale: locale || resolveLocale(data.subscriptions[0]?.locale || data.orders.at(-1)?.locale),
+    url: `${API_PUBLIC_BASE}/api/privacy/export.zip?token=${encodeURIComponent(token)}`, minutes: PRIVACY_EXPORT_LINK_MINUTES,
+  });
+  await auditPrivacy({ action: 'export_link', channel: 'self', email });
+};
+
+// POST /api/privacy/export { email } — envía el enlace de descarga al propio email. Misma respuesta haya datos o no.
+app.post('/api/privacy/export', contactLimiter, (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  if (!isValidEmail(email)) return res.status(400).json({ error: 'Email requerido' });
+  if (!pool || !LINK_SIGNING_SECRET) return res.status(503).json({ error: 'Exportación no disponible' });
+  res.json({ ok: true });
+  sendPrivacyExportLink(email, supportedLocale(req.body.locale || req.headers['accept-language']))
+    .catch(e => console.error('[ERROR] Privacy export link:', e.message));
+});
+
+// GET /api/privacy/export.zip?token= | /api/privacy/export.json?token= — descarga con el enlace del email
+app.get('/api/privacy/export.:format(zip|json)', async (req, res) => {
+  const payload = verifyToken('privacy-export', req.query.token);
+  if (!payload) return res.status(401).json({ error: 'Enlace caducado o no válido' });
+  if (!pool) return res.status(503).json({ error: 'Exportación no disponible' });
+  try {
+    const data = await collectPersonalData(payload.e);
+    await auditPrivacy({ action: 'export', channel: 'self', email: payload.e, ip: req.ip, details: { format: req.params.format } });
+    await sendPersonalData(res, data, req.params.format);
+  } catch (e) {
+    console.error('[ERROR] Privacy export:', e);
+    res.status(500).json({ error: 'Error exportando datos' });
+  }
+});
+
+// ==========================================
+// 📣 MARKETING: campañas con consentimiento y baja en un clic
+// ==========================================
+const unsubscribeUrl = (email, campaignId = null) => {
+  const token = signToken('unsubscribe', { e: normalizeEmail(email), ...(campaignId ? { c: campaignId } : {}) }, UNSUBSCRIBE_LINK_TTL_DAYS * 86400);
+  return `${API_PUBLIC_BASE}/api/marketing/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+// Email de campaña para un destinatario, con su enlace de baja firmado y las cabeceras de RFC 8058
+// (Gmail y Yahoo muestran "Cancelar suscripción" y hacen el POST ellos mismos)
+const renderCampaignEmail = async (campaign, to) => {
+  const url = unsubscribeUrl(to, campaign.id);
+  const email = await renderEmail('campaign', campaign.locale, { subject: campaign.subject, header: campaign.header, html: campaign.html, unsubscribeUrl: url });
+  return { ...email, to, headers: { 'List-Unsubscribe': `<${url}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' } };
+};
+
+// Página mínima con el mismo diseño que los emails
+const marketingPage = (L, body) => emailShell({ header: t(L, 'unsubscribe.header'), body: `<tr><td style="padding:0 24px 12px; font:14px system-ui; color:#374151;">${body}</td></tr>`, footer: brandFooter });
+
+// GET: confirmación con un botón (los escáneres de enlaces de los correos hacen GET, así que aquí no se da de baja)
+app.get('/api/marketing/unsubscribe', (req, res) => {
+  const L = resolveLocale(req.query.lang || req.headers['accept-language']);
+  const payload = verifyToken('unsubscribe', req.query.token);
+  if (!payload) return res.status(400).type('html').send(marketingPage(L, `<p>${t(L, 'unsubscribe.invalid', { support: SUPPORT_EMAIL })}</p>`));
+  res.type('html').send(marketingPage(L, `<p style="margin:0 0 16px;">${t(L, 'unsubscribe.confirm', { brand: BRAND, email: payload.e })}</p><form method="post" action="${escapeHtml(`${API_PUBLIC_BASE}/api/marketing/unsubscribe?token=${encodeURIComponent(req.query.token)}`)}" style="text-align:center;"><button type="submit" style="background:${BRAND_PRIMARY};color:#fff;border:0;font-weight:800;padding:10px 16px;border-radius:10px;cursor:pointer">${t(L, 'unsubscribe.button')}</button></form>`));
+});
+
+// POST: baja inmediata. Lo usan el botón de la página y el "List-Unsubscribe=One-Click" de los proveedores (RFC 8058)
+app.post('/api/marketing/unsubscribe', express.urlencoded({ extended: false, limit: '1kb' }), async (req, res) => {
+  const L = resolveLocale(req.query.lang || req.headers['accept-language']);
+  const payload = verifyToken('unsubscribe', req.query.token);
+  if (!payload) return res.status(400).type('html').send(marketingPage(L, `<p>${t(L, 'unsubscribe.invalid', { support: SUPPORT_EMAIL })}</p>`));
+  if (!pool) return res.status(503).json({ error: 'Baja no disponible' });
+  try {
+    await setMarketingConsent({ email: payload.e, consent: false, source: req.body?.['List-Unsubscribe'] === 'One-Click' ? 'one_click' : 'unsubscribe_link', ip: req.ip, campaignId: payload.c || null });
+    res.type('html').send(marketingPage(L, `<p>${t(L, 'unsubscribe.done', { brand: BRAND, email: payload.e })}</p>`));
+  } catch (e) {
+    console.error('[ERROR] Marketing unsubscribe:', e);
+    res.status(500).json({ error: 'No se pudo completar la baja' });
+  }
+});
+
+// Segmento normalizado { audience, countries?, locales?, bought_since? } o { error }
+const parseSegment = (raw = {}) => {
+  const audience = raw.audience || 'all';
+  if (!CAMPAIGN_AUDIENCES.includes(audience)) return { error: `audience debe ser ${CAMPAIGN_AUDIENCES.join(' | ')}` };
+  const countries = [].concat(raw.countries || []).map(c => String(c).trim().toUpperCase());
+  if (countries.some(c => !/^[A-Z]{2}$/.test(c))) return { error: 'countries: códigos ISO de 2 letras (ES, PT...)' };
+  const locales = [].concat(raw.locales || []).map(l => String(l).trim().toLowerCase());
+  if (locales.some(l => !SUPPORTED_LOCALES.includes(l))) return { error: `locales: ${SUPPORTED_LOCALES.join(', ')}` };
+  const boughtSince = raw.bought_since ? parseDate(raw.bought_since) : null;
+  if (raw.bought_since && !boughtSince) return { error: 'bought_since: fecha no válida' };
+  return { segment: { audience, ...(countries.length ? { countries } : {}), ...(locales.length ? { locales } : {}), ...(boughtSince && audience === 'buyers' ? { bought_since: boughtSince.toISOString() } : {}) } };
+};
+
+// Contactos con consentimiento vigente que encajan en el segmento (alias "c" = marketing_contacts)
+const segmentWhere = (segment) => buildWhere([
+  ['c.consent = $?', true],
+  ['c.country = ANY($?)', segment.countries?.length ? segment.countries : null],
+  ['c.locale = ANY($?)', segment.locales?.length ? segment.locales : null],
+  ['EXISTS (SELECT 1 FROM subscribers s WHERE lower(s.email) = c.email AND s.status = ANY($?))', segment.audience === 'subscribers' ? ACTIVE_SUB_STATUSES : null],
+  [`EXISTS (SELECT 1 FROM orders o WHERE lower(o.email) = c.email AND o.status IN ('paid', 'no_payment_required', 'partially_refunded') AND o.created_at >= $?)`, segment.audience === 'buyers' ? (segment.bought_since || '1970-01-01') : null],
+]);
+
+const CAMPAIGN_LOCK_KEY = 7261005; // pg_advisory_lock: una sola instancia envía campañas
+
+// Envío escalonado: cada pasada encola como mucho MARKETING_SEND_PER_MINUTE emails en el outbox.
+// El consentimiento se vuelve a mirar justo antes de encolar, así que una baja tiene efecto inmediato.
+async function processCampaigns() {
+  if (!pool || !LINK_SIGNING_SECRET) return 0;
+  const { result = 0 } = await withTryLock(CAMPAIGN_LOCK_KEY, async () => {
+    let budget = MARKETING_SEND_PER_MINUTE;
+    const { rows: campaigns } = await dbQuery(`SELECT * FROM campaigns WHERE status = 'sending' AND scheduled_at <= NOW() ORDER BY scheduled_at, id`);
+    for (const campaign of campaigns) {
+      if (!budget) break;
+      await dbQuery(`UPDATE campaigns SET started_at = COALESCE(started_at, NOW()) WHERE id = $1`, [campaign.id]);
+      const { rows } = await dbQuery(`
+        SELECT r.email, COALESCE(c.consent, false) AS consent FROM campaign_recipients r LEFT JOIN marketing_contacts c ON c.email = r.email
+        WHERE r.campaign_id = $1 AND r.status = 'pending' ORDER BY r.email LIMIT $2
+      `, [campaign.id, budget]);
+      for (const r of rows) {
+        const email = r.consent ? await renderCampaignEmail(campaign, r.email) : null;
+        // Email y estado del destinatario en la misma transacción: o las dos cosas o ninguna
+        await withTransaction(async (client) => {
+          if (email) await sendEmail({ ...email, client });
+          await client.query(`UPDATE campaign_recipients SET status = $3, queued_at = CASE WHEN $3 = 'queued' THEN NOW() END WHERE campaign_id = $1 AND email = $2`, [campaign.id, r.email, email ? 'queued' : 'unsubscribed']);
+        });
+        if (email) budget--;
+      }
+      const { rows: [left] } = await dbQuery(`SELECT count(*)::int AS n FROM campaign_recipients WHERE campaign_id = $1 AND status = 'pending'`, [campaign.id]);
+      if (!left.n) {
+        await dbQuery(`UPDATE campaigns SET status = 'sent', finished_at = NOW(), updated_at = NOW() WHERE id = $1 AND status = 'sending'`, [campaign.id]);
+        console.log(`[marketing] Campaña #${campaign.id} enviada`);
+      }
+    }
+    return MARKETING_SEND_PER_MINUTE - budget;
+  });
+  return result;
+}
+
+// ==========================================
+// ✉️ CONTACTO (bandeja en contact_messages, respuestas desde /admin/contact-messages)
+// ==========================================
+
+// Valida y recorta el formulario. Devuelve { error } o los campos limpios.
+const parseContactInput = (body = {}) => {
+  const field = (v) => (typeof v === 'string' ? v.trim() : '');
+  const email = normalizeEmail(field(body.email));
+  const name = field(body.name);
+  const subject = field(body.subject).replace(/\s+/g, ' ');
+  const message = field(body.message).replace(/\r\n/g, '\n');
+  if (!email || !message) return { error: 'Faltan datos' };
+  if (!isValidEmail(email)) return { error: 'Email inválido' };
+  if (name.length > CONTACT_LIMITS.name) return { error: `Nombre demasiado largo (máx. ${CONTACT_LIMITS.name})` };
+  if (subject.length > CONTACT_LIMITS.subject) return { error: `Asunto demasiado largo (máx. ${CONTACT_LIMITS.subject})` };
+  if (message.length < CONTACT_LIMITS.minMessage) return { error: `Mensaje demasiado corto (mín. ${CONTACT_LIMITS.minMessage})` };
+  if (message.length > CONTACT_LIMITS.message) return { error: `Mensaje demasiado largo (máx. ${CONTACT_LIMITS.message})` };
+  // "website" es un campo oculto del formulario: las personas lo dejan vacío, los bots lo rellenan
+  return { email, name, subject, message, honeypot: field(body.website) };
+};
+
+const SPAM_KEYWORDS = /\b(casino|viagra|cialis|crypto|bitcoin|forex|backlinks?|seo|loan|porn|escort|betting|whatsapp me|guest post)\b/gi;
+
+// Puntuación heurística de spam: { score, reasons, isSpam }. recent = { sameMessage, total } del mismo email en 24 h
+const scoreContactSpam = ({ name, subject, message, honeypot }, recent = { sameMessage: 0, total: 0 }) => {
+  const reasons = [];
+  let score = 0;
+  const add = (points, reason) => { score += points; reasons.push(reason); };
+  const text = `${subject} ${message}`;
+  if (honeypot) add(10, 'honeypot');
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links >= 3) add(4, 'links');
+  else if (links) add(1, 'link');
+  if (/https?:\/\/|www\./i.test(name)) add(3, 'link_in_name');
+  const keywords = new Set((text.match(SPAM_KEYWORDS) || []).map(k => k.toLowerCase()));
+  if (keywords.size) add(3 * keywords.size, `keywords:${[...keywords].join('|')}`);
+  const letters = text.replace(/[^a-zA-ZÀ-ÿ]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-ZÀ-Þ]/g, '').length / letters.length > 0.7) add(2, 'uppercase');
+  if (/[\u0400-\u04FF\u4E00-\u9FFF\u3040-\u30FF]/.test(text)) add(2, 'script');
+  if (/<a\s|\[url=/i.test(message)) add(3, 'markup');
+  if (recent.sameMessage) add(3, 'duplicate');
+  if (recent.total >= 3) add(2, 'flood');
+  return { score, reasons, isSpam: score >= CONTACT_SPAM_THRESHOLD };
+};
+
+const contactMessageId = () => `<contact-${crypto.randomUUID()}@${SUPPORT_EMAIL.split('@')[1] || 'localhost'}>`;
+
+// Suscriptor y último pedido con el mismo email
+const contactLinks = async (email) => {
+  const [sub, order] = await Promise.all([
+    dbQuery(`SELECT customer_id FROM subscribers WHERE lower(email) = $1 ORDER BY (status IN ('active', 'trialing', 'past_due')) DESC, updated_at DESC NULLS LAST LIMIT 1`, [email]),
+    dbQuery(`SELECT session_id FROM orders WHERE lower(email) = $1 ORDER BY created_at DESC LIMIT 1`, [email]),
+  ]);
+  return { customerId: sub.rows[0]?.customer_id || null, orderSessionId: order.rows[0]?.session_id || null };
+};
+
+// Se guarda antes de responder; el spam se guarda igual (para revisarlo) pero no genera emails.
+// Al cliente siempre se le responde ok, sea spam o no.
+app.post('/api/contact', contactLimiter, async (req, res) => {
+  const input = parseContactInput(req.body);
+  if (input.error) return res.status(400).json({ error: input.error });
+  const locale = supportedLocale(req.body.locale || req.headers['accept-language']);
+  const messageId = contactMessageId();
+
+  let stored = null;
+  let spam;
+  try {
+    if (pool) {
+      const { rows } = await dbQuery(
+        `SELECT count(*)::int AS total, count(*) FILTER (WHERE message = $2)::int AS same_message FROM contact_messages WHERE lower(email) = $1 AND created_at > NOW() - interval '24 hours'`,
+        [input.email, input.message]
+      );
+      spam = scoreContactSpam(input, { total: rows[0].total, sameMessage: rows[0].same_message });
+      const links = await contactLinks(input.email);
+      const { rows: [row] } = await dbQuery(`
+        INSERT INTO contact_messages(email, name, subject, message, locale, spam_score, spam_reasons, is_spam, customer_id, order_session_id, message_id, ip)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING id
+      `, [input.email, input.name || null, input.subject || null, input.message, locale, spam.score, JSON.stringify(spam.reasons), spam.isSpam, links.customerId, links.orderSessionId, messageId, req.ip]);
+      stored = { id: row.id, ...links };
+    } else {
+      spam = scoreContactSpam(input);
+    }
+  } catch (e) {
+    console.error('[ERROR] Contact store:', e);
+    return res.status(500).json({ error: 'No se pudo enviar el mensaje' });
+  }
+
+  if (spam.isSpam) {
+    console.warn(`[contact] Spam${stored ? ` #${stored.id}` : ''} (${spam.score}): ${spam.reasons.join(', ')}`);
+    return res.json({ ok: true });
+  }
+  try {
+    await sendContactEmails({ ...input, ...stored, locale, messageId });
+  } catch (e) {
+    console.error('[ERROR] Contact emails:', e);
+    // Sin BD el email era la única copia del mensaje
+    if (!stored) return res.status(500).json({ error: 'No se pudo enviar el mensaje' });
+  }
+  res.json({ ok: true });
+});
+
+// Del metadata que manda el front solo pasan estas claves: el resto (kind, gift_*, subscription_grams,
+// reservation_id...) lo escribe el servidor y el webhook se fía de él
+const CLIENT_METADATA_KEYS = ['marketing_consent', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const clientMetadata = (raw) => Object.fromEntries(
+  CLIENT_METADATA_KEYS.filter(k => raw?.[k] != null && raw[k] !== '').map(k => [k, String(raw[k]).slice(0, 500)])
+);
+
+// 🛡️ CHECKOUT SEGURO (Validación de entrada)
+app.post('/create-checkout-session', async (req, res) => {
+  try {
+    const { items, success_url, cancel_url, metadata } = req.body;
+    const locale = supportedLocale(req.body.locale || req.headers['accept-language']);
+
+    if (!items || !Array.isArray(items) || items.length === 0) return res.status(400).json({ error: 'Carrito inválido.' });
+    if (!success_url || !cancel_url) return res.status(400).json({ error: 'URLs de retorno requeridas.' });
+
+    const line_items = [];
+    for (const it of items) {
+       if (!it.price || !it.quantity) return res.status(400).json({ error: 'Item incompleto.' });
+       const q = parseInt(it.quantity);
+       if (isNaN(q) || q <= 0) return res.status(400).json({ error: 'Cantidad inválida.' });
+
+       line_items.push({ price: it.price, quantity: q });
+    }
+
+    // Solo precios del catálogo: un carrito manipulado no puede comprar precios archivados o de otra tienda
+    const { prices, invalid } = await resolveCartPrices(line_items);
+    if (invalid) return res.status(400).json({ error: 'Producto no válido.', code: 'invalid_price', prices: invalid });
+
+    // Reserva de stock por producto (varios precios pueden ser del mismo producto)
+    const shipping = quoteShipping({ country: req.body.shipping_country, ...cartShippingInput(prices, line_items) });
+    if (!shipping.ok) return res.status(400).json({ error: shipping.error, code: shipping.code });
+
+    const wants = {};
+    prices.forEach((p, i) => {
+      const sku = p.product.id;
+      wants[sku] = wants[sku] || { sku, quantity: 0, label: p.product.name || sku };
+      wants[sku].quantity += line_items[i].quantity;
+    });
+
+    const reservationId = crypto.randomUUID();
+    const expiresAt = reservationExpiresAt();
+    const reservation = await reserveStock(reservationId, Object.values(wants), expiresAt);
+    if (!reservation.ok) {
+      return res.status(409).json({ error: `Sin stock suficiente: ${reservation.shortages.map(s => s.label).join(', ')}`, code: 'out_of_stock', items: reservation.shortages });
+    }
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: 'payment', line_items, success_url, cancel_url,
+        allow_promotion_codes: true, billing_address_collection: 'required',
+        // Solo países de la zona cotizada, para que la tarifa cobrada sea la que toca
+        shipping_address_collection: { allowed_countries: shipping.zone.countries },
+        shipping_options: shippingOptionsFor(shipping, prices[0]?.currency || 'eur'),
+        tax_id_collection: { enabled: true },
+        expires_at: checkoutExpiresAt(),
+        ...CHECKOUT_RECOVERY,
+        ...(locale ? { locale } : {}),
+        metadata: { source: 'front', ...clientMetadata(metadata), ...(locale ? { locale } : {}), shipping_zone: shipping.zone.id, reservation_id: reservationId }
+      });
+    } catch (e) { await settleReservation(reservationId, 'released'); throw e; }
+    checkoutSessionsTotal.inc({ kind: 'payment' });
+    res.json({ url: session.url, id: session.id });
+  } catch (e) { 
+    console.error('[ERROR] Checkout:', e);
+    res.status(500).json({ error: 'No se pudo iniciar el pago.' }); 
+  }
+});
+
+// 🎁 Suscripción regalo: pago único de N meses, se envía al destinatario y termina sola
+app.post('/create-gift-session', async (req, res) => {
+  try {
+    const { grams, months, recipient = {}, gift_message, delivery_date, success_url, cancel_url, metadata } = req.body;
+    const locale = supportedLocale(req.body.locale || req.headers['accept-language']);
+    const g = Number(grams);
+    const m = Number(months);
+    if (!ALLOWED_SUB_GRAMS.includes(g)) return res.status(400).json({ error: 'Gramos inválidos' });
+    if (!GIFT_MONTHS.includes(m)) return res.status(400).json({ error: 'Número de meses inválido' });
+    if (!recipient.name || !isValidEmail(recipient.email)) return res.status(400).json({ error: 'Faltan los datos del destinatario' });
+    if (!success_url || !cancel_url) return res.status(400).json({ error: 'URLs de retorno requeridas.' });
+    const message = String(gift_message || '').trim();
+    if (message.length > 300) return res.status(400).json({ error: 'El mensaje no puede superar 300 caracteres' });
+
+    let deliveryDate = '';
+    if (delivery_date) {
+      const d = new Date(`${delivery_date}T12:00:00Z`);
+      const today = new Date().toISOString().slice(0, 10);
+      if (isNaN(d.getTime()) || delivery_date < today || d.getTime() - Date.now() > 366 * 86400 * 1000) return res.status(400).json({ error: 'Fecha de entrega inválida' });
+      deliveryDate = d.toISOString().slice(0, 10);
+    }
+
+    // Un envío al mes al país del destinatario, todos pagados ahora
+    const shipping = quoteShipping({ country: recipient.country, weightGrams: g, subtotalCents: SUB_PRICE_TABLE[g] });
+    if (!shipping.ok) return res.status(400).json({ error: shipping.error, code: shipping.code });
+
+    const reservationId = crypto.randomUUID();
+    const expiresAt = reservationExpiresAt();
+    const reservation = await reserveStock(reservationId, [{ sku: SUB_POOL_SKU, quantity: g, label: `Regalo ${g} g` }], expiresAt);
+    if (!reservation.ok) {
+      return res.status(409).json({ error: 'No queda jamón suficiente para nuevas suscripciones de ese tamaño este mes.', code: 'out_of_stock', items: reservation.shortages });
+    }
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        line_items: [{
+          quantity: 1,
+          price_data: {
+            currency: 'eur',
+            unit_amount: SUB_PRICE_TABLE[g] * m,
+            product_data: { name: `Regalo: Suscripción Jamón Canalla — ${g} g/mes × ${m} ${m === 1 ? 'mes' : 'meses'}` }
+          }
+        }],
+        allow_promotion_codes: true,
+        billing_address_collection: 'required',
+        // La dirección de envío es la del destinatario
+        shipping_address_collection: { allowed_countries: shipping.zone.countries },
+        shipping_options: shippingOptionsFor(shipping, 'eur', m),
+        tax_id_collection: { enabled: true },
+        expires_at: checkoutExpiresAt(),
+        consent_collection: { promotions: 'auto' },
+        ...(locale ? { locale } : {}),
+        metadata: {
+          ...clientMetadata(metadata),
+          ...(locale ? { locale } : {}),
+          kind: 'gift', gift_grams: String(g), gift_months: String(m),
+          recipient_name: String(recipient.name).slice(0, 200), recipient_email: recipient.email,
+          gift_message: message, delivery_date: deliveryDate,
+          shipping_zone: shipping.zone.id,
+          reservation_id: reservationId,
+        },
+        success_url, cancel_url
+      });
+    } catch (e) { await settleReservation(reservationId, 'released'); throw e; }
+    checkoutSessionsTotal.inc({ kind: 'gift' });
+    res.json({ url: session.url, id: session.id });
+  } catch (e) {
+    console.error('[ERROR] Gift:', e);
+    res.status(500).json({ error: 'Error al crear el regalo.' });
+  }
+});
+
+// 6. Create Subscription (COBRO EL DÍA 1 SIN PRORRATEO)
+app.post('/create-subscription-session', async (req, res) => {
+  try {
+    const { grams, success_url, cancel_url, metadata } = req.body;
+    const locale = supportedLocale(req.body.locale || req.headers['accept-language']);
+    const g = Number(grams);
+    if (!ALLOWED_SUB_GRAMS.includes(g)) return res.status(400).json({ error: 'Gramos inválidos' });
+    
+    // Cálculo Fecha Cobro (Día 1 mes siguiente)
+    const now = new Date();
+    const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+    nextMonth.setHours(12, 0, 0, 0);
+    const anchorTimestamp = Math.floor(nextMonth.getTime() / 1000);
+
+    // Checkout no admite shipping_options en suscripciones: el envío va como segunda línea mensual
+    const shipping = quoteShipping({ country: req.body.shipping_country, weightGrams: g, subtotalCents: SUB_PRICE_TABLE[g] });
+    if (!shipping.ok) return res.status(400).json({ error: shipping.error, code: shipping.code });
+    const shippingLine = shipping.amount_cents
+      ? [{ quantity: 1, price_data: { currency: 'eur', unit_amount: shipping.amount_cents, recurring: { interval: 'month' }, product: await getShippingProductId() } }]
+      : [];
+
+    // Los gramos salen de la bolsa compartida de suscripciones
+    const reservationId = crypto.randomUUID();
+    const expiresAt = reservationExpiresAt();
+    const reservation = await reserveStock(reservationId, [{ sku: SUB_POOL_SKU, quantity: g, label: `Suscripción ${g} g` }], expiresAt);
+    if (!reservation.ok) {
+      return res.status(409).json({ error: 'No queda jamón suficiente para nuevas suscripciones de ese tamaño este mes.', code: 'out_of_stock', items: reservation.shortages });
+    }
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: 'subscription',
+        line_items: [{ 
+          quantity: 1,
+          price_data: { 
+            currency: 'eur', 
+            unit_amount: SUB_PRICE_TABLE[g], 
+            recurring: { interval: 'month' }, 
+            product_data: { name: `Suscripción Jamón Canalla — ${g} g/mes` } 
+          } 
+        }, ...shippingLine],
+        allow_promotion_codes: true,
+        billing_address_collection: 'required',
+        shipping_address_collection: { allowed_countries: shipping.zone.countries },
+        tax_id_collection: { enabled: true },
+        ...(locale ? { locale } : {}),
+        metadata: { subscription_grams: String(g), ...clientMetadata(metadata), ...(locale ? { locale } : {}), reservation_id: reservationId },
+        subscription_data: {
+          billing_cycle_anchor: anchorTimestamp,
+          proration_behavior: 'none',
+          metadata: { subscription_grams: String(g), ...(locale ? { locale } : {}), shipping_country: shipping.country, shipping_zone: shipping.zone.id },
+        },
+        expires_at: checkoutExpiresAt(),
+        ...CHECKOUT_RECOVERY,
+        success_url, cancel_url
+      });
+    } catch (e) { await settleReservation(reservationId, 'released'); throw e; }
+    checkoutSessionsTotal.inc({ kind: 'subscription' });
+    res.json({ url: session.url, id: session.id });
+  } catch (e) { 
+    console.error('[ERROR] Subscription:', e);
+    res.status(500).json({ error: 'Error al crear suscripción.' }); 
+  }
+});
+
+app.get('/billing-portal/link', async (req, res) => {
+  try {
+    const { token, customer_id, return: ret } = req.query;
+    let customerId = null;
+
+    if (token) {
+      const payload = verifyToken('portal', String(token));
+      if (!payload) return res.status(403).send('Enlace caducado o no válido');
+      customerId = payload.c;
+    } else if (customer_id) {
+      // Periodo de gracia (opcional y corto) para enlaces sin firmar enviados antes del cambio
+      if (!PORTAL_LEGACY_LINKS_UNTIL || Date.now() > PORTAL_LEGACY_LINKS_UNTIL.getTime()) return res.status(403).send('Enlace caducado o no válido');
+      if (pool && !(await subscriberExists(String(customer_id)))) return res.status(403).send('Enlace caducado o no válido');
+      customerId = String(customer_id);
+    } else {
+      return res.status(400).send('Missing token');
+    }
+
+    const returnUrl = ret && isAllowedReturnUrl(String(ret)) ? String(ret) : PORTAL_RETURN_URL;
+    const session = await stripe.billingPortal.sessions.create({ customer: customerId, return_url: returnUrl });
+    res.redirect(session.url);
+  } catch { res.status(500).send('Error'); }
+});
+
+// ==========================================
+// 🔐 ADMIN API (pedidos y suscriptores)
+// ==========================================
+
+// Acepta "Authorization: Bearer <key>" o "X-API-Key: <key>"
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_API_KEY) return res.status(503).json({ error: 'Admin API deshabilitada' });
+  const auth = req.headers.authorization || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7).trim() : (req.headers['x-api-key'] || '');
+  if (!token || !safeEqual(token, ADMIN_API_KEY)) return res.status(401).json({ error: 'No autorizado' });
+  next();
+};
+
+const parsePaging = (q = {}) => {
+  const limit = Math.min(Math.max(parseInt(q.limit) || 25, 1), 100);
+  const page = Math.max(parseInt(q.page) || 1, 1);
+  return { limit, page, offset: (page - 1) * limit };
+};
+const parseDate = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+// Construye "WHERE ..." a partir de pares [sql con $?, valor]; ignora valores vacíos.
+// Todas las apariciones de $? en un mismo par usan el mismo parámetro.
+const buildWhere = (conds) => {
+  const clauses = [];
+  const params = [];
+  for (const [sql, val] of conds) {
+    if (val === undefined || val === null || val === '') continue;
+    params.push(val);
+    clauses.push(sql.replaceAll('$?', `$${params.length}`));
+  }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+};
+
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+
+// Configuración efectiva (secretos ocultos)
+adminRouter.get('/config', (req, res) => res.json({ env: config.NODE_ENV, config: redactConfig(config), warnings: configWarnings }));
+
+// Fuerza la sincronización del catálogo con Stripe (no espera al TTL)
+adminRouter.post('/catalog/sync', async (req, res) => {
+  try {
+    res.json({ ok: true, ...await syncCatalogFromStripe() });
+  } catch (e) {
+    console.error('[ERROR] Admin catalog sync:', e);
+    res.status(500).json({ error: 'No se pudo sincronizar con Stripe' });
+  }
+});
+
+// ===== Previsualización de emails (no necesita BD) =====
+// Cada entrada devuelve [plantilla, datos de ejemplo]; se evalúan en cada petición para que las fechas sean las de hoy.
+const previewCustomer = { name: 'María Pérez', email: 'maria@example.com', phone: '+34 600 000 000', address: { line1: 'Calle Mayor 1', line2: '2º B', postal_code: '10001', city: 'Cáceres', country: 'ES' } };
+const previewItems = [
+  { description: 'Jamón ibérico de bellota loncheado 100 g', quantity: 2, amount_total: 3800, price: { unit_amount: 1900 } },
+  { description: 'Paleta ibérica de cebo 100 g', quantity: 1, amount_total: 1200, price: { unit_amount: 1200 } },
+];
+const previewInvoice = (kind = 'invoice') => {
+  const taxes = computeInvoiceTaxes(previewItems.map(li => ({ description: li.description, quantity: li.quantity, gross_cents: li.amount_total, category: 'reduced' })), 'ES');
+  return {
+    number: kind === 'rectifying' ? `${RECTIFYING_SERIES}-${madridYear()}-000001` : `${INVOICE_SERIES}-${madridYear()}-000001`,
+    kind, rectifies_number: kind === 'rectifying' ? `${INVOICE_SERIES}-${madridYear()}-000001` : null, reason: kind === 'rectifying' ? 'Reembolso' : null,
+    issued_at: new Date(), currency: 'EUR', country: 'ES', oss: false,
+    buyer_name: previewCustomer.name, buyer_email: previewCustomer.email, buyer_tax_id: null, buyer_address: previewCustomer.address,
+    lines: taxes.lines, tax_breakdown: taxes.breakdown, base_cents: taxes.base_cents, tax_cents: taxes.tax_cents, total_cents: taxes.total_cents,
+  };
+};
+const previewSummary = () => ({
+  from: '2026-01-05', to: '2026-01-11',
+  revenue: [{ currency: 'EUR', orders: 12, gross: 845.5, refunded: 42, net: 803.5 }],
+  subscriptions: { active: 41, mrr: 3264, new: 5, canceled: 2, active_start: 38, churn_rate: 5.26 },
+  tiers: [200, 300, 500].map((grams, i) => ({ grams, price: SUB_PRICE_TABLE[grams] / 100, subscribers: 10 + i * 3, mrr: (10 + i * 3) * SUB_PRICE_TABLE[grams] / 100 })),
+  countries: [{ country: 'ES', currency: 'EUR', orders: 10, net: 701.5 }, { country: 'PT', currency: 'EUR', orders: 2, net: 102 }],
+  products: previewItems.map(i => ({ description: i.description, units: 3 * i.quantity, revenue: 3 * i.amount_total / 100, currency: 'EUR' })),
+});
+const EMAIL_PREVIEWS = {
+  'welcome': () => ['welcome', { name: previewCustomer.name, grams: 300, price: SUB_PRICE_TABLE[300] / 100, currency: 'EUR', customerId: 'cus_preview' }],
+  'order': () => ['receipt', { name: previewCustomer.name, invoiceNumber: 'cs_test_preview', total: 50, currency: 'EUR', items: previewItems, customer: previewCustomer, invoice: previewInvoice() }],
+  'order-confirmation': () => ['confirmation', { name: previewCustomer.name, amountTotal: 50, currency: 'EUR', items: previewItems, customer_details: previewCustomer }],
+  'renewal': () => ['receipt', { name: previewCustomer.name, invoiceNumber: 'in_preview', total: SUB_PRICE_TABLE[300] / 100, currency: 'EUR', items: [{ description: 'Suscripción Jamón Canalla — 300 g/mes', quantity: 1, amount: SUB_PRICE_TABLE[300] }], customer: previewCustomer, isSubscription: true, isRenewal: true, customerId: 'cus_preview' }],
+  'admin-order': () => ['adminOrder', { session: { id: 'cs_test_preview' }, items: previewItems, customerEmail: previewCustomer.email, name: previewCustomer.name, phone: previewCustomer.phone, amountTotal: 50, currency: 'EUR', customer_details: previewCustomer }],
+  'admin-reconciliation': () => ['adminReconciliation', { report: { id: 42, fixed: [{ type: 'checkout.session.completed', object: 'cs_test_preview' }, { type: 'invoice.payment_succeeded', object: 'in_preview' }], errors: [] } }],
+  'admin-digest': () => ['adminDigest', { kind: 'weekly', summary: previewSummary() }],
+  'admin-renewal': () => ['adminRenewal', { customer: previewCustomer, total: SUB_PRICE_TABLE[300] / 100, currency: 'EUR', subscriptionId: 'sub_preview' }],
+  'cancel': () => ['cancel', { name: previewCustomer.name, subId: 'sub_preview' }],
+  'shipment': () => ['shipment', { name: previewCustomer.name, carrier: 'Correos Express', trackingNumber: 'PK123456789ES' }],
+  'gift': () => ['gift', { gift: { recipient_name: 'Juan García', buyer_name: previewCustomer.name, message: '¡Feliz cumpleaños!', grams: 200, months: 3, start_period: new Date().toISOString().slice(0, 7) } }],
+  'subscription-change': () => ['subscriptionChange', { name: previewCustomer.name, customerId: 'cus_preview', change: { type: 'grams', grams: 500, amount: SUB_PRICE_TABLE[500] / 100, currency: 'EUR', effectiveAt: Date.now() + 14 * 86400 * 1000 } }],
+  'payment-failed': () => ['paymentFailed', { name: previewCustomer.name, total: SUB_PRICE_TABLE[300] / 100, currency: 'EUR', attempt: 2, nextAttemptAt: Date.now() + 3 * 86400 * 1000, customerId: 'cus_preview' }],
+  'refund': () => ['refund', { name: previewCustomer.name, refundId: 're_preview', amount: 50, currency: 'EUR', customer: previewCustomer, rectifying: previewInvoice('rectifying') }],
+  'payment-pending': () => ['paymentPending', { name: previewCustomer.name, amountTotal: 50, currency: 'EUR' }],
+  'payment-rejected': () => ['paymentRejected', { name: previewCustomer.name }],
+  'customer-updated': () => ['customerUpdated', { prev: { phone: '+34 600 111 222', address: { ...previewCustomer.address, line1: 'Calle Vieja 9' } }, cust: previewCustomer }],
+  'contact': () => ['contact', { subject: 'Pregunta sobre envíos' }],
+  'contact-admin': () => ['contactAdmin', { email: previewCustomer.email, subject: 'Pregunta sobre envíos', message: '¿Enviáis a Canarias?' }],
+  'contact-reply': () => ['contactReply', { subject: 'Envío a Canarias', body: 'Hola Lucía,\n\nSí, enviamos a Canarias en 3-5 días laborables.\n\nUn saludo', original: '¿Hacéis envíos a Canarias?', receivedAt: new Date() }],
+  'campaign': () => ['campaign', { subject: 'Nueva paleta de bellota 50% ibérica', html: '<p>Acaba de llegar la nueva paleta de bellota, curada 30 meses en Jerez de los Caballeros.</p><p><strong>Solo 40 piezas</strong> esta temporada.</p>', unsubscribeUrl: `${API_PUBLIC_BASE}/api/marketing/unsubscribe?token=preview` }],
+  'abandoned-checkout': () => ['abandonedCheckout', { name: previewCustomer.name, mode: 'payment', items: previewItems, currency: 'EUR', total: 50, url: `${FRONT_BASE}/?preview=recovery`, expiresAt: new Date(Date.now() + 30 * 86400000), promoCode: ABANDONED_CHECKOUT_PROMO_CODE || 'VUELVE10' }],
+  'referral-reward': () => ['referralReward', { name: previewCustomer.name, code: 'MARIA7K3P', amount: REFERRAL_REWARD_CENTS / 100, count: 3, remaining: REFERRAL_MAX_REWARDS ? REFERRAL_MAX_REWARDS - 3 : null, customerId: 'cus_preview' }],
+  'privacy-export': () => ['privacyExport', { url: `${API_PUBLIC_BASE}/api/privacy/export.zip?token=preview`, minutes: PRIVACY_EXPORT_LINK_MINUTES }],
+  'account-login': () => ['accountLogin', { url: `${ACCOUNT_URL}?token=preview`, minutes: ACCOUNT_LOGIN_LINK_MINUTES }],
+  'recovery': () => ['recovery', { links: [{ url: PORTAL_RETURN_URL, manageUrl: subscriptionManageLink('cus_preview'), amount: SUB_PRICE_TABLE[300] / 100, currency: 'EUR', address: previewCustomer.address }] }],
+};
+
+const loadPreview = async (req, res, next) => {
+  const preview = EMAIL_PREVIEWS[req.params.name];
+  if (!preview) return res.status(404).json({ error: 'Email desconocido', available: Object.keys(EMAIL_PREVIEWS) });
+  try {
+    const [type, data] = preview();
+    req.email = await renderEmail(type, req.body?.locale || req.query.locale, data);
+    next();
+  } catch (e) {
+    console.error('[ERROR] Admin email preview:', e);
+    res.status(500).json({ error: 'Error generando el email' });
+  }
+};
+
+adminRouter.get('/email-previews', (req, res) => res.json({ data: Object.keys(EMAIL_PREVIEWS), locales: SUPPORTED_LOCALES }));
+
+// GET /admin/email-previews/:name?locale=es&format=html|text|pdf|json
+// pdf = primer adjunto (factura, recibo, tarjeta regalo...)
+adminRouter.get('/email-previews/:name', loadPreview, (req, res) => {
+  const { subject, html, text, attachments = [] } = req.email;
+  const format = req.query.format || 'html';
+  if (format === 'text') return res.type('text/plain').send(`${subject}\n\n${text}`);
+  if (format === 'json') return res.json({ subject, html, text, attachments: attachments.map(a => a.filename) });
+  if (format === 'pdf') {
+    const pdf = attachments.find(a => a.contentType === 'application/pdf');
+    if (!pdf) return res.status(404).json({ error: 'Este email no lleva PDF' });
+    return res.type('application/pdf').set('Content-Disposition', `inline; filename="${pdf.filename}"`).send(pdf.content);
+  }
+  // El HTML del email lleva estilos en línea e imágenes externas
+  res.set('Content-Security-Policy', "default-src 'none'; img-src * data:; style-src 'unsafe-inline'").type('html').send(html);
+});
+
+// POST /admin/email-previews/:name/send { to?, locale? } — por defecto a CORPORATE_EMAIL
+adminRouter.post('/email-previews/:name/send', loadPreview, async (req, res) => {
+  const to = req.body?.to || CORPORATE_EMAIL;
+  if (!isValidEmail(to)) return res.status(400).json({ error: 'Destinatario inválido' });
+  try {
+    await sendEmail({ ...req.email, to, subject: `[PRUEBA] ${req.email.subject}` });
+    res.json({ ok: true, to, subject: req.email.subject });
+  } catch (e) {
+    console.error('[ERROR] Admin email preview send:', e);
+    res.status(500).json({ error: 'Error enviando el email' });
+  }
+});
+
+adminRouter.use((req, res, next) => pool ? next() : res.status(503).json({ error: 'Base de datos no configurada' }));
+
+// GET /admin/orders?email=&status=&country=&from=&to=&q=&page=&limit=
+adminRouter.get('/orders', async (req, res) => {
+  try {
+    const { email, status, country, from, to, q } = req.query;
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['lower(email) = lower($?)', email],
+      ['status = $?', status],
+      ['upper(country) = upper($?)', country],
+      ['created_at >= $?', parseDate(from)],
+      ['created_at < $?', parseDate(to)],
+      ['(email ILIKE $? OR name ILIKE $? OR session_id ILIKE $?)', q ? `%${q}%` : null],
+    ]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT session_id, email, name, phone, total, currency, status, country, city, created_at FROM orders ${where} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM orders ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin orders:', e);
+    res.status(500).json({ error: 'Error listando pedidos' });
+  }
+});
+
+adminRouter.get('/orders/:sessionId', async (req, res) => {
+  try {
+    const { rows } = await dbQuery(`SELECT * FROM orders WHERE session_id = $1`, [req.params.sessionId]);
+    if (!rows.length) return res.status(404).json({ error: 'Pedido no encontrado' });
+    const items = await dbQuery(
+      `SELECT id, description, product_id, price_id, quantity, unit_amount_cents, amount_total_cents, currency FROM order_items WHERE session_id = $1 ORDER BY id`,
+      [req.params.sessionId]
+    );
+    res.json({ ...rows[0], order_items: items.rows });
+  } catch (e) {
+    console.error('[ERROR] Admin order detail:', e);
+    res.status(500).json({ error: 'Error obteniendo pedido' });
+  }
+});
+
+// GET /admin/subscribers?status=&plan=&grams=&q=&page=&limit=
+adminRouter.get('/subscribers', async (req, res) => {
+  try {
+    const { status, plan, grams, q } = req.query;
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['status = $?', status],
+      ['plan = $?', plan],
+      [`meta->>'subscription_grams' = $?`, grams ? String(Number(grams)) : null],
+      ['(email ILIKE $? OR name ILIKE $?)', q ? `%${q}%` : null],
+    ]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT * FROM subscribers ${where} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM subscribers ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin subscribers:', e);
+    res.status(500).json({ error: 'Error listando suscriptores' });
+  }
+});
+
+// ===== Informes =====
+// Ventas a partir de orders/order_items (pedidos de checkout; las renovaciones están en /admin/invoices) y
+// suscripciones a partir de subscribers. Fechas YYYY-MM-DD inclusivas, cortadas en REPORT_TIMEZONE.
+// Importes en unidades de la moneda (como orders.total); el MRR sale de SUB_PRICE_TABLE (sin envío).
+const PAID_ORDER_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const REPORT_GROUPS = { day: 'YYYY-MM-DD', month: 'YYYY-MM' };
+// $1 = desde, $2 = hasta (inclusive), $3 = zona horaria
+const RANGE_START = `$1::date::timestamp AT TIME ZONE $3`;
+const RANGE_END = `($2::date + 1)::timestamp AT TIME ZONE $3`;
+
+const localDay = (d = new Date()) => d.toLocaleDateString('sv-SE', { timeZone: REPORT_TIMEZONE });
+const addDays = (ymd, n) => new Date(Date.parse(`${ymd}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+const isDay = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)) && new Date(v).toISOString().startsWith(v);
+
+// ?from=&to=&group=day|month → { from, to, group } o { error }. Por defecto: 30 días (day) o 12 meses (month)
+const parseReportRange = (q = {}) => {
+  const group = q.group || 'day';
+  if (!REPORT_GROUPS[group]) return { error: 'group debe ser day o month' };
+  if ((q.from && !isDay(q.from)) || (q.to && !isDay(q.to))) return { error: 'Fechas en formato YYYY-MM-DD' };
+  const to = q.to || localDay();
+  const monthStart = new Date(`${to.slice(0, 7)}-01T00:00:00Z`);
+  monthStart.setUTCMonth(monthStart.getUTCMonth() - 11);
+  const from = q.from || (group === 'month' ? monthStart.toISOString().slice(0, 10) : addDays(to, -29));
+  if (from > to) return { error: 'from debe ser anterior a to' };
+  if (group === 'day' && Date.parse(to) - Date.parse(from) > 366 * 86400000) return { error: 'Máximo un año por días; usa group=month' };
+  return { from, to, group };
+};
+
+const churnRate = (canceled, activeStart) => (activeStart ? Math.round((canceled / activeStart) * 10000) / 100 : null);
+const toAmount = (v) => Number(v || 0); // pg devuelve numeric como texto
+
+// Cada informe: { columns (orden del CSV), run(range, query) → filas }
+const REPORTS = {
+  'revenue': {
+    columns: ['period', 'currency', 'orders', 'gross', 'refunded', 'net'],
+    run: async ({ from, to, group }) => {
+      const { rows } = await dbQuery(`
+        WITH periods AS (
+          SELECT generate_series(date_trunc($4, $1::date::timestamp), date_trunc($4, $2::date::timestamp), ('1 ' || $4)::interval) AS period
+        ), paid AS (
+          SELECT date_trunc($4, created_at AT TIME ZONE $3) AS period, upper(currency) AS currency, total, COALESCE(amount_refunded, 0) AS refunded
+          FROM orders WHERE status = ANY($6) AND created_at >= ${RANGE_START} AND created_at < ${RANGE_END}
+        )
+        SELECT to_char(p.period, $5) AS period, COALESCE(o.currency, 'EUR') AS currency, count(o.period)::int AS orders,
+               round(COALESCE(sum(o.total), 0), 2) AS gross, round(COALESCE(sum(o.refunded), 0), 2) AS refunded, round(COALESCE(sum(o.total - o.refunded), 0), 2) AS net
+        FROM periods p LEFT JOIN paid o ON o.period = p.period
+        GROUP BY 1, 2 ORDER BY 1, 2
+      `, [from, to, REPORT_TIMEZONE, group, REPORT_GROUPS[group], PAID_ORDER_STATUSES]);
+      return rows.map(r => ({ ...r, gross: toAmount(r.gross), refunded: toAmount(r.refunded), net: toAmount(r.net) }));
+    },
+  },
+  'revenue-by-country': {
+    columns: ['country', 'currency', 'orders', 'gross', 'refunded', 'net'],
+    run: async ({ from, to }) => {
+      const { rows } = await dbQuery(`
+        SELECT COALESCE(upper(country), '-') AS country, upper(currency) AS currency, count(*)::int AS orders,
+               round(sum(total), 2) AS gross, round(sum(COALESCE(amount_refunded, 0)), 2) AS refunded, round(sum(total - COALESCE(amount_refunded, 0)), 2) AS net
+        FROM orders WHERE status = ANY($4) AND created_at >= ${RANGE_START} AND created_at < ${RANGE_END}
+        GROUP BY 1, 2 ORDER BY net DESC
+      `, [from, to, REPORT_TIMEZONE, PAID_ORDER_STATUSES]);
+      return rows.map(r => ({ ...r, gross: toAmount(r.gross), refunded: toAmount(r.refunded), net: toAmount(r.net) }));
+    },
+  },
+  // Foto actual (no depende de las fechas): suscripciones activas y MRR por tramo de gramos
+  'mrr': {
+    columns: ['grams', 'price', 'subscribers', 'mrr'],
+    run: async () => {
+      const { rows } = await dbQuery(`
+        SELECT NULLIF(meta->>'subscription_grams', '')::int AS grams, count(*)::int AS subscribers
+        FROM subscribers WHERE status = ANY($1) GROUP BY 1
+      `, [ACTIVE_SUB_STATUSES]);
+      const count = new Map(rows.map(r => [r.grams, r.subscribers]));
+      const tiers = ALLOWED_SUB_GRAMS.map(grams => {
+        const subscribers = count.get(grams) || 0;
+        return { grams, price: SUB_PRICE_TABLE[grams] / 100, subscribers, mrr: subscribers * SUB_PRICE_TABLE[grams] / 100 };
+      });
+      // Suscripciones sin tramo conocido (metadata antigua o gramos fuera de la tabla): cuentan como activas sin MRR
+      const unknown = rows.filter(r => !SUB_PRICE_TABLE[r.grams]).reduce((n, r) => n + r.subscribers, 0);
+      return unknown ? [...tiers, { grams: null, price: null, subscribers: unknown, mrr: 0 }] : tiers;
+    },
+  },
+  // Altas (created_at), bajas (canceled_at), activas al empezar cada periodo y churn = bajas / activas al empezar
+  'subscriptions': {
+    columns: ['period', 'new', 'canceled', 'active_start', 'churn_rate'],
+    run: async ({ from, to, group }) => {
+      const { rows } = await dbQuery(`
+        WITH periods AS (
+          SELECT p AS start, p + ('1 ' || $4)::interval AS next
+          FROM generate_series(date_trunc($4, $1::date::timestamp), date_trunc($4, $2::date::timestamp), ('1 ' || $4)::interval) p
+        )
+        SELECT to_char(b.start, $5) AS period,
+          (SELECT count(*) FROM subscribers s WHERE s.created_at >= b.start AT TIME ZONE $3 AND s.created_at < b.next AT TIME ZONE $3)::int AS new,
+          (SELECT count(*) FROM subscribers s WHERE s.canceled_at >= b.start AT TIME ZONE $3 AND s.canceled_at < b.next AT TIME ZONE $3)::int AS canceled,
+          (SELECT count(*) FROM subscribers s WHERE s.created_at < b.start AT TIME ZONE $3 AND (s.canceled_at IS NULL OR s.canceled_at >= b.start AT TIME ZONE $3))::int AS active_start
+        FROM periods b ORDER BY b.start
+      `, [from, to, REPORT_TIMEZONE, group, REPORT_GROUPS[group]]);
+      return rows.map(r => ({ ...r, churn_rate: churnRate(r.canceled, r.active_start) }));
+    },
+  },
+  // ?limit= (por defecto 20). No cuenta la línea de envío de las suscripciones.
+  'top-products': {
+    columns: ['product_id', 'description', 'currency', 'units', 'orders', 'revenue'],
+    run: async ({ from, to }, q = {}) => {
+      const limit = Math.min(Math.max(parseInt(q.limit) || 20, 1), 100);
+      const { rows } = await dbQuery(`
+        SELECT i.product_id, COALESCE(max(cp.name), max(i.description)) AS description, upper(i.currency) AS currency,
+               sum(i.quantity)::int AS units, count(DISTINCT i.session_id)::int AS orders, round(sum(i.amount_total_cents) / 100.0, 2) AS revenue
+        FROM order_items i
+        JOIN orders o ON o.session_id = i.session_id
+        LEFT JOIN catalog_products cp ON cp.id = i.product_id
+        WHERE o.status = ANY($4) AND o.created_at >= ${RANGE_START} AND o.created_at < ${RANGE_END}
+          AND COALESCE(cp.metadata->>'kind', '') <> 'shipping'
+        GROUP BY i.product_id, COALESCE(i.product_id, i.description), upper(i.currency)
+        ORDER BY revenue DESC LIMIT ${limit}
+      `, [from, to, REPORT_TIMEZONE, PAID_ORDER_STATUSES]);
+      return rows.map(r => ({ ...r, revenue: toAmount(r.revenue) }));
+    },
+  },
+};
+
+// Las mismas cifras resumidas para un rango (resumen por email y GET /admin/reports/summary)
+const reportSummary = async ({ from, to }) => {
+  const range = { from, to, group: 'day' };
+  const [byCountry, tiers, products, subs] = await Promise.all([
+    REPORTS['revenue-by-country'].run(range),
+    REPORTS.mrr.run(range),
+    REPORTS['top-products'].run(range, { limit: 5 }),
+    dbQuery(`
+      SELECT count(*) FILTER (WHERE created_at >= ${RANGE_START} AND created_at < ${RANGE_END})::int AS new,
+             count(*) FILTER (WHERE canceled_at >= ${RANGE_START} AND canceled_at < ${RANGE_END})::int AS canceled,
+             count(*) FILTER (WHERE created_at < ${RANGE_START} AND (canceled_at IS NULL OR canceled_at >= ${RANGE_START}))::int AS active_start
+      FROM subscribers
+    `, [from, to, REPORT_TIMEZONE]),
+  ]);
+  const revenue = new Map();
+  for (const r of byCountry) {
+    const acc = revenue.get(r.currency) || { currency: r.currency, orders: 0, gross: 0, refunded: 0, net: 0 };
+    for (const k of ['orders', 'gross', 'refunded', 'net']) acc[k] = Math.round((acc[k] + r[k]) * 100) / 100;
+    revenue.set(r.currency, acc);
+  }
+  const { new: created, canceled, active_start } = subs.rows[0];
+  return {
+    from, to,
+    revenue: [...revenue.values()],
+    subscriptions: {
+      active: tiers.reduce((n, r) => n + r.subscribers, 0),
+      mrr: Math.round(tiers.reduce((n, r) => n + r.mrr, 0) * 100) / 100,
+      new: created, canceled, active_start, churn_rate: churnRate(canceled, active_start),
+    },
+    tiers,
+    countries: byCountry.slice(0, 5),
+    products,
+  };
+};
+
+// Periodo que cubre el resumen que toca enviar hoy: el día anterior o la semana anterior (lunes a domingo)
+const digestRange = (kind, today = localDay()) => {
+  if (kind === 'daily') return { from: addDays(today, -1), to: addDays(today, -1) };
+  const monday = addDays(today, -((new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7));
+  return { from: addDays(monday, -7), to: addDays(monday, -1) };
+};
+
+const sendReportDigest = async (kind, range = digestRange(kind)) => {
+  const summary = await reportSummary(range);
+  await sendTemplate('adminDigest', { to: CORPORATE_EMAIL, locale: 'es', kind, summary });
+  return summary;
+};
+
+// Tarea periódica: envía el resumen una vez por periodo a partir de REPORT_DIGEST_HOUR (report_digests evita duplicados entre instancias)
+async function maybeSendReportDigest() {
+  if (!pool || REPORT_DIGEST === 'off' || !CORPORATE_EMAIL) return;
+  const today = localDay();
+  const range = digestRange(REPORT_DIGEST, today);
+  const sendDay = addDays(range.to, 1);
+  const hour = Number(new Intl.DateTimeFormat('en-GB', { timeZone: REPORT_TIMEZONE, hour: 'numeric', hourCycle: 'h23' }).format(new Date()));
+  if (today === sendDay && hour < REPORT_DIGEST_HOUR) return;
+  const period = `${REPORT_DIGEST}:${range.from}`;
+  const { rowCount } = await dbQuery(`INSERT INTO report_digests(period) VALUES ($1) ON CONFLICT DO NOTHING`, [period]);
+  if (!rowCount) return;
+  try {
+    await sendReportDigest(REPORT_DIGEST, range);
+    console.log(`[reports] Resumen ${period} enviado`);
+  } catch (e) {
+    await dbQuery(`DELETE FROM report_digests WHERE period = $1`, [period]).catch(() => {});
+    throw e;
+  }
+}
+
+adminRouter.get('/reports', (req, res) => res.json({ data: Object.keys(REPORTS), digest: REPORT_DIGEST, timezone: REPORT_TIMEZONE }));
+
+// GET /admin/reports/summary?from=&to=
+adminRouter.get('/reports/summary', async (req, res) => {
+  const range = parseReportRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+  try {
+    res.json(await reportSummary(range));
+  } catch (e) {
+    console.error('[ERROR] Report summary:', e);
+    res.status(500).json({ error: 'Error generando resumen' });
+  }
+});
+
+// POST /admin/reports/digest { kind?: daily|weekly, from?, to? } — envía el resumen ahora (sin tocar report_digests)
+adminRouter.post('/reports/digest', async (req, res) => {
+  const kind = req.body?.kind || (REPORT_DIGEST === 'off' ? 'daily' : REPORT_DIGEST);
+  if (!['daily', 'weekly'].includes(kind)) return res.status(400).json({ error: 'kind debe ser daily o weekly' });
+  if (!CORPORATE_EMAIL) return res.status(400).json({ error: 'CORPORATE_EMAIL no configurado' });
+  const range = req.body?.from || req.body?.to ? parseReportRange({ from: req.body.from, to: req.body.to }) : digestRange(kind);
+  if (range.error) return res.status(400).json({ error: range.error });
+  try {
+    const summary = await sendReportDigest(kind, { from: range.from, to: range.to });
+    res.json({ ok: true, to: CORPORATE_EMAIL, summary });
+  } catch (e) {
+    console.error('[ERROR] Report digest:', e);
+    res.status(500).json({ error: 'Error enviando resumen' });
+  }
+});
+
+// GET /admin/reports/:name?from=&to=&group= (JSON) y /admin/reports/:name.csv (exportación)
+const runReport = (format) => async (req, res) => {
+  const report = REPORTS[req.params.name];
+  if (!report) return res.status(404).json({ error: 'Informe no encontrado' });
+  const range = parseReportRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+  try {
+    const rows = await report.run(range, req.query);
+    if (format === 'csv') {
+      const suffix = req.params.name === 'mrr' ? localDay() : `${range.from}_${range.to}`;
+      return res.type('text/csv').set('Content-Disposition', `attachment; filename="${req.params.name}-${suffix}.csv"`)
+        .send(toCSV(report.columns, rows.map(r => report.columns.map(c => r[c]))));
+    }
+    res.json({ data: rows, ...range });
+  } catch (e) {
+    console.error(`[ERROR] Report ${req.params.name}:`, e);
+    res.status(500).json({ error: 'Error generando informe' });
+  }
+};
+adminRouter.get('/reports/:name.csv', runReport('csv'));
+adminRouter.get('/reports/:name', runReport('json'));
+
+// ===== Privacidad (RGPD) =====
+// GET /admin/privacy/export?email=&format=json|zip
+adminRouter.get('/privacy/export', async (req, res) => {
+  const email = normalizeEmail(req.query.email);
+  if (!isValidEmail(email)) return res.status(400).json({ error: 'Email requerido' });
+  const format = req.query.format === 'zip' ? 'zip' : 'json';
+  try {
+    const data = await collectPersonalData(email);
+    await auditPrivacy({ action: 'export', channel: 'admin', email, actor: req.query.actor || null, ip: req.ip, details: { format } });
+    await sendPersonalData(res, data, format);
+  } catch (e) {
+    console.error('[ERROR] Admin privacy export:', e);
+    res.status(500).json({ error: 'Error exportando datos' });
+  }
+});
 
-  const seen = async (id) => {
-    if (!pool) return true;
-    const r = await dbQuery(`INSERT INTO processed_events(event_id) VALUES($1) ON CONFLICT DO NOTHING RETURNING event_id`, [id]);
-    return r.rowCount === 1;
-  };
-  if (!(await seen(event.id))) return res.json({ received: true, dedup: true });
-
-  try {
-    if (event.type === 'checkout.session.completed') {
-       const session = event.data.object;
-       const isSub = session.mode === 'subscription';
-       const person = preferShippingThenBilling(session);
-       const currency = (session.currency || 'eur').toUpperCase();
-       const amountTotal = (session.amount_total ?? 0) / 100;
-       let items = []; 
-       try { items = (await stripe.checkout.sessions.listLineItems(session.id, { limit: 100, expand: ['data.price.product'] })).data; } catch {}
-       
-       await logOrder({
-          sessionId: session.id,
-          email: person.email, name: person.name, phone: person.phone,
-          amountTotal, currency, items, metadata: session.metadata, shipping: session.shipping_details,
-          status: session.payment_status,
-          customer_details: { name: person.name, email: person.email, phone: person.phone, address: person.address },
-          address: person.address?.line1, city: person.address?.city, postal: person.address?.postal_code, country: person.address?.country
-       });
-       await logOrderItems(session.id, items, currency);
-
-       if (isSub && session.subscription) {
-          const sub = await stripe.subscriptions.retrieve(session.subscription);
-          const cust = session.customer ? await stripe.customers.retrieve(session.customer) : null;
-          await upsertSubscriber({
-            customer_id: sub.customer,
-            subscription_id: sub.id,
-            email: cust?.email || person.email,
-            name: cust?.name || person.name,
-            phone: cust?.phone || person.phone,
-            plan: sub.items?.data?.[0]?.price?.id,
-            status: sub.status,
-            meta: { ...sub.metadata },
-            address: person.address?.line1, city: person.address?.city, postal: person.address?.postal_code, country: person.address?.country
-          });
-       }
-
-       // 🟢 EMAILS ALTA (PEDIDO O SUSCRIPCIÓN)
-       // 1. Admin (Siempre avisamos)
-       await sendAdminEmail({ 
-           session, items, 
-           customerEmail: person.email, name: person.name, phone: person.phone, 
-           amountTotal, currency, 
-           customer_details: session.customer_details, 
-           shipping: session.shipping_details, 
-           isSubscription: isSub 
-       });
+// POST /admin/privacy/erase { email, reason?, actor?, delete_stripe_customers? }
+// 409 si hay suscripciones activas, regalos en curso o envíos pendientes (hay que cerrarlos antes)
+adminRouter.post('/privacy/erase', async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  if (!isValidEmail(email)) return res.status(400).json({ error: 'Email requerido' });
+  const { reason = null, actor = null, delete_stripe_customers: deleteStripe = false } = req.body;
+  try {
+    const blockers = await erasureBlockers(email);
+    if (blockers.length) return res.status(409).json({ error: 'No se puede suprimir todavía', blockers });
+    const { counts, customerIds } = await erasePersonalData(email);
+    const stripeCustomers = [];
+    if (deleteStripe) {
+      for (const id of customerIds) {
+        try { await stripe.customers.del(id); stripeCustomers.push({ id, deleted: true }); }
+        catch (e) { stripeCustomers.push({ id, deleted: false, error: e.message }); }
+      }
+    }
+    const details = { counts, reason, stripe_customers: stripeCustomers };
+    await auditPrivacy({ action: 'erasure', channel: 'admin', email, actor, ip: req.ip, details });
+    res.json({ ok: true, ...details });
+  } catch (e) {
+    console.error('[ERROR] Privacy erase:', e);
+    res.status(500).json({ error: 'Error suprimiendo datos' });
+  }
+});
 
-       // 2. Cliente
-       if (isSub) {
-         // SUSCRIPCIÓN: Email de "Bienvenida y cobro diferido"
-         const firstItem = items[0];
-         const recurringPrice = firstItem?.price?.unit_amount || 0;
-         await sendCustomerSubscriptionWelcome({
-             to: person.email,
-             name: person.name,
-             grams: session.metadata?.subscription_grams || '500',
-             price: recurringPrice / 100,
-             currency
-         });
-       } else {
-         // PEDIDO NORMAL: Confirmación estándar
-         if (COMBINE_CONFIRMATION_AND_INVOICE) {
-            await sendCustomerCombined({ to: person.email, name: person.name, invoiceNumber: session.id, total: amountTotal, currency, items, customer: person, isSubscription: false });
-         } else {
-            await sendCustomerConfirmationOnly({ to: person.email, name: person.name, amountTotal, currency, items, orderId: session.id, isSubscription: false });
-         }
-       }
-
-    } else if (event.type === 'customer.subscription.created') {
-       const sub = event.data.object;
-       const cust = await stripe.customers.retrieve(sub.customer);
-       await upsertSubscriber({
-         customer_id: sub.customer, subscription_id: sub.id,
-         email: cust.email, name: cust.name, phone: cust.phone,
-         plan: sub.items?.data?.[0]?.price?.id, status: sub.status,
-         meta: sub.metadata, address: cust.address?.line1, city: cust.address?.city, postal: cust.address?.postal_code, country: cust.address?.country
-       });
-    } else if (event.type === 'invoice.payment_succeeded') {
-       const inv = event.data.object;
-       const isSubscription = !!inv.subscription;
-       const billingReason = inv.billing_reason; 
-       const isRenewal = isSubscription && billingReason === 'subscription_cycle';
+// GET /admin/privacy/audit?email=&action=
+adminRouter.get('/privacy/audit', async (req, res) => {
+  try {
+    const { email, action } = req.query;
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['email_hash = $?', email ? emailHash(email) : null],
+      ['action = $?', action],
+    ]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT id, action, channel, email_masked, actor, ip, request_id, details, created_at FROM privacy_audit ${where} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM privacy_audit ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin privacy audit:', e);
+    res.status(500).json({ error: 'Error listando auditoría' });
+  }
+});
 
-       const cust = extractInvoiceCustomer(inv);
+adminRouter.post('/privacy/retention/run', async (req, res) => {
+  if (!RAW_PAYLOAD_RETENTION_DAYS) return res.status(400).json({ error: 'RAW_PAYLOAD_RETENTION_DAYS=0: retención desactivada' });
+  try {
+    res.json({ ok: true, days: RAW_PAYLOAD_RETENTION_DAYS, ...(await pruneRawPayloads()) });
+  } catch (e) {
+    console.error('[ERROR] Privacy retention:', e);
+    res.status(500).json({ error: 'Error aplicando retención' });
+  }
+});
 
-       // Solo actuamos si es una RENOVACIÓN (el alta ya la cubre checkout.session)
-       if (isRenewal) {
-           await sendAdminRenewalEmail({ 
-               customer: cust, 
-               total: inv.amount_paid / 100, 
-               currency: (inv.currency || 'eur').toUpperCase(), 
-               subscriptionId: inv.subscription, 
-               invoiceId: inv.number || inv.id 
-           });
-
-           if (COMBINE_CONFIRMATION_AND_INVOICE) {
-              let items = [];
-              try { items = (await stripe.invoices.listLineItems(inv.id)).data; } catch {}
-              
-              await sendCustomerCombined({ 
-                 to: cust.email, 
-                 name: cust.name, 
-                 invoiceNumber: inv.number, 
-                 total: inv.amount_paid/100, 
-                 currency: inv.currency.toUpperCase(), 
-                 items, 
-                 customer: cust, 
-                 pdfUrl: inv.invoice_pdf, 
-                 isSubscription: true, 
-                 isRenewal: true, 
-                 customerId: inv.customer 
-              });
-           }
-       }
-    } else if (event.type === 'customer.subscription.deleted') {
-       const sub = event.data.object;
-       await markCanceled(sub.id);
-       const cust = await stripe.customers.retrieve(sub.customer);
-       await sendCancelEmails({ customerEmail: cust.email, name: cust.name, subId: sub.id });
-    } else if (event.type === 'customer.updated') {
-       const cust = event.data.object;
-       if (await subscriberExists(cust.id)) {
-          const summary = summarizeCustomerChanges(event.data.previous_attributes, cust);
-          await sendCustomerUpdatedEmails({ cust, summaryHtml: summary });
-       }
-    }
-  } catch (e) { console.error('Webhook Logic Error:', e); }
+// ===== Reconciliación =====
+adminRouter.get('/reconciliation/runs', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([['status = $?', status]]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT id, trigger, status, since, checked, jsonb_array_length(COALESCE(fixed, '[]')) AS fixed, jsonb_array_length(COALESCE(errors, '[]')) AS errors, pruned_events, started_at, finished_at FROM reconciliation_runs ${where} ORDER BY started_at DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM reconciliation_runs ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin reconciliation runs:', e);
+    res.status(500).json({ error: 'Error listando reconciliaciones' });
+  }
+});
 
-  res.json({ received: true });
+adminRouter.get('/reconciliation/runs/:id', async (req, res) => {
+  try {
+    const { rows } = await dbQuery(`SELECT * FROM reconciliation_runs WHERE id = $1`, [parseInt(req.params.id) || 0]);
+    if (!rows.length) return res.status(404).json({ error: 'Reconciliación no encontrada' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('[ERROR] Admin reconciliation run:', e);
+    res.status(500).json({ error: 'Error obteniendo reconciliación' });
+  }
 });
 
-// APLICAR PARSER JSON AHORA (Después del webhook, para que no interfiera)
-app.use(jsonParser);
+// POST /admin/reconciliation/run { hours? } — la lanza ya y devuelve el informe
+adminRouter.post('/reconciliation/run', async (req, res) => {
+  const hours = req.body?.hours === undefined ? RECONCILE_LOOKBACK_HOURS : parseInt(req.body.hours);
+  if (!(hours >= 1 && hours <= 720)) return res.status(400).json({ error: 'hours debe estar entre 1 y 720' });
+  try {
+    const report = await reconcileStripe({ trigger: 'manual', lookbackHours: hours });
+    if (!report) return res.status(409).json({ error: 'Ya hay una reconciliación en curso' });
+    res.json(report);
+  } catch (e) {
+    console.error('[ERROR] Reconciliation run:', e);
+    res.status(500).json({ error: 'Error ejecutando reconciliación' });
+  }
+});
 
-// ===== RUTAS PÚBLICAS =====
-app.get('/api/config', (req, res) => {
-  res.json({
-    subscriptionTable: SUB_PRICE_TABLE, 
-    allowedGrams: ALLOWED_SUB_GRAMS,
-  });
+// ===== Emails (outbox) =====
+// GET /admin/emails?status=dead|pending|sent|skipped&page=&limit=
+adminRouter.get('/emails', async (req, res) => {
+  try {
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([['status = $?', req.query.status || 'dead']]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT id, to_addr, subject, status, attempts, last_error, next_attempt_at, created_at, sent_at FROM email_outbox ${where} ORDER BY id DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM email_outbox ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin emails:', e);
+    res.status(500).json({ error: 'Error listando emails' });
+  }
 });
 
-app.post('/prices/resolve', async (req, res) => {
-  const { ids } = req.body;
-  if (!Array.isArray(ids)) return res.status(400).json({ error: 'Ids required' });
+adminRouter.get('/emails/:id', async (req, res) => {
   try {
-    const results = await Promise.allSettled(ids.map(id => stripe.prices.retrieve(id, { expand: ['product'] })));
-    const prices = {};
-    results.forEach(r => { if(r.status === 'fulfilled') prices[r.value.id] = { id: r.value.id, unit_amount: r.value.unit_amount, currency: r.value.currency }; });
-    res.json({ prices });
-  } catch { res.status(500).json({ error: 'Error resolving prices' }); }
+    const { rows } = await dbQuery(`SELECT id, to_addr, bcc, reply_to, from_addr, headers, subject, html, text_body, status, attempts, last_error, next_attempt_at, created_at, sent_at, (SELECT jsonb_agg(a->'filename') FROM jsonb_array_elements(attachments) a) AS attachments FROM email_outbox WHERE id = $1`, [parseInt(req.params.id) || 0]);
+    if (!rows.length) return res.status(404).json({ error: 'Email no encontrado' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('[ERROR] Admin email detail:', e);
+    res.status(500).json({ error: 'Error obteniendo email' });
+  }
 });
 
-app.post('/api/recover-subscription', contactLimiter, async (req, res) => {
-  const { email } = req.body;
-  if (!email) return res.status(400).json({ error: 'Email requerido' });
+// Vuelve a poner en cola un email (normalmente uno "dead") reiniciando los intentos
+adminRouter.post('/emails/:id/resend', async (req, res) => {
+  try {
+    const { rows } = await dbQuery(
+      `UPDATE email_outbox SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = NOW(), locked_at = NULL WHERE id = $1 AND status <> 'sending' RETURNING id, status`,
+      [parseInt(req.params.id) || 0]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Email no encontrado o en envío' });
+    kickOutbox();
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('[ERROR] Admin email resend:', e);
+    res.status(500).json({ error: 'Error reenviando email' });
+  }
+});
 
+// ===== Stock =====
+adminRouter.get('/stock', async (req, res) => {
   try {
-    const customers = await stripe.customers.list({ email, limit: 5, expand: ['data.subscriptions'] });
+    const [{ rows }, demand] = await Promise.all([
+      dbQuery(`SELECT sku, name, unit, on_hand, reserved, (on_hand - reserved)::int AS available, updated_at FROM stock_levels ORDER BY sku`),
+      subscriptionDemandGrams(),
+    ]);
+    const data = rows.map(r => r.sku === SUB_POOL_SKU ? { ...r, committed: demand, available: r.available - demand } : r);
+    res.json({ data });
+  } catch (e) {
+    console.error('[ERROR] Admin stock:', e);
+    res.status(500).json({ error: 'Error listando stock' });
+  }
+});
 
-    if (!customers.data.length) {
-      await new Promise(r => setTimeout(r, 1000));
-      return res.json({ ok: true });
-    }
+// Demanda del próximo cobro (día 1) por tramo de gramos frente a la bolsa de suscripción
+adminRouter.get('/stock/subscription-demand', async (req, res) => {
+  try {
+    const [{ rows }, gifts, poolLevel] = await Promise.all([
+      dbQuery(`SELECT NULLIF(meta->>'subscription_grams', '')::int AS grams, count(*)::int AS subscribers FROM subscribers WHERE status IN ('active', 'trialing', 'past_due') GROUP BY 1 ORDER BY 1`),
+      dbQuery(`SELECT count(*)::int AS gifts, COALESCE(SUM(grams), 0)::int AS grams FROM gift_subscriptions WHERE status = 'active'`),
+      dbQuery(`SELECT on_hand, reserved FROM stock_levels WHERE sku = $1`, [SUB_POOL_SKU]),
+    ]);
+    const tiers = rows.map(r => ({ ...r, total_grams: (r.grams || 0) * r.subscribers }));
+    const totalGrams = tiers.reduce((acc, t) => acc + t.total_grams, 0) + gifts.rows[0].grams;
+    const lvl = poolLevel.rows[0];
+    res.json({
+      tiers, gifts: gifts.rows[0], total_grams: totalGrams,
+      pool: lvl ? { on_hand: lvl.on_hand, reserved: lvl.reserved, shortfall: Math.max(totalGrams + lvl.reserved - lvl.on_hand, 0) } : null,
+    });
+  } catch (e) {
+    console.error('[ERROR] Subscription demand:', e);
+    res.status(500).json({ error: 'Error calculando demanda' });
+  }
+});
 
-    const linksData = await Promise.all(customers.data.map(async (c) => {
-       const hasActive = c.subscriptions?.data?.some(s => ['active', 'trialing', 'past_due'].includes(s.status));
-       if (!hasActive) return null;
+// PUT /admin/stock/:sku { on_hand, name?, unit? } — sku = product id de Stripe o "subscription_pool" (gramos/mes)
+adminRouter.put('/stock/:sku', async (req, res) => {
+  try {
+    const { on_hand, name, unit } = req.body || {};
+    const qty = parseInt(on_hand);
+    if (isNaN(qty) || qty < 0) return res.status(400).json({ error: 'Cantidad inválida' });
+    const sku = req.params.sku;
+    const { rows } = await dbQuery(`
+      INSERT INTO stock_levels(sku, name, unit, on_hand) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (sku) DO UPDATE SET on_hand = EXCLUDED.on_hand,
+        name = COALESCE($2, stock_levels.name), unit = COALESCE($5, stock_levels.unit), updated_at = NOW()
+      RETURNING *
+    `, [sku, name || null, unit || (sku === SUB_POOL_SKU ? 'g' : 'unit'), qty, unit || null]);
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('[ERROR] Admin stock update:', e);
+    res.status(500).json({ error: 'Error actualizando stock' });
+  }
+});
 
-       try {
-         const session = await stripe.billingPortal.sessions.create({ customer: c.id, return_url: PORTAL_RETURN_URL });
-         const addr = c.shipping?.address || c.address;
-         const label = addr ? `${addr.line1} (${addr.city || ''})` : 'Sin dirección';
-         
-         const sub = c.subscriptions.data.find(s => ['active', 'trialing', 'past_due'].includes(s.status));
-         const price = sub ? (sub.plan.amount/100) + '€' : '';
+// ===== Facturas =====
+// GET /admin/invoices?year=&kind=&email=&q=&page=&limit=
+adminRouter.get('/invoices', async (req, res) => {
+  try {
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['year = $?', req.query.year ? parseInt(req.query.year) : null],
+      ['kind = $?', req.query.kind],
+      ['lower(buyer_email) = lower($?)', req.query.email],
+      ['(number ILIKE $? OR buyer_name ILIKE $? OR buyer_tax_id ILIKE $?)', req.query.q ? `%${req.query.q}%` : null],
+    ]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT id, number, kind, source, ref_id, buyer_name, buyer_email, buyer_tax_id, country, currency, base_cents, tax_cents, total_cents, oss, issued_at FROM invoices ${where} ORDER BY series, year DESC, seq DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM invoices ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin invoices:', e);
+    res.status(500).json({ error: 'Error listando facturas' });
+  }
+});
 
-         return { url: session.url, label: `Suscripción activa ${price ? `(${price})` : ''} — ${label}` };
-       } catch { return null; }
-    }));
+adminRouter.get('/invoices/:number', async (req, res) => {
+  try {
+    const inv = await getInvoiceByNumber(req.params.number);
+    if (!inv) return res.status(404).json({ error: 'Factura no encontrada' });
+    res.json(inv);
+  } catch (e) {
+    console.error('[ERROR] Admin invoice detail:', e);
+    res.status(500).json({ error: 'Error obteniendo factura' });
+  }
+});
 
-    const validLinks = linksData.filter(Boolean);
+adminRouter.get('/invoices/:number/pdf', async (req, res) => {
+  try {
+    const inv = await getInvoiceByNumber(req.params.number);
+    if (!inv) return res.status(404).json({ error: 'Factura no encontrada' });
+    const pdf = await buildInvoicePDF(inv);
+    res.type('application/pdf').set('Content-Disposition', `inline; filename="factura-${inv.number}.pdf"`).send(pdf);
+  } catch (e) {
+    console.error('[ERROR] Admin invoice PDF:', e);
+    res.status(500).json({ error: 'Error generando PDF' });
+  }
+});
 
-    if (validLinks.length) {
-      const btns = validLinks.map(l => `
-        <div style="margin:16px 0; background:#f9fafb; padding:12px; border-radius:8px; border:1px solid #e5e7eb;">
-          <p style="margin:0 0 8px; font-weight:bold; color:#333;">${escapeHtml(l.label)}</p>
-          <a href="${l.url}" style="display:inline-block; background:${BRAND_PRIMARY}; color:#fff; padding:10px 16px; text-decoration:none; border-radius:6px; font-weight:bold;">Gestionar</a>
-        </div>`).join('');
-      
-      const html = emailShell({ 
-        header: 'Tus suscripciones', 
-        body: `<tr><td style="padding:0 24px 12px;">
-          <p style="margin:0 0 16px;">Aquí tienes el acceso a tus suscripciones <b>activas</b>:</p>
-          ${btns}
-        </td></tr>`, 
-        footer: '' 
-      });
-      
-      await sendEmail({ to: email, subject: 'Gestión de suscripciones', html });
-    }
-    res.json({ ok: true });
+// ===== Regalos =====
+adminRouter.get('/gifts', async (req, res) => {
+  try {
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['status = $?', req.query.status],
+      ['(buyer_email ILIKE $? OR recipient_email ILIKE $? OR recipient_name ILIKE $?)', req.query.q ? `%${req.query.q}%` : null],
+    ]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT g.*, (SELECT count(*)::int FROM shipments s WHERE s.source = 'gift' AND s.ref_id = g.id::text) AS boxes_sent FROM gift_subscriptions g ${where} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM gift_subscriptions ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin gifts:', e);
+    res.status(500).json({ error: 'Error listando regalos' });
+  }
+});
 
-  } catch (e) { 
-    console.error(e); 
-    res.status(500).json({ error: 'Error' }); 
+// ===== Marketing =====
+// GET /admin/marketing/contacts?consent=true|false&country=&q=
+adminRouter.get('/marketing/contacts', async (req, res) => {
+  try {
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['consent = $?', ['true', 'false'].includes(req.query.consent) ? req.query.consent === 'true' : null],
+      ['country = $?', req.query.country ? String(req.query.country).toUpperCase() : null],
+      ['(email ILIKE $? OR name ILIKE $?)', req.query.q ? `%${req.query.q}%` : null],
+    ]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT * FROM marketing_contacts ${where} ORDER BY updated_at DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM marketing_contacts ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin marketing contacts:', e);
+    res.status(500).json({ error: 'Error listando contactos' });
   }
 });
 
-app.post('/api/contact', contactLimiter, (req, res) => {
-  const { email, subject, message } = req.body;
-  if (!email || !message) return res.status(400).json({ error: 'Faltan datos' });
-  res.json({ ok: true });
-  sendContactEmails(req.body);
+// PUT /admin/marketing/contacts/:email { consent, name?, locale?, country? } — p. ej. una baja pedida por teléfono
+adminRouter.put('/marketing/contacts/:email', async (req, res) => {
+  const email = normalizeEmail(req.params.email);
+  if (!isValidEmail(email)) return res.status(400).json({ error: 'Email no válido' });
+  const { consent, name = null, locale = null, country = null } = req.body || {};
+  if (typeof consent !== 'boolean') return res.status(400).json({ error: 'consent debe ser true o false' });
+  if (locale && !SUPPORTED_LOCALES.includes(locale)) return res.status(400).json({ error: `locale: ${SUPPORTED_LOCALES.join(', ')}` });
+  if (country && !/^[A-Z]{2}$/.test(country)) return res.status(400).json({ error: 'country: código ISO de 2 letras' });
+  try {
+    const contact = await setMarketingConsent({ email, consent, source: 'admin', name, locale, country, ip: req.ip });
+    const { rows: events } = await dbQuery(`SELECT consent, source, campaign_id, created_at FROM marketing_consent_events WHERE email = $1 ORDER BY created_at DESC LIMIT 20`, [email]);
+    res.json({ ...contact, events });
+  } catch (e) {
+    console.error('[ERROR] Admin marketing contact:', e);
+    res.status(500).json({ error: 'Error actualizando el contacto' });
+  }
 });
 
-// 🛡️ CHECKOUT SEGURO (Validación de entrada)
-app.post('/create-checkout-session', async (req, res) => {
+// POST /admin/marketing/audience { segment } — cuántos recibirían una campaña con ese segmento
+adminRouter.post('/marketing/audience', async (req, res) => {
+  const { segment, error } = parseSegment(req.body?.segment);
+  if (error) return res.status(400).json({ error });
   try {
-    const { items, success_url, cancel_url, metadata } = req.body;
+    const { where, params } = segmentWhere(segment);
+    const [{ rows: [count] }, { rows: countries }] = await Promise.all([
+      dbQuery(`SELECT count(*)::int AS total FROM marketing_contacts c ${where}`, params),
+      dbQuery(`SELECT COALESCE(c.country, '') AS country, count(*)::int AS contacts FROM marketing_contacts c ${where} GROUP BY 1 ORDER BY 2 DESC`, params),
+    ]);
+    res.json({ segment, total: count.total, countries });
+  } catch (e) {
+    console.error('[ERROR] Admin marketing audience:', e);
+    res.status(500).json({ error: 'Error calculando la audiencia' });
+  }
+});
 
-    if (!items || !Array.isArray(items) || items.length === 0) return res.status(400).json({ error: 'Carrito inválido.' });
-    if (!success_url || !cancel_url) return res.status(400).json({ error: 'URLs de retorno requeridas.' });
+// Campos de una campaña desde el body. partial: solo los que vengan (PATCH) → { fields } o { error }
+const parseCampaignInput = (body = {}, partial = false) => {
+  const fields = {};
+  for (const key of ['name', 'subject', 'header']) {
+    if (body[key] === undefined) continue;
+    const v = body[key] === null ? '' : String(body[key]).trim();
+    if (v.length > CAMPAIGN_LIMITS[key]) return { error: `${key}: máximo ${CAMPAIGN_LIMITS[key]} caracteres` };
+    fields[key] = v || null;
+  }
+  if (body.html !== undefined) fields.html = String(body.html || '').trim() || null;
+  if (body.locale !== undefined) {
+    if (!SUPPORTED_LOCALES.includes(body.locale)) return { error: `locale: ${SUPPORTED_LOCALES.join(', ')}` };
+    fields.locale = body.locale;
+  }
+  if (body.segment !== undefined) {
+    const { segment, error } = parseSegment(body.segment);
+    if (error) return { error };
+    fields.segment = JSON.stringify(segment);
+  }
+  for (const key of ['name', 'subject', 'html']) {
+    if ((!partial || key in fields) && !fields[key]) return { error: `Falta ${key}` };
+  }
+  return { fields };
+};
 
-    const line_items = [];
-    for (const it of items) {
-       if (!it.price || !it.quantity) return res.status(400).json({ error: 'Item incompleto.' });
-       const q = parseInt(it.quantity);
-       if (isNaN(q) || q <= 0) return res.status(400).json({ error: 'Cantidad inválida.' });
+const CAMPAIGN_STATS_SQL = `
+  SELECT count(*)::int AS recipients,
+         count(*) FILTER (WHERE status = 'pending')::int AS pending,
+         count(*) FILTER (WHERE status = 'queued')::int AS queued,
+         count(*) FILTER (WHERE status = 'unsubscribed')::int AS skipped_unsubscribed,
+         (SELECT count(*) FROM marketing_consent_events e WHERE e.campaign_id = $1 AND NOT e.consent)::int AS unsubscribed_from_campaign
+  FROM campaign_recipients WHERE campaign_id = $1`;
 
-       // Opcional: Validar existencia del precio si es crítico
-       // await stripe.prices.retrieve(it.price);
-       line_items.push({ price: it.price, quantity: q });
-    }
+adminRouter.get('/campaigns', async (req, res) => {
+  try {
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([['status = $?', req.query.status]]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT id, name, subject, locale, segment, status, recipients, scheduled_at, started_at, finished_at, created_at FROM campaigns ${where} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM campaigns ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin campaigns:', e);
+    res.status(500).json({ error: 'Error listando campañas' });
+  }
+});
+
+// POST /admin/campaigns { name, subject, header?, html, locale?, segment? } → borrador
+adminRouter.post('/campaigns', async (req, res) => {
+  const { fields, error } = parseCampaignInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { rows } = await dbQuery(
+      `INSERT INTO campaigns(name, subject, header, html, locale, segment) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+      [fields.name, fields.subject, fields.header || null, fields.html, fields.locale || DEFAULT_LOCALE, fields.segment || JSON.stringify({ audience: 'all' })]
+    );
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    console.error('[ERROR] Admin campaign create:', e);
+    res.status(500).json({ error: 'Error creando la campaña' });
+  }
+});
+
+const loadCampaign = async (req, res, next) => {
+  try {
+    const { rows } = await dbQuery(`SELECT * FROM campaigns WHERE id = $1`, [Number(req.params.id) || 0]);
+    if (!rows[0]) return res.status(404).json({ error: 'Campaña no encontrada' });
+    req.campaign = rows[0];
+    next();
+  } catch (e) {
+    console.error('[ERROR] Admin campaign:', e);
+    res.status(500).json({ error: 'Error obteniendo la campaña' });
+  }
+};
+
+adminRouter.get('/campaigns/:id', loadCampaign, async (req, res) => {
+  try {
+    const { rows: [stats] } = await dbQuery(CAMPAIGN_STATS_SQL, [req.campaign.id]);
+    res.json({ ...req.campaign, stats });
+  } catch (e) {
+    console.error('[ERROR] Admin campaign stats:', e);
+    res.status(500).json({ error: 'Error obteniendo la campaña' });
+  }
+});
+
+// PATCH /admin/campaigns/:id — solo borradores
+adminRouter.patch('/campaigns/:id', loadCampaign, async (req, res) => {
+  if (req.campaign.status !== 'draft') return res.status(409).json({ error: 'Solo se pueden editar borradores' });
+  const { fields, error } = parseCampaignInput(req.body, true);
+  if (error) return res.status(400).json({ error });
+  const keys = Object.keys(fields);
+  if (!keys.length) return res.status(400).json({ error: 'Nada que actualizar' });
+  try {
+    const { rows } = await dbQuery(
+      `UPDATE campaigns SET ${keys.map((k, i) => `${k} = $${i + 2}`).join(', ')}, updated_at = NOW() WHERE id = $1 AND status = 'draft' RETURNING *`,
+      [req.campaign.id, ...keys.map(k => fields[k])]
+    );
+    if (!rows[0]) return res.status(409).json({ error: 'Solo se pueden editar borradores' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('[ERROR] Admin campaign update:', e);
+    res.status(500).json({ error: 'Error actualizando la campaña' });
+  }
+});
+
+// GET /admin/campaigns/:id/preview — HTML tal como lo recibirá un contacto
+adminRouter.get('/campaigns/:id/preview', loadCampaign, async (req, res) => {
+  try {
+    const email = await renderEmail('campaign', req.campaign.locale, { subject: req.campaign.subject, header: req.campaign.header, html: req.campaign.html, unsubscribeUrl: `${API_PUBLIC_BASE}/api/marketing/unsubscribe?token=preview` });
+    if (req.query.format === 'json') return res.json(email);
+    res.type('html').send(email.html);
+  } catch (e) {
+    console.error('[ERROR] Admin campaign preview:', e);
+    res.status(500).json({ error: 'Error generando la vista previa' });
+  }
+});
+
+// POST /admin/campaigns/:id/test { to } — prueba real (con enlace de baja de esa dirección)
+adminRouter.post('/campaigns/:id/test', loadCampaign, async (req, res) => {
+  const to = normalizeEmail(req.body?.to);
+  if (!isValidEmail(to)) return res.status(400).json({ error: 'Email de destino requerido' });
+  if (!LINK_SIGNING_SECRET) return res.status(503).json({ error: 'LINK_SIGNING_SECRET no configurado: no se pueden firmar los enlaces de baja' });
+  try {
+    const email = await renderCampaignEmail(req.campaign, to);
+    await sendEmail({ ...email, subject: `[PRUEBA] ${email.subject}` });
+    res.json({ ok: true, to });
+  } catch (e) {
+    console.error('[ERROR] Admin campaign test:', e);
+    res.status(500).json({ error: 'Error enviando la prueba' });
+  }
+});
 
-    const session = await stripe.checkout.sessions.create({
-      mode: 'payment', line_items, success_url, cancel_url,
-      allow_promotion_codes: true, billing_address_collection: 'required',
-      shipping_address_collection: { allowed_countries: ['ES', 'FR', 'PT', 'DE', 'IT', 'BE', 'NL'] },
-      metadata: { source: 'front', ...metadata }
+// POST /admin/campaigns/:id/send { scheduled_at? } — fija los destinatarios y la deja en cola para processCampaigns
+adminRouter.post('/campaigns/:id/send', loadCampaign, async (req, res) => {
+  if (req.campaign.status !== 'draft') return res.status(409).json({ error: 'La campaña ya se ha lanzado' });
+  if (!LINK_SIGNING_SECRET) return res.status(503).json({ error: 'LINK_SIGNING_SECRET no configurado: no se pueden firmar los enlaces de baja' });
+  const scheduledAt = req.body?.scheduled_at ? parseDate(req.body.scheduled_at) : new Date();
+  if (!scheduledAt) return res.status(400).json({ error: 'scheduled_at: fecha no válida' });
+  try {
+    const campaign = await withTransaction(async (client) => {
+      const { rows: [locked] } = await client.query(`SELECT * FROM campaigns WHERE id = $1 AND status = 'draft' FOR UPDATE`, [req.campaign.id]);
+      if (!locked) return null;
+      const { where, params } = segmentWhere(locked.segment || {});
+      const inserted = await client.query(`
+        INSERT INTO campaign_recipients(campaign_id, email, name)
+        SELECT $${params.length + 1}, c.email, c.name FROM marketing_contacts c ${where}
+        ON CONFLICT DO NOTHING
+      `, [...params, locked.id]);
+      const { rows } = await client.query(
+        `UPDATE campaigns SET status = 'sending', recipients = $2, scheduled_at = $3, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [locked.id, inserted.rowCount, scheduledAt]
+      );
+      return rows[0];
     });
-    res.json({ url: session.url, id: session.id });
-  } catch (e) { 
-    console.error('[ERROR] Checkout:', e);
-    res.status(500).json({ error: 'No se pudo iniciar el pago.' }); 
+    if (!campaign) return res.status(409).json({ error: 'La campaña ya se ha lanzado' });
+    res.json({ ...campaign, estimated_minutes: Math.ceil(campaign.recipients / MARKETING_SEND_PER_MINUTE) });
+  } catch (e) {
+    console.error('[ERROR] Admin campaign send:', e);
+    res.status(500).json({ error: 'Error lanzando la campaña' });
   }
 });
 
-// 6. Create Subscription (COBRO EL DÍA 1 SIN PRORRATEO)
-app.post('/create-subscription-session', async (req, res) => {
+// POST /admin/campaigns/:id/cancel — lo ya encolado sale igualmente; el resto se queda sin enviar
+adminRouter.post('/campaigns/:id/cancel', loadCampaign, async (req, res) => {
   try {
-    const { grams, success_url, cancel_url, metadata } = req.body;
-    const g = Number(grams);
-    if (!ALLOWED_SUB_GRAMS.includes(g)) return res.status(400).json({ error: 'Gramos inválidos' });
-    
-    // Cálculo Fecha Cobro (Día 1 mes siguiente)
-    const now = new Date();
-    const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-    nextMonth.setHours(12, 0, 0, 0);
-    const anchorTimestamp = Math.floor(nextMonth.getTime() / 1000);
+    const { rows } = await dbQuery(`UPDATE campaigns SET status = 'canceled', finished_at = NOW(), updated_at = NOW() WHERE id = $1 AND status IN ('draft', 'sending') RETURNING *`, [req.campaign.id]);
+    if (!rows[0]) return res.status(409).json({ error: 'La campaña ya ha terminado' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('[ERROR] Admin campaign cancel:', e);
+    res.status(500).json({ error: 'Error cancelando la campaña' });
+  }
+});
 
-    const session = await stripe.checkout.sessions.create({
-      mode: 'subscription',
-      line_items: [{ 
-        quantity: 1,
-        price_data: { 
-          currency: 'eur', 
-          unit_amount: SUB_PRICE_TABLE[g], 
-          recurring: { interval: 'month' }, 
-          product_data: { name: `Suscripción Jamón Canalla — ${g} g/mes` } 
-        } 
-      }],
-      allow_promotion_codes: true,
-      billing_address_collection: 'required',
-      shipping_address_collection: { allowed_countries: ['ES', 'FR', 'PT', 'DE', 'IT', 'BE', 'NL'] },
-      metadata: { subscription_grams: String(g), ...metadata },
-      subscription_data: {
-        billing_cycle_anchor: anchorTimestamp,
-        proration_behavior: 'none',
-      },
-      success_url, cancel_url
+// ===== Checkouts abandonados =====
+// GET /admin/abandoned-checkouts?status=&q=&from=&to=
+adminRouter.get('/abandoned-checkouts', async (req, res) => {
+  try {
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['status = $?', req.query.status],
+      ['email ILIKE $?', req.query.q ? `%${req.query.q}%` : null],
+      ['created_at >= $?', parseDate(req.query.from)],
+      ['created_at <= $?', parseDate(req.query.to)],
+    ]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`SELECT session_id, mode, email, name, locale, currency, amount_total, items, consent_promotions, status, reason, started_at, send_at, sent_at, recovered_session_id, created_at FROM abandoned_checkouts ${where} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`, params),
+      dbQuery(`SELECT count(*)::int AS total FROM abandoned_checkouts ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin abandoned checkouts:', e);
+    res.status(500).json({ error: 'Error listando checkouts abandonados' });
+  }
+});
+
+// GET /admin/abandoned-checkouts/summary?from=&to= — cuántos se recuperan tras el recordatorio
+adminRouter.get('/abandoned-checkouts/summary', async (req, res) => {
+  try {
+    const { where, params } = buildWhere([
+      ['a.created_at >= $?', parseDate(req.query.from)],
+      ['a.created_at <= $?', parseDate(req.query.to)],
+    ]);
+    const { rows: [s] } = await dbQuery(`
+      SELECT count(*)::int AS abandoned,
+             count(*) FILTER (WHERE a.status = 'pending')::int AS pending,
+             count(*) FILTER (WHERE a.sent_at IS NOT NULL)::int AS reminded,
+             count(*) FILTER (WHERE a.status = 'skipped')::int AS skipped,
+             count(*) FILTER (WHERE a.status = 'completed')::int AS completed,
+             count(*) FILTER (WHERE a.status = 'recovered')::int AS recovered,
+             COALESCE(SUM(o.total) FILTER (WHERE a.status = 'recovered'), 0)::numeric AS recovered_amount
+      FROM abandoned_checkouts a LEFT JOIN orders o ON o.session_id = a.recovered_session_id
+      ${where}
+    `, params);
+    res.json({ ...s, recovered_amount: Number(s.recovered_amount), recovery_rate: s.reminded ? Math.round(s.recovered / s.reminded * 10000) / 100 : null });
+  } catch (e) {
+    console.error('[ERROR] Admin abandoned summary:', e);
+    res.status(500).json({ error: 'Error obteniendo el resumen' });
+  }
+});
+
+// ===== Referidos =====
+// GET /admin/referrals/summary — configuración, totales y presupuesto del mes
+adminRouter.get('/referrals/summary', async (req, res) => {
+  try {
+    const { rows: [s] } = await dbQuery(`
+      SELECT (SELECT count(*) FROM referral_codes)::int AS codes,
+             count(*) FILTER (WHERE status = 'pending')::int AS pending,
+             count(*) FILTER (WHERE status = 'rewarded')::int AS rewarded,
+             count(*) FILTER (WHERE status = 'capped')::int AS capped,
+             count(*) FILTER (WHERE status = 'rejected')::int AS rejected,
+             COALESCE(SUM(reward_cents) FILTER (WHERE status = 'rewarded'), 0)::int AS credited_cents,
+             COALESCE(SUM(reward_cents) FILTER (WHERE status = 'rewarded' AND rewarded_at >= date_trunc('month', NOW())), 0)::int AS month_cents
+      FROM referrals
+    `);
+    const { month_cents: monthCents, ...totals } = s;
+    res.json({
+      enabled: REFERRAL_ENABLED,
+      discount_percent: REFERRAL_DISCOUNT_PERCENT,
+      reward_cents: REFERRAL_REWARD_CENTS,
+      max_rewards: REFERRAL_MAX_REWARDS || null,
+      monthly_budget_cents: REFERRAL_MONTHLY_BUDGET_CENTS || null,
+      totals,
+      month: { credited_cents: monthCents, remaining_budget_cents: REFERRAL_MONTHLY_BUDGET_CENTS ? Math.max(0, REFERRAL_MONTHLY_BUDGET_CENTS - monthCents) : null },
     });
-    res.json({ url: session.url, id: session.id });
-  } catch (e) { 
-    console.error('[ERROR] Subscription:', e);
-    res.status(500).json({ error: 'Error al crear suscripción.' }); 
+  } catch (e) {
+    console.error('[ERROR] Admin referrals summary:', e);
+    res.status(500).json({ error: 'Error obteniendo el resumen de referidos' });
   }
 });
 
-app.get('/billing-portal/link', async (req, res) => {
+// GET /admin/referrals/codes?q=&active=true|false
+adminRouter.get('/referrals/codes', async (req, res) => {
   try {
-    const { customer_id, return: ret } = req.query;
-    if (!customer_id) return res.status(400).send('Missing customer_id');
-    const session = await stripe.billingPortal.sessions.create({ customer: customer_id, return_url: ret || PORTAL_RETURN_URL });
-    res.redirect(session.url);
-  } catch { res.status(500).send('Error'); }
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['c.active = $?', ['true', 'false'].includes(req.query.active) ? req.query.active === 'true' : null],
+      ['(c.code ILIKE $? OR s.email ILIKE $?)', req.query.q ? `%${req.query.q}%` : null],
+    ]);
+    const from = `FROM referral_codes c LEFT JOIN subscribers s ON s.customer_id = c.customer_id ${where}`;
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`
+        SELECT c.*, s.email, s.name, s.status AS subscriber_status,
+          (SELECT count(*) FROM referrals r WHERE r.referrer_customer_id = c.customer_id AND r.status = 'rewarded')::int AS rewarded,
+          (SELECT count(*) FROM referrals r WHERE r.referrer_customer_id = c.customer_id AND r.status = 'pending')::int AS pending
+        ${from} ORDER BY c.created_at DESC LIMIT ${limit} OFFSET ${offset}
+      `, params),
+      dbQuery(`SELECT count(*)::int AS total ${from}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin referral codes:', e);
+    res.status(500).json({ error: 'Error listando códigos de referido' });
+  }
 });
 
-app.get('/test-email', async (req, res) => {
-  if (!CORPORATE_EMAIL) return res.status(400).json({ error: 'No corporate email' });
-  await sendEmail({ to: CORPORATE_EMAIL, subject: 'Test', html: 'Test OK' });
-  res.json({ ok: true });
+// PATCH /admin/referrals/codes/:code { active?, max_rewards? (null = REFERRAL_MAX_REWARDS, 0 = sin límite) }
+adminRouter.patch('/referrals/codes/:code', async (req, res) => {
+  try {
+    const { active, max_rewards: maxRewards } = req.body || {};
+    if (active !== undefined && typeof active !== 'boolean') return res.status(400).json({ error: 'active debe ser true o false' });
+    if (maxRewards !== undefined && maxRewards !== null && !(Number.isInteger(maxRewards) && maxRewards >= 0)) return res.status(400).json({ error: 'max_rewards debe ser un entero ≥ 0 o null' });
+    const { rows: [code] } = await dbQuery(`SELECT * FROM referral_codes WHERE upper(code) = upper($1)`, [req.params.code]);
+    if (!code) return res.status(404).json({ error: 'Código no encontrado' });
+    // Desactivado en Stripe deja de aceptarse en el checkout
+    if (active !== undefined && active !== code.active) await stripe.promotionCodes.update(code.promotion_code_id, { active });
+    const { rows } = await dbQuery(`
+      UPDATE referral_codes SET active = COALESCE($2, active), max_rewards = CASE WHEN $3 THEN $4::int ELSE max_rewards END, updated_at = NOW()
+      WHERE customer_id = $1 RETURNING *
+    `, [code.customer_id, active ?? null, maxRewards !== undefined, maxRewards ?? null]);
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('[ERROR] Admin referral code:', e);
+    res.status(500).json({ error: 'Error actualizando el código' });
+  }
+});
+
+// GET /admin/referrals?status=&referrer=cus_...
+adminRouter.get('/referrals', async (req, res) => {
+  try {
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['r.status = $?', req.query.status],
+      ['r.referrer_customer_id = $?', req.query.referrer],
+    ]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`
+        SELECT r.*, c.code, referrer.email AS referrer_email, referred.email AS referred_email
+        FROM referrals r
+        LEFT JOIN referral_codes c ON c.promotion_code_id = r.promotion_code_id
+        LEFT JOIN subscribers referrer ON referrer.customer_id = r.referrer_customer_id
+        LEFT JOIN subscribers referred ON referred.customer_id = r.referred_customer_id
+        ${where} ORDER BY r.created_at DESC LIMIT ${limit} OFFSET ${offset}
+      `, params),
+      dbQuery(`SELECT count(*)::int AS total FROM referrals r ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin referrals:', e);
+    res.status(500).json({ error: 'Error listando referidos' });
+  }
 });
 
+// POST /admin/referrals/:id/reward — abona a mano un referido topado o rechazado (se salta los límites)
+adminRouter.post('/referrals/:id/reward', async (req, res) => {
+  try {
+    const ref = await rewardReferral({ referralId: Number(req.params.id) || -1, force: true });
+    if (!ref) return res.status(409).json({ error: 'El referido no existe o ya está abonado' });
+    res.json(ref);
+  } catch (e) {
+    console.error('[ERROR] Admin referral reward:', e);
+    res.status(500).json({ error: 'Error abonando la recompensa' });
+  }
+});
+
+// ===== Fulfillment =====
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+adminRouter.post('/fulfillment/batches', async (req, res) => {
+  try {
+    const period = req.body?.period || currentPeriod();
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) return res.status(400).json({ error: 'Periodo inválido (YYYY-MM)' });
+    const { batch, added } = await buildFulfillmentBatch(period);
+    res.json({ ...batch, added });
+  } catch (e) {
+    console.error('[ERROR] Fulfillment batch:', e);
+    res.status(500).json({ error: 'Error creando lote' });
+  }
+});
+
+adminRouter.get('/fulfillment/batches', async (req, res) => {
+  try {
+    const { rows } = await dbQuery(`
+      SELECT b.*, count(s.id)::int AS shipments,
+        count(s.id) FILTER (WHERE s.status = 'pending')::int AS pending,
+        count(s.id) FILTER (WHERE s.status = 'packed')::int AS packed,
+        count(s.id) FILTER (WHERE s.status = 'shipped')::int AS shipped
+      FROM fulfillment_batches b LEFT JOIN shipments s ON s.batch_id = b.id
+      GROUP BY b.id ORDER BY b.period DESC
+    `);
+    res.json({ data: rows });
+  } catch (e) {
+    console.error('[ERROR] Fulfillment list:', e);
+    res.status(500).json({ error: 'Error listando lotes' });
+  }
+});
+
+// Carga el lote en req.batch / req.shipments para detalle y documentos
+const loadBatch = async (req, res, next) => {
+  try {
+    const { rows } = await dbQuery(`SELECT * FROM fulfillment_batches WHERE id = $1`, [parseInt(req.params.id) || 0]);
+    if (!rows.length) return res.status(404).json({ error: 'Lote no encontrado' });
+    req.batch = rows[0];
+    req.shipments = await getBatchShipments(req.batch.id);
+    next();
+  } catch (e) {
+    console.error('[ERROR] Fulfillment batch load:', e);
+    res.status(500).json({ error: 'Error obteniendo lote' });
+  }
+};
+
+adminRouter.get('/fulfillment/batches/:id', loadBatch, (req, res) => res.json({ ...req.batch, shipments: req.shipments }));
+
+adminRouter.get('/fulfillment/batches/:id/packing-list.pdf', loadBatch, async (req, res) => {
+  try {
+    const pdf = await buildPackingListPDF({ batch: req.batch, shipments: req.shipments });
+    res.type('application/pdf').set('Content-Disposition', `inline; filename="preparacion-${req.batch.period}.pdf"`).send(pdf);
+  } catch (e) { console.error('[ERROR] Packing list:', e); res.status(500).json({ error: 'Error generando PDF' }); }
+});
+
+adminRouter.get('/fulfillment/batches/:id/labels.pdf', loadBatch, async (req, res) => {
+  try {
+    const shipments = req.shipments.filter(s => s.status !== 'shipped');
+    const pdf = await buildLabelsPDF({ shipments });
+    res.type('application/pdf').set('Content-Disposition', `inline; filename="etiquetas-${req.batch.period}.pdf"`).send(pdf);
+  } catch (e) { console.error('[ERROR] Labels:', e); res.status(500).json({ error: 'Error generando PDF' }); }
+});
+
+adminRouter.get('/fulfillment/batches/:id/carrier.csv', loadBatch, (req, res) => {
+  const shipments = req.shipments.filter(s => s.status !== 'shipped');
+  res.type('text/csv').set('Content-Disposition', `attachment; filename="envios-${req.batch.period}.csv"`).send(buildCarrierCSV(shipments));
+});
+
+// PATCH /admin/fulfillment/shipments/:id { status, carrier, tracking_number }
+adminRouter.patch('/fulfillment/shipments/:id', async (req, res) => {
+  try {
+    const { status, carrier, tracking_number } = req.body || {};
+    if (status && !SHIPMENT_STATUSES.includes(status)) return res.status(400).json({ error: 'Estado inválido' });
+    if (status === 'shipped' && !tracking_number) {
+      const { rows } = await dbQuery(`SELECT tracking_number FROM shipments WHERE id = $1`, [parseInt(req.params.id) || 0]);
+      if (!rows[0]?.tracking_number) return res.status(400).json({ error: 'Falta número de seguimiento' });
+    }
+    const shipment = await updateShipment(parseInt(req.params.id) || 0, { status, carrier, tracking_number });
+    if (!shipment) return res.status(404).json({ error: 'Envío no encontrado' });
+
+    const { previous_status, ...data } = shipment;
+    if (status === 'shipped' && previous_status !== 'shipped') {
+      try { await sendShipmentEmail({ to: data.email, locale: data.locale, name: data.name, carrier: data.carrier, trackingNumber: data.tracking_number }); }
+      catch (e) { console.error('[ERROR] Shipment email:', e); }
+    }
+    res.json(data);
+  } catch (e) {
+    console.error('[ERROR] Shipment update:', e);
+    res.status(500).json({ error: 'Error actualizando envío' });
+  }
+});
+
+// ===== Bandeja de contacto =====
+adminRouter.get('/contact-messages', async (req, res) => {
+  try {
+    const { status, email, spam, from, to, q } = req.query;
+    const { limit, page, offset } = parsePaging(req.query);
+    const { where, params } = buildWhere([
+      ['status = $?', status],
+      ['lower(email) = lower($?)', email],
+      // Por defecto se oculta el spam; spam=true lo muestra solo, spam=all todo
+      ['is_spam = $?', spam === 'all' ? null : spam === 'true'],
+      ['created_at >= $?', parseDate(from)],
+      ['created_at < $?', parseDate(to)],
+      ['(email ILIKE $? OR name ILIKE $? OR subject ILIKE $? OR message ILIKE $?)', q ? `%${q}%` : null],
+    ]);
+    const [{ rows }, count] = await Promise.all([
+      dbQuery(`
+        SELECT id, email, name, subject, left(message, 200) AS preview, locale, status, spam_score, is_spam, customer_id, order_session_id, created_at, answered_at, closed_at,
+               (SELECT count(*)::int FROM contact_replies r WHERE r.contact_id = m.id) AS replies
+        FROM contact_messages m ${where} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}
+      `, params),
+      dbQuery(`SELECT count(*)::int AS total FROM contact_messages ${where}`, params),
+    ]);
+    res.json({ data: rows, page, limit, total: count.rows[0].total });
+  } catch (e) {
+    console.error('[ERROR] Admin contact messages:', e);
+    res.status(500).json({ error: 'Error listando mensajes' });
+  }
+});
+
+const loadContactMessage = async (req, res, next) => {
+  try {
+    const { rows } = await dbQuery(`SELECT * FROM contact_messages WHERE id = $1`, [parseInt(req.params.id) || 0]);
+    if (!rows.length) return res.status(404).json({ error: 'Mensaje no encontrado' });
+    req.contactMessage = rows[0];
+    next();
+  } catch (e) {
+    console.error('[ERROR] Admin contact message:', e);
+    res.status(500).json({ error: 'Error obteniendo mensaje' });
+  }
+};
+
+adminRouter.get('/contact-messages/:id', loadContactMessage, async (req, res) => {
+  try {
+    const msg = req.contactMessage;
+    const [replies, subscriber, order] = await Promise.all([
+      dbQuery(`SELECT id, body, author, message_id, created_at FROM contact_replies WHERE contact_id = $1 ORDER BY created_at`, [msg.id]),
+      msg.customer_id ? dbQuery(`SELECT customer_id, subscription_id, plan, status, name, created_at FROM subscribers WHERE customer_id = $1`, [msg.customer_id]) : { rows: [] },
+      msg.order_session_id ? dbQuery(`SELECT session_id, total, currency, status, created_at FROM orders WHERE session_id = $1`, [msg.order_session_id]) : { rows: [] },
+    ]);
+    res.json({ ...msg, replies: replies.rows, subscriber: subscriber.rows[0] || null, order: order.rows[0] || null });
+  } catch (e) {
+    console.error('[ERROR] Admin contact message:', e);
+    res.status(500).json({ error: 'Error obteniendo mensaje' });
+  }
+});
+
+// POST /admin/contact-messages/:id/reply { body, author?, close? } — desde SUPPORT_EMAIL, en el hilo del acuse (In-Reply-To/References)
+adminRouter.post('/contact-messages/:id/reply', loadContactMessage, async (req, res) => {
+  const msg = req.contactMessage;
+  const body = typeof req.body?.body === 'string' ? req.body.body.trim() : '';
+  if (!body) return res.status(400).json({ error: 'Falta el texto de la respuesta' });
+  if (body.length > CONTACT_LIMITS.message * 2) return res.status(400).json({ error: 'Respuesta demasiado larga' });
+  const author = typeof req.body?.author === 'string' ? req.body.author.trim().slice(0, CONTACT_LIMITS.name) || null : null;
+  const status = req.body?.close ? 'closed' : 'answered';
+  try {
+    const previous = await dbQuery(`SELECT message_id FROM contact_replies WHERE contact_id = $1 AND message_id IS NOT NULL ORDER BY created_at`, [msg.id]);
+    const thread = [msg.message_id, ...previous.rows.map(r => r.message_id)].filter(Boolean);
+    const messageId = contactMessageId();
+    await sendTemplate('contactReply', {
+      to: msg.email, locale: msg.locale, from: SUPPORT_FROM,
+      headers: { 'Message-ID': messageId, ...(thread.length ? { 'In-Reply-To': thread[thread.length - 1], References: thread.join(' ') } : {}) },
+      subject: msg.subject, body, original: msg.message, receivedAt: msg.created_at,
+    });
+    const { rows: [reply] } = await dbQuery(
+      `INSERT INTO contact_replies(contact_id, body, message_id, author) VALUES ($1, $2, $3, $4) RETURNING id, body, author, message_id, created_at`,
+      [msg.id, body, messageId, author]
+    );
+    const { rows: [updated] } = await dbQuery(`
+      UPDATE contact_messages SET status = $2, answered_at = COALESCE(answered_at, NOW()), closed_at = CASE WHEN $2 = 'closed' THEN NOW() ELSE NULL END
+      WHERE id = $1 RETURNING id, status, answered_at, closed_at
+    `, [msg.id, status]);
+    res.json({ ...updated, reply });
+  } catch (e) {
+    console.error('[ERROR] Contact reply:', e);
+    res.status(500).json({ error: 'Error enviando respuesta' });
+  }
+});
+
+// PATCH /admin/contact-messages/:id { status?, is_spam? }
+adminRouter.patch('/contact-messages/:id', async (req, res) => {
+  try {
+    const { status, is_spam } = req.body || {};
+    if (status !== undefined && !CONTACT_STATUSES.includes(status)) return res.status(400).json({ error: 'Estado inválido' });
+    if (is_spam !== undefined && typeof is_spam !== 'boolean') return res.status(400).json({ error: 'is_spam debe ser booleano' });
+    const { rows } = await dbQuery(`
+      UPDATE contact_messages SET
+        status = COALESCE($2, status),
+        is_spam = COALESCE($3, is_spam),
+        closed_at = CASE WHEN $2 = 'closed' THEN COALESCE(closed_at, NOW()) WHEN $2 IS NOT NULL THEN NULL ELSE closed_at END
+      WHERE id = $1 RETURNING id, status, is_spam, answered_at, closed_at
+    `, [parseInt(req.params.id) || 0, status ?? null, is_spam ?? null]);
+    if (!rows.length) return res.status(404).json({ error: 'Mensaje no encontrado' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('[ERROR] Contact message update:', e);
+    res.status(500).json({ error: 'Error actualizando mensaje' });
+  }
+});
+
+app.use('/admin', adminRouter);
+
 app.get('/', (req, res) => res.status(404).send('Not found'));
+
+// ===== Migraciones =====
+// Con MIGRATE_ON_START=false (varias réplicas, despliegue con `npm run migrate` aparte) solo se comprueba que no falte ninguna
+if (pool) {
+  try {
+    if (MIGRATE_ON_START) {
+      const applied = await migrateUp(pool, { log: console.log });
+      if (applied.length) console.log(`✅ ${applied.length} migración(es) aplicada(s)`);
+    } else {
+      const pending = await pendingMigrations(pool);
+      if (pending.length) {
+        console.error(`🚨 Migraciones pendientes: ${pending.map(m => `${m.version}_${m.name}`).join(', ')}. Ejecuta "npm run migrate".`);
+        process.exit(1);
+      }
+    }
+  } catch (e) {
+    console.error('🚨 [ERROR FATAL] Migraciones:', e.message);
+    process.exit(1);
+  }
+}
+
+// ===== Tareas periódicas =====
+setInterval(() => {
+  releaseExpiredReservations()
+    .then(n => { if (n) console.log(`[stock] ${n} reservas caducadas liberadas`); })
+    .catch(e => console.error('[ERROR] Stock sweep:', e.message));
+}, 10 * 60 * 1000).unref();
+setInterval(processOutbox, EMAIL_OUTBOX_POLL_SECONDS * 1000).unref();
+if (RECONCILE_INTERVAL_MINUTES > 0) {
+  const reconcile = () => reconcileStripe().catch(e => console.error('[ERROR] Reconciliation:', e.message));
+  // Primera pasada al poco de arrancar: si la instancia estaba dormida es cuando más eventos se han podido perder
+  setTimeout(reconcile, 60 * 1000).unref();
+  setInterval(reconcile, RECONCILE_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+setInterval(() => {
+  processAbandonedCheckouts()
+    .then(n => { if (n) console.log(`[checkout] ${n} recordatorio(s) de checkout abandonado encolados`); })
+    .catch(e => console.error('[ERROR] Abandoned checkouts:', e.message));
+}, 5 * 60 * 1000).unref();
+setInterval(() => {
+  processCampaigns()
+    .then(n => { if (n) console.log(`[marketing] ${n} email(s) de campaña encolados`); })
+    .catch(e => console.error('[ERROR] Campaigns:', e.message));
+}, 60 * 1000).unref();
+setInterval(() => pruneRawPayloads().catch(e => console.error('[ERROR] Privacy retention:', e.message)), 6 * 60 * 60 * 1000).unref();
+setInterval(() => maybeSendReportDigest().catch(e => console.error('[ERROR] Report digest:', e.message)), 10 * 60 * 1000).unref();
+
 app.listen(PORT, () => console.log(`API listening on port ${PORT}`));
\ No newline at end of file